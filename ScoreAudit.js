@@ -0,0 +1,293 @@
+// ===== SCORE AUDIT MODULE =====
+// Purpose: Append-only audit log of every edit to a game sheet and every change the automation makes, with a viewer filtered by game and player.
+// Dependencies: ScoreConfig.js, ScoreRoster.js (readLeagueRoster, findLeaguePlayer, normalizePlayerName),
+//               ScoreUtility.js (getOrCreateHiddenSheet, isAtBatCell, getBattingTeam, getInningFromColumn), ScoreSubstitutions.js (readSubstitutions, groupSubstitutionsBySlot, isBenchCell),
+//               ScoreBaseState.js (getSlotOccupant), ScoreGameSheet.js (readLineup), ScoreTriggers.js (getRosterName), ScoreDefense.js (getRosterTeam),
+//               ScoreMetadata.js (isDateValue)
+// Entry Point(s): showAuditLog, logEditToAudit, logAutomatedChange
+
+// Audit Log sheet columns
+var AUDIT_LOG_HEADERS = ["Timestamp", "Game", "User", "Source", "Action", "Cell", "Player", "Old Value", "New Value"];
+
+/**
+ * Log a scorer's edit to a game sheet (called from onEdit before any automation runs)
+ * Multi-cell pastes log each cell (up to AUDIT_LOG.MAX_CELLS_PER_EDIT); Sheets only
+ * reports the old value for single-cell edits.
+ * @param {Event} e - Edit event object
+ */
+function logEditToAudit(e) {
+  if (!BOX_SCORE_CONFIG.AUDIT_LOG.ENABLED) return;
+
+  try {
+    var range = e.range;
+    var sheet = range.getSheet();
+    var user = getAuditUser(e);
+    var now = new Date();
+    var rows = [];
+
+    if (range.getNumRows() === 1 && range.getNumColumns() === 1) {
+      var oldValue = e.oldValue === undefined ? "" : e.oldValue;
+      var newValue = range.getValue();
+      rows.push([now, sheet.getName(), user, "User", "Edit", range.getA1Notation(),
+                 getAuditPlayers(sheet, range.getRow(), range.getColumn(), oldValue, newValue), oldValue, newValue]);
+    } else {
+      var values = range.getValues();
+      var limit = BOX_SCORE_CONFIG.AUDIT_LOG.MAX_CELLS_PER_EDIT;
+      var total = values.length * values[0].length;
+
+      for (var r = 0; r < values.length && rows.length < limit; r++) {
+        for (var c = 0; c < values[r].length && rows.length < limit; c++) {
+          var row = range.getRow() + r;
+          var col = range.getColumn() + c;
+          rows.push([now, sheet.getName(), user, "User", "Edit", sheet.getRange(row, col).getA1Notation(),
+                     getAuditPlayers(sheet, row, col, "", values[r][c]), "", values[r][c]]);
+        }
+      }
+      if (total > rows.length) {
+        rows.push([now, sheet.getName(), user, "User", "Edit", range.getA1Notation(), "", "",
+                   "… " + (total - rows.length) + " more cell(s) not logged"]);
+      }
+    }
+
+    appendAuditRows(sheet.getParent(), rows);
+
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Audit]: Could not log edit: " + error.toString() + " (Entity: " + e.range.getSheet().getName() + "!" + e.range.getA1Notation() + ")");
+    }
+  }
+}
+
+/**
+ * Log a change made by the automation or a menu command
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} action - What happened, e.g. "Position Swap", "Pitcher Change", "Reset"
+ * @param {string} cell - A1 notation of the cell written ("" for whole-sheet actions)
+ * @param {*} oldValue - Value before
+ * @param {*} newValue - Value after
+ * @param {string} players - Player(s) involved, comma-separated ("" if none)
+ */
+function logAutomatedChange(sheet, action, cell, oldValue, newValue, players) {
+  if (!BOX_SCORE_CONFIG.AUDIT_LOG.ENABLED) return;
+
+  try {
+    appendAuditRows(sheet.getParent(), [[new Date(), sheet.getName(), getAuditUser(null), "Automation", action, cell,
+                                         players || "", oldValue === undefined ? "" : oldValue, newValue === undefined ? "" : newValue]]);
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Audit]: Could not log " + action + ": " + error.toString() + " (Entity: " + sheet.getName() + "!" + cell + ")");
+    }
+  }
+}
+
+/**
+ * Append rows to the audit log sheet (rows already written are never changed)
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Array<Array>} rows - Rows in AUDIT_LOG_HEADERS order
+ */
+function appendAuditRows(ss, rows) {
+  if (rows.length === 0) return;
+
+  var log = getOrCreateHiddenSheet(ss, BOX_SCORE_CONFIG.AUDIT_LOG.SHEET_NAME);
+  if (log.getLastRow() === 0) {
+    log.appendRow(AUDIT_LOG_HEADERS);
+  }
+  log.getRange(log.getLastRow() + 1, 1, rows.length, AUDIT_LOG_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Who made the change
+ * Simple triggers only see the editor's email within the same Google Workspace domain.
+ * @param {Event} e - Edit event object (null for menu commands)
+ * @return {string} Email, or "(unknown)"
+ */
+function getAuditUser(e) {
+  var email = "";
+  if (e && e.user) email = e.user.getEmail();
+  if (!email) email = Session.getActiveUser().getEmail();
+  return email || "(unknown)";
+}
+
+/**
+ * Player(s) an edited cell belongs to, for filtering the log
+ * At-bat cells go to whoever batted in that slot that inning (subs included), roster
+ * and bench cells to the player on that row, pitcher dropdowns to both pitchers.
+ * @param {Sheet} sheet - The game sheet
+ * @param {number} row - Row number
+ * @param {number} col - Column number
+ * @param {*} oldValue - Value before
+ * @param {*} newValue - Value after
+ * @return {string} Comma-separated names, or ""
+ */
+function getAuditPlayers(sheet, row, col, oldValue, newValue) {
+  var cell = sheet.getRange(row, col).getA1Notation();
+  var nameCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.nameCol;
+
+  if (cell === BOX_SCORE_CONFIG.AWAY_PITCHER_CELL || cell === BOX_SCORE_CONFIG.HOME_PITCHER_CELL) {
+    return joinAuditPlayers([oldValue, newValue]);
+  }
+
+  if (isAtBatCell(row, col, sheet)) {
+    var team = getBattingTeam(row);
+    var atBatRange = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE : BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
+    var subs = groupSubstitutionsBySlot(readSubstitutions(sheet, team).subs);
+    return getSlotOccupant(readLineup(sheet, team), subs, row - atBatRange.startRow, getInningFromColumn(col, sheet)) || "";
+  }
+
+  if (getRosterTeam(row) !== null && col <= nameCol) {
+    // Renames log both names
+    return col === nameCol ? joinAuditPlayers([oldValue, newValue]) : getRosterName(sheet, row);
+  }
+
+  if (isBenchCell(row, col)) {
+    return col === BOX_SCORE_CONFIG.SUBSTITUTIONS.NAME_COL ?
+      joinAuditPlayers([oldValue, newValue]) :
+      String(sheet.getRange(row, BOX_SCORE_CONFIG.SUBSTITUTIONS.NAME_COL).getValue()).trim();
+  }
+
+  return "";
+}
+
+/**
+ * Join distinct non-blank names
+ * @param {Array} names - Names (blanks and repeats are dropped)
+ * @return {string} Comma-separated names
+ */
+function joinAuditPlayers(names) {
+  var result = [];
+  for (var i = 0; i < names.length; i++) {
+    var name = String(names[i] === undefined ? "" : names[i]).trim();
+    if (name && result.indexOf(name) === -1) result.push(name);
+  }
+  return result.join(", ");
+}
+
+// ===== VIEWER =====
+
+/**
+ * Show the audit log filtered by game and/or player (menu command)
+ * "#12" shows one game, "Mario" shows a player across all games, "#12 Mario" both.
+ * Leaving it blank shows the active game sheet (or everything from another sheet).
+ */
+function showAuditLog() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var ui = SpreadsheetApp.getUi();
+  var prefix = BOX_SCORE_CONFIG.GAME_SHEET_PREFIX;
+
+  var response = ui.prompt(
+    'Audit Log',
+    'Filter by game and/or player, e.g. "' + prefix + '12", "Mario" or "' + prefix + '12 Mario".\n\n' +
+    'Leave blank for this game sheet.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  var filter = parseAuditFilter(response.getResponseText(), SpreadsheetApp.getActiveSheet().getName());
+  var entries = readAuditLog(ss, filter, readLeagueRoster(ss));
+  var limit = BOX_SCORE_CONFIG.AUDIT_LOG.VIEWER_LIMIT;
+
+  var title = [filter.game || "All games", filter.player || "all players"].join(" · ");
+  if (entries.length === 0) {
+    ui.alert('Audit Log', title + '\n\nNo matching entries.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var message = title + " (" + entries.length + " entr" + (entries.length === 1 ? "y" : "ies") +
+                (entries.length > limit ? ", latest " + limit + " shown" : "") + ")\n\n";
+  for (var i = entries.length - 1; i >= 0 && i >= entries.length - limit; i--) {
+    message += formatAuditEntry(entries[i], !filter.game) + "\n";
+  }
+
+  ui.alert('Audit Log', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Parse the viewer filter
+ * @param {string} text - Filter as typed
+ * @param {string} activeSheetName - Name of the active sheet (default game)
+ * @return {Object} {game, player} - null means no filter
+ */
+function parseAuditFilter(text, activeSheetName) {
+  var prefix = BOX_SCORE_CONFIG.GAME_SHEET_PREFIX;
+  var value = String(text).trim();
+
+  if (!value) {
+    return {game: activeSheetName.startsWith(prefix) ? activeSheetName : null, player: null};
+  }
+
+  if (value.startsWith(prefix)) {
+    var match = value.match(/^(\S+)\s*(.*)$/);
+    return {game: match[1], player: match[2].trim() || null};
+  }
+  return {game: null, player: value};
+}
+
+/**
+ * Read audit log entries matching a filter, oldest first
+ * Player names match ignoring case, and through league aliases.
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Object} filter - {game, player} from parseAuditFilter
+ * @param {Object} league - Result of readLeagueRoster
+ * @return {Array<Object>} [{timestamp, game, user, source, action, cell, players, oldValue, newValue}]
+ */
+function readAuditLog(ss, filter, league) {
+  var log = ss.getSheetByName(BOX_SCORE_CONFIG.AUDIT_LOG.SHEET_NAME);
+  if (!log || log.getLastRow() < 2) return [];
+
+  var wanted = filter.player ? normalizePlayerName(filter.player) : null;
+  var wantedPlayer = filter.player ? findLeaguePlayer(league, filter.player, null) : null;
+
+  var values = log.getRange(2, 1, log.getLastRow() - 1, AUDIT_LOG_HEADERS.length).getValues();
+  var entries = [];
+  for (var i = 0; i < values.length; i++) {
+    if (filter.game && String(values[i][1]) !== filter.game) continue;
+
+    var players = String(values[i][6]).split(",").map(function(name) {
+      return name.trim();
+    }).filter(function(name) {
+      return name !== "";
+    });
+
+    if (wanted) {
+      var matched = false;
+      for (var p = 0; p < players.length && !matched; p++) {
+        matched = normalizePlayerName(players[p]) === wanted ||
+                  (wantedPlayer !== null && findLeaguePlayer(league, players[p], null) === wantedPlayer);
+      }
+      if (!matched) continue;
+    }
+
+    entries.push({
+      timestamp: values[i][0],
+      game: String(values[i][1]),
+      user: String(values[i][2]),
+      source: String(values[i][3]),
+      action: String(values[i][4]),
+      cell: String(values[i][5]),
+      players: players,
+      oldValue: values[i][7],
+      newValue: values[i][8]
+    });
+  }
+  return entries;
+}
+
+/**
+ * One viewer line per entry
+ * e.g. "05-18 14:02 C7 (Mario) "" → "1B" · scorer@league.com"
+ * @param {Object} entry - Entry from readAuditLog
+ * @param {boolean} showGame - Prefix the cell with the game sheet name
+ * @return {string} Formatted line
+ */
+function formatAuditEntry(entry, showGame) {
+  var time = isDateValue(entry.timestamp) ?
+    Utilities.formatDate(entry.timestamp, Session.getScriptTimeZone(), "MM-dd HH:mm") :
+    String(entry.timestamp);
+
+  var line = time + " ";
+  if (entry.source === "Automation") line += "[" + entry.action + "] ";
+  line += (showGame ? entry.game + (entry.cell ? "!" : "") : "") + entry.cell;
+  if (entry.players.length > 0) line += " (" + entry.players.join(", ") + ")";
+  line += ' "' + entry.oldValue + '" → "' + entry.newValue + '" · ' + entry.user;
+  return line;
+}
@@ -0,0 +1,918 @@
+// ===== SCORE BASE STATE MODULE =====
+// Purpose: Base-out state engine that replays each half-inning from the at-bat grid.
+// Dependencies: ScoreConfig.js, ScoreNotation.js (splitPlateAppearances, describeBase, NOTATION_IMPLIED_RUNNER_OUTS),
+//               ScoreUtility.js (getRegulationInnings), ScoreCache.js (parseNotationCached, half-inning cache)
+// Entry Point(s): replayTeamAtBats, getSlotOccupant, getRunnersOnBaseAfter, countRunnersOnBase
+
+// Base indices used throughout the engine
+var FIRST_BASE = 0;
+var SECOND_BASE = 1;
+var THIRD_BASE = 2;
+
+/**
+ * Replay one team's at-bat grid through the base-out state machine
+ * Each inning column is walked in batting order starting from that inning's leadoff
+ * batter, so after every plate appearance the engine knows who is on first/second/third,
+ * how many are out, and which pitcher is responsible for each runner. When a team bats
+ * around, cells hold several plate appearances ("1B / K"): every first trip is replayed
+ * in lineup order, then every second trip, and so on.
+ * @param {Array} atBatGrid - 2D array of at-bat values [batter row][inning column]
+ * @param {Array<string>} lineup - Batter names by lineup slot (0-8), blanks allowed
+ * @param {Array<string>} pitcherTimeline - Fielding team's pitchers in order [SP, RP1, RP2, ...]
+ * @param {Array<Array<Object>>} substitutions - Subs by lineup slot, [{name, inning}] in inning order (optional)
+ * @param {Object} cache - Result of readHalfInningCache (optional): unchanged half-innings are
+ *   taken from it instead of being replayed, and the rest are added to it
+ * @return {Object} {plays, halfInnings, activePitcher, pitcherIndex}
+ */
+function replayTeamAtBats(atBatGrid, lineup, pitcherTimeline, substitutions, cache) {
+  lineup = lineup || [];
+  pitcherTimeline = pitcherTimeline || [];
+
+  var numBatters = atBatGrid.length;
+  var numInnings = numBatters > 0 ? atBatGrid[0].length : 0;
+
+  var replay = {
+    plays: [],          // Every non-empty cell in the order it happened
+    halfInnings: [],    // One entry per inning column
+    pitcherIndex: 0,    // Index into pitcherTimeline of the active pitcher
+    activePitcher: pitcherTimeline[0] || null,
+    substitutions: substitutions || []
+  };
+
+  var leadoff = 0;
+
+  for (var col = 0; col < numInnings; col++) {
+    var cached = cache ? getCachedHalfInning(cache, col) : null;
+    if (!cached) {
+      var replayed = replayHalfInning(replay, atBatGrid, col, leadoff, lineup, pitcherTimeline);
+      cached = {
+        halfInning: replayed.halfInning,
+        leadoff: replayed.leadoff,
+        pitcherIndex: replay.pitcherIndex,
+        activePitcher: replay.activePitcher
+      };
+      if (cache) storeHalfInning(cache, col, cached);
+    }
+
+    replay.halfInnings.push(cached.halfInning);
+    replay.plays = replay.plays.concat(cached.halfInning.plays);
+    replay.pitcherIndex = cached.pitcherIndex;
+    replay.activePitcher = cached.activePitcher;
+    leadoff = cached.leadoff;
+  }
+
+  if (cache) saveHalfInningCache(cache);
+
+  return replay;
+}
+
+/**
+ * Replay one inning column from its leadoff batter
+ * @param {Object} replay - Replay in progress (active pitcher and subs; plays are not added)
+ * @param {Array} atBatGrid - 2D array of at-bat values [batter row][inning column]
+ * @param {number} col - Inning column (0-based)
+ * @param {number} leadoff - Lineup slot leading off this inning
+ * @param {Array<string>} lineup - Batter names by lineup slot
+ * @param {Array<string>} pitcherTimeline - Fielding team's pitchers in order
+ * @return {Object} {halfInning, leadoff} - the half-inning with its plays, and the slot leading off the next inning
+ */
+function replayHalfInning(replay, atBatGrid, col, leadoff, lineup, pitcherTimeline) {
+  var numBatters = atBatGrid.length;
+  var halfInning = {
+    inning: col + 1,
+    col: col,
+    leadoff: leadoff,
+    outs: 0,
+    errorOuts: 0,   // Outs the defense would have had without errors (for earned runs)
+    bases: [null, null, null],
+    runs: 0,
+    plays: []
+  };
+  var lastBatter = null;
+
+  // Extra-inning rule: the batter before this inning's leadoff starts on second
+  if (col >= getRegulationInnings() && BOX_SCORE_CONFIG.EXTRA_INNINGS.RUNNER_ON_SECOND && numBatters > 0) {
+    var placed = (leadoff + numBatters - 1) % numBatters;
+    halfInning.bases[1] = {
+      name: getSlotOccupant(lineup, replay.substitutions, placed, col + 1),
+      batterIndex: placed,
+      pitcher: replay.activePitcher,
+      reachedOnError: true   // Placed runners score as unearned runs
+    };
+  }
+
+  // Each cell's plate appearances for this inning
+  var cells = [];
+  var numPasses = 0;
+  for (var r = 0; r < numBatters; r++) {
+    cells.push(splitPlateAppearances(atBatGrid[r][col]));
+    numPasses = Math.max(numPasses, cells[r].length);
+  }
+
+  // Walk the lineup from this inning's leadoff batter, wrapping past the 9th slot,
+  // once per trip through the order
+  for (var pass = 0; pass < numPasses; pass++) {
+    for (var step = 0; step < numBatters; step++) {
+      var row = (leadoff + step) % numBatters;
+      var value = cells[row][pass];
+      if (value === undefined || value === "") continue;
+
+      var play = applyPlayToState(replay, halfInning, row, pass, value, lineup, pitcherTimeline);
+      if (pass > 0 && !hasBattedInEveryPass(cells, pass)) {
+        play.errors.push("Plate appearance " + (pass + 1) + " for this batter before the rest of the lineup has batted " +
+                         pass + " time" + (pass === 1 ? "" : "s") + " in inning " + halfInning.inning);
+      }
+      halfInning.plays.push(play);
+
+      if (play.isPlateAppearance) {
+        lastBatter = row;
+      }
+    }
+  }
+
+  // Next inning starts with the batter after the last one to come up
+  return {
+    halfInning: halfInning,
+    leadoff: (lastBatter !== null) ? (lastBatter + 1) % numBatters : leadoff
+  };
+}
+
+/**
+ * Who bats in a lineup slot in a given inning
+ * The starter holds the slot until a substitute's inning; the latest sub to enter wins.
+ * @param {Array<string>} lineup - Starters by lineup slot
+ * @param {Array<Array<Object>>} substitutions - Subs by lineup slot, [{name, inning}] in inning order
+ * @param {number} slot - Lineup slot (0-based)
+ * @param {number} inning - Inning number (1-based)
+ * @return {string} Batter name, or null for an empty slot
+ */
+function getSlotOccupant(lineup, substitutions, slot, inning) {
+  var name = lineup[slot] || null;
+  var subs = substitutions[slot] || [];
+  for (var i = 0; i < subs.length; i++) {
+    if (subs[i].inning <= inning) name = subs[i].name;
+  }
+  return name;
+}
+
+/**
+ * Check that every lineup slot has a plate appearance in each earlier trip through the order
+ * @param {Array<Array<string>>} cells - Plate appearances per lineup slot for one inning
+ * @param {number} pass - Trip through the order being replayed (0-based)
+ * @return {boolean} True if batting around is consistent
+ */
+function hasBattedInEveryPass(cells, pass) {
+  for (var r = 0; r < cells.length; r++) {
+    if (cells[r].length < pass) return false;
+  }
+  return true;
+}
+
+/**
+ * Apply one plate appearance (or runner-only play) to the half-inning state
+ * @param {Object} replay - Replay in progress (tracks the active pitcher)
+ * @param {Object} halfInning - Current half-inning state (modified in place)
+ * @param {number} row - Lineup slot (0-based row in the grid)
+ * @param {number} pass - Trip through the order within the inning (0 = first)
+ * @param {string} value - Notation for this plate appearance
+ * @param {Array<string>} lineup - Batter names by lineup slot
+ * @param {Array<string>} pitcherTimeline - Fielding team's pitchers in order
+ * @return {Object} Play record with the state before and after
+ */
+function applyPlayToState(replay, halfInning, row, pass, value, lineup, pitcherTimeline) {
+  var stats = parseNotationCached(value);
+
+  var play = {
+    inning: halfInning.inning,
+    col: halfInning.col,
+    batterIndex: row,
+    pass: pass,
+    value: String(value),
+    stats: stats,
+    batter: getSlotOccupant(lineup, replay.substitutions, row, halfInning.inning),
+    pitcher: replay.activePitcher,
+    isPlateAppearance: stats.valid && stats.BF === 1,
+    isRunnerEvent: stats.valid && stats.isRunnerEvent,   // "CS", "WP": the batter stays at the plate
+    outsBefore: halfInning.outs,
+    basesBefore: copyBases(halfInning.bases),
+    outsAfter: halfInning.outs,
+    basesAfter: null,
+    runs: [],         // {runner, batterIndex, pitcher, event, earned} for each run that scored
+    runnersOut: [],   // {runner, batterIndex, pitcher, base} for runners erased on the bases
+    errors: [],       // Problems with the play given the runners actually on base
+    pitcherChanges: [],  // {from, to, inheritedRunners} for each PC# in the cell, in order
+    stolenBy: null       // Runner credited with the steal on a runner-only SB
+  };
+
+  // Cells that break the grammar leave the state untouched
+  if (!stats.valid) {
+    play.basesAfter = copyBases(halfInning.bases);
+    return play;
+  }
+
+  if (play.isPlateAppearance || play.isRunnerEvent) {
+    // A plate appearance after the third out means the grid is out of order; start clean
+    if (halfInning.outs >= 3) {
+      play.errors.push((play.isRunnerEvent ? "Play on the bases" : "Plate appearance") +
+                       " after the third out - check the batting order for inning " + halfInning.inning);
+      halfInning.bases = [null, null, null];
+    }
+
+    // On a runner-only play the batter never reaches, so only the runners move
+    var batterRunner = {
+      name: play.batter,
+      batterIndex: row,
+      pitcher: replay.activePitcher,
+      reachedOnError: stats.outcome === 'E'
+    };
+
+    // Explicit advances ("1B 1-3 2-H") replace the default assumptions
+    if (stats.advances.length > 0) {
+      applyExplicitAdvancement(halfInning, play, batterRunner);
+    } else {
+      applyDefaultAdvancement(halfInning, play, batterRunner);
+    }
+
+    var battedRuns = countBattedRuns(play);
+    if (stats.R > battedRuns) {
+      play.errors.push(stats.R + " RBI but only " + battedRuns + " run" + (battedRuns === 1 ? "" : "s") +
+                       " scored with " + describeRunners(play.basesBefore));
+    }
+
+    markEarnedRuns(halfInning, play);
+    halfInning.outs += stats.outs;
+
+    // Third out strands everyone left on base
+    if (halfInning.outs >= 3) {
+      halfInning.bases = [null, null, null];
+    }
+  }
+
+  play.outsAfter = Math.min(halfInning.outs, 3);
+  play.basesAfter = copyBases(halfInning.bases);
+
+  // Pitcher changes take effect AFTER the at-bat in the same cell ("K PC2"), one
+  // pitcher further down the timeline per PC# ("K PC2 PC2" brings in two)
+  for (var c = 0; c < stats.pitcherChanges; c++) {
+    var departing = replay.activePitcher;
+    replay.pitcherIndex++;
+    replay.activePitcher = pitcherTimeline[replay.pitcherIndex] || null;
+
+    play.pitcherChanges.push({
+      from: departing,
+      to: replay.activePitcher,
+      inheritedRunners: countRunnersOnBase(halfInning.bases)
+    });
+  }
+
+  return play;
+}
+
+// ============================================
+// DEFAULT ADVANCEMENT RULES
+// ============================================
+
+/**
+ * Move the batter and runners using the default assumptions for each outcome
+ * - WP / PB / BK: every runner moves up one base before the result of the at-bat
+ * - Hits: every runner moves up as many bases as the batter
+ * - BB / E / FC: forced runners move up one base
+ * - FC OUT: runner from first is forced out (lead runner if first is empty)
+ * - DP / TP: runner from first is erased first, then the lead runner
+ * - RBIs beyond the runs already forced in are scored from the lead runner back
+ * - SB / CS apply to the batter-runner if on base, otherwise to the other runners
+ * @param {Object} halfInning - Half-inning state (modified in place)
+ * @param {Object} play - Play record (runs and runnersOut are filled in)
+ * @param {Object} batterRunner - {name, batterIndex, pitcher} for the batter
+ */
+function applyDefaultAdvancement(halfInning, play, batterRunner) {
+  var stats = play.stats;
+  var bases = halfInning.bases;
+  var rbi = stats.R;
+
+  var event = getBaserunningEvent(stats);
+  if (event) {
+    for (var b = THIRD_BASE; b >= FIRST_BASE; b--) {
+      if (!bases[b]) continue;
+      if (b === THIRD_BASE) {
+        scoreRunner(halfInning, play, b, event);
+      } else if (!bases[b + 1]) {
+        bases[b + 1] = bases[b];
+        bases[b] = null;
+      }
+    }
+  }
+
+  switch (stats.outcome) {
+    case '1B':
+    case '2B':
+    case '3B':
+      var hitBases = stats.TB;
+      for (var b = THIRD_BASE; b >= FIRST_BASE; b--) {
+        if (!bases[b]) continue;
+        if (b + hitBases > THIRD_BASE) {
+          scoreRunner(halfInning, play, b);
+        } else {
+          bases[b + hitBases] = bases[b];
+          bases[b] = null;
+        }
+      }
+      scoreLeadRunners(halfInning, play, rbi, null);
+      bases[hitBases - 1] = batterRunner;
+      break;
+
+    case 'HR':
+      for (var b = THIRD_BASE; b >= FIRST_BASE; b--) {
+        if (bases[b]) scoreRunner(halfInning, play, b);
+      }
+      recordRun(halfInning, play, batterRunner);
+      break;
+
+    case 'BB':
+    case 'E':
+    case 'FC':
+      forceBatterToFirst(halfInning, play, batterRunner);
+      scoreLeadRunners(halfInning, play, rbi, batterRunner);
+      break;
+
+    case 'FC OUT':
+      var forcedRunnerBase = bases[FIRST_BASE] ? FIRST_BASE : findLeadRunnerBase(bases, null);
+      var forcedRunner = forcedRunnerBase !== null ? bases[forcedRunnerBase] : null;
+      if (forcedRunner) {
+        putRunnerOut(play, bases, forcedRunnerBase);
+        // The pitcher who put the erased runner on stays responsible for the batter-runner
+        batterRunner.pitcher = forcedRunner.pitcher;
+      } else {
+        play.errors.push("FC OUT with nobody on base to put out");
+      }
+      forceBatterToFirst(halfInning, play, batterRunner);
+      scoreLeadRunners(halfInning, play, rbi, batterRunner);
+      break;
+
+    case 'DP':
+    case 'TP':
+      var runnersToErase = stats.outcome === 'TP' ? 2 : 1;
+      for (var i = 0; i < runnersToErase; i++) {
+        var erasedBase = bases[FIRST_BASE] ? FIRST_BASE : findLeadRunnerBase(bases, null);
+        if (erasedBase !== null) {
+          putRunnerOut(play, bases, erasedBase);
+        } else {
+          play.errors.push(stats.outcome + " needs " + runnersToErase + " runner" + (runnersToErase === 1 ? "" : "s") +
+                           " on base but " + describeRunners(play.basesBefore));
+          break;
+        }
+      }
+      scoreLeadRunners(halfInning, play, rbi, null);
+      break;
+
+    case 'SH':
+      scoreLeadRunners(halfInning, play, rbi, null);
+      // Sacrifice moves the remaining runners up one base where the base ahead is open
+      for (var b = SECOND_BASE; b >= FIRST_BASE; b--) {
+        if (bases[b] && !bases[b + 1]) {
+          bases[b + 1] = bases[b];
+          bases[b] = null;
+        }
+      }
+      break;
+
+    default:
+      // K, OUT, SF: batter is out, runners hold unless runs were driven in
+      scoreLeadRunners(halfInning, play, rbi, null);
+      break;
+  }
+
+  if (stats.SB) {
+    var stealer = applyStolenBase(bases, batterRunner);
+    if (stats.isRunnerEvent) {
+      if (stealer) play.stolenBy = stealer.name;
+      else play.errors.push("SB with no runner who can steal");
+    }
+  }
+  if (stats.CS) {
+    var caughtBase = findRunnerBase(bases, batterRunner);
+    if (caughtBase === null) caughtBase = findTrailRunnerBase(bases);
+    if (caughtBase !== null) {
+      putRunnerOut(play, bases, caughtBase);
+    } else {
+      play.errors.push("CS with nobody on base");
+    }
+  }
+}
+
+// ============================================
+// EARNED RUNS
+// ============================================
+
+/**
+ * Decide which runs on a play are earned by replaying the inning as if errors were outs
+ * A run is unearned when the runner reached on an error or took an extra base on one, it
+ * scored on a passed ball or on the error itself, or the defense would already have had
+ * three outs without errors.
+ * Call before halfInning.outs is updated for the play.
+ * @param {Object} halfInning - Half-inning state (errorOuts is updated)
+ * @param {Object} play - Play record (each run gets an earned flag)
+ */
+function markEarnedRuns(halfInning, play) {
+  var stats = play.stats;
+  var onError = stats.outcome === 'E';
+  var errorRuns = [];
+  if (onError) {
+    halfInning.errorOuts++;
+  } else if (stats.isError) {
+    errorRuns = chargeAttachedError(halfInning, play);
+  }
+
+  // Outs there would have been after this play with errorless defense
+  var reconstructedOuts = halfInning.outs + halfInning.errorOuts + stats.outs;
+
+  for (var i = 0; i < play.runs.length; i++) {
+    var run = play.runs[i];
+    run.earned = !run.reachedOnError && !run.advancedOnError && !onError && errorRuns.indexOf(run) === -1 &&
+                 run.event !== 'PB' && reconstructedOuts < 3;
+  }
+}
+
+/**
+ * Work out what an error attached to a hit or an out ("1B E6", "OUT E4") cost the defense
+ * No RBI is credited for a run that scores because of an error, so runs beyond the
+ * batter's RBI scored on the error. Runners left further along than the outcome alone
+ * takes them advanced on it (runner.advancedOnError, so a later run of theirs is
+ * unearned too). An error that moved nobody extended the inning, so it counts as an out
+ * in the reconstruction, like a batter reaching on an error.
+ * @param {Object} halfInning - Half-inning state after the play's advancement (errorOuts is updated)
+ * @param {Object} play - Play record
+ * @return {Array<Object>} Runs from play.runs that scored on the error
+ */
+function chargeAttachedError(halfInning, play) {
+  var stats = play.stats;
+  var errorRuns = [];
+  var rbiLeft = stats.R;
+
+  for (var i = 0; i < play.runs.length; i++) {
+    var run = play.runs[i];
+    if (run.event) continue;   // WP / PB / BK runs are judged on their own
+    if (stats.outcome === 'HR' && run.batterIndex === play.batterIndex) continue;
+    if (rbiLeft > 0) {
+      rbiLeft--;
+      continue;
+    }
+    errorRuns.push(run);
+  }
+
+  var errorless = getErrorlessBases(play);
+  var extraBases = 0;
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    var runner = halfInning.bases[b];
+    if (!runner || !errorless.hasOwnProperty(runner.batterIndex)) continue;
+    if (b + 1 > errorless[runner.batterIndex]) {
+      runner.advancedOnError = true;
+      extraBases++;
+    }
+  }
+
+  if (errorRuns.length === 0 && extraBases === 0) halfInning.errorOuts++;
+  return errorRuns;
+}
+
+/**
+ * Furthest base each runner (and the batter) reaches on the outcome alone, without an error
+ * Hits move everyone up as many bases as the batter, walks and fielder's choices move
+ * forced runners up one, SF scores the runner from third, SH moves everyone up one.
+ * WP / PB / BK and SB allow one more base each.
+ * @param {Object} play - Play record (basesBefore and stats)
+ * @return {Object} Base (1-3, 4 = home) by batterIndex
+ */
+function getErrorlessBases(play) {
+  var stats = play.stats;
+  var before = play.basesBefore;
+  var bonus = (getBaserunningEvent(stats) ? 1 : 0) + (stats.SB ? 1 : 0);
+  var errorless = {};
+
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (!before[b]) continue;
+
+    var move = 0;
+    if (stats.outcome === 'HR') {
+      move = 4;
+    } else if (stats.H > 0) {
+      move = stats.TB;
+    } else if (stats.outcome === 'BB' || stats.outcome === 'FC' || stats.outcome === 'FC OUT') {
+      move = 1;
+      for (var k = FIRST_BASE; k < b; k++) {
+        if (!before[k]) move = 0;   // Not forced
+      }
+    } else if (stats.outcome === 'SH' || (stats.outcome === 'SF' && b === THIRD_BASE)) {
+      move = 1;
+    }
+    errorless[before[b].batterIndex] = Math.min(b + 1 + move + bonus, 4);
+  }
+
+  errorless[play.batterIndex] = getDefaultBatterBase(stats) + (stats.SB ? 1 : 0);
+  return errorless;
+}
+
+// ============================================
+// EXPLICIT ADVANCEMENT
+// ============================================
+
+/**
+ * Move the batter and runners as written in the advance suffix ("1B 1-3 2-H", "DP 1X2")
+ * Runners without an advance follow the default rule for the outcome (hits move them
+ * up, otherwise they hold) and are pushed up when forced. Every advance is checked
+ * against the runners actually on base; problems are recorded on play.errors.
+ * @param {Object} halfInning - Half-inning state (modified in place)
+ * @param {Object} play - Play record (runs, runnersOut and errors are filled in)
+ * @param {Object} batterRunner - {name, batterIndex, pitcher} for the batter
+ */
+function applyExplicitAdvancement(halfInning, play, batterRunner) {
+  var stats = play.stats;
+  var before = halfInning.bases;
+  var after = [null, null, null];
+  var moved = [false, false, false];   // Original bases whose runner has been dealt with
+  var finalBase = [];                  // {origin, to} for the passing check (4 = home)
+  var batterMove = null;
+  var namedOuts = 0;
+
+  // 1. Runners with an explicit advance
+  for (var i = 0; i < stats.advances.length; i++) {
+    var advance = stats.advances[i];
+    if (advance.out) namedOuts++;
+    if (advance.from === 0) {
+      batterMove = advance;
+      continue;
+    }
+
+    var runner = before[advance.from - 1];
+    if (!runner) {
+      play.errors.push("'" + advance.text + "' but nobody is on " + describeBase(advance.from));
+      continue;
+    }
+    moved[advance.from - 1] = true;
+
+    if (advance.out) {
+      recordRunnerOut(play, runner, advance.to);
+    } else if (advance.to === 4) {
+      recordRun(halfInning, play, runner);
+      finalBase.push({origin: advance.from, to: 4});
+    } else {
+      placeRunner(play, after, runner, advance.to - 1, advance.text);
+      finalBase.push({origin: advance.from, to: advance.to});
+      if (stats.SB && stats.isRunnerEvent && !play.stolenBy) play.stolenBy = runner.name;
+    }
+  }
+
+  // 2. Runner outs implied by the outcome (DP, TP, FC OUT, CS) but not named with an X
+  var impliedOuts = (NOTATION_IMPLIED_RUNNER_OUTS[stats.outcome] || 0) + (stats.CS ? 1 : 0);
+  for (var k = namedOuts; k < impliedOuts; k++) {
+    var erasedBase = (before[FIRST_BASE] && !moved[FIRST_BASE]) ? FIRST_BASE : null;
+    for (var b = THIRD_BASE; erasedBase === null && b >= FIRST_BASE; b--) {
+      if (before[b] && !moved[b]) erasedBase = b;
+    }
+    if (erasedBase === null) {
+      play.errors.push((stats.CS && k === impliedOuts - 1 ? "CS" : stats.outcome) + " needs another runner on base to put out");
+      break;
+    }
+    moved[erasedBase] = true;
+    recordRunnerOut(play, before[erasedBase], erasedBase + 2);
+  }
+
+  // The pitcher who put an erased runner on stays responsible for the batter on a fielder's choice
+  if (stats.outcome === 'FC OUT' && play.runnersOut.length > 0) {
+    batterRunner.pitcher = play.runnersOut[0].pitcher;
+  }
+
+  // 3. Batter: explicit advance, else where the outcome puts them
+  var batterTo = batterMove ? batterMove.to : getDefaultBatterBase(stats);
+  if (batterMove && batterMove.out) {
+    recordRunnerOut(play, batterRunner, batterMove.to);
+  } else if (batterTo === 4) {
+    recordRun(halfInning, play, batterRunner);
+    finalBase.push({origin: 0, to: 4});
+  } else if (batterTo > 0) {
+    placeRunner(play, after, batterRunner, batterTo - 1, batterMove ? batterMove.text : stats.outcome);
+    finalBase.push({origin: 0, to: batterTo});
+  }
+
+  // 4. Everyone else: hits move them up, then they're pushed along if forced
+  var defaultAdvance = stats.outcome === 'HR' ? 4 : (stats.H > 0 ? stats.TB : 0);
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (!before[b] || moved[b]) continue;
+
+    var target = b + defaultAdvance;
+    while (target <= THIRD_BASE && after[target]) {
+      target++;
+    }
+    if (target > THIRD_BASE) {
+      recordRun(halfInning, play, before[b]);
+      finalBase.push({origin: b + 1, to: 4});
+    } else {
+      after[target] = before[b];
+      finalBase.push({origin: b + 1, to: target + 1});
+    }
+  }
+
+  // 5. Nobody may pass a runner ahead of them
+  for (var x = 0; x < finalBase.length; x++) {
+    for (var y = 0; y < finalBase.length; y++) {
+      var trailing = finalBase[x];
+      var leading = finalBase[y];
+      if (trailing.origin < leading.origin && trailing.to > leading.to) {
+        play.errors.push((trailing.origin === 0 ? "The batter" : "The runner from " + describeBase(trailing.origin)) +
+                         " passes the runner from " + describeBase(leading.origin) +
+                         " (add an advance for the runner from " + describeBase(leading.origin) + ")");
+      }
+    }
+  }
+
+  halfInning.bases = after;
+}
+
+/**
+ * Base the batter reaches on an outcome with no explicit batter advance
+ * @param {Object} stats - Parsed stats
+ * @return {number} 1-3 for a base, 4 for home, 0 if the batter is out
+ */
+function getDefaultBatterBase(stats) {
+  switch (stats.outcome) {
+    case '1B': return 1;
+    case '2B': return 2;
+    case '3B': return 3;
+    case 'HR': return 4;
+    case 'BB':
+    case 'E':
+    case 'FC':
+    case 'FC OUT':
+      return 1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Put a runner on a base, recording an error if someone already ended up there
+ * @param {Object} play - Play record
+ * @param {Array} bases - Base state being built (modified in place)
+ * @param {Object} runner - Runner object
+ * @param {number} base - Base index (0-2)
+ * @param {string} source - Token that sent the runner there (for the message)
+ */
+function placeRunner(play, bases, runner, base, source) {
+  if (bases[base]) {
+    play.errors.push("Two runners end up on " + describeBase(base + 1) + " ('" + source + "')");
+    return;
+  }
+  bases[base] = runner;
+}
+
+/**
+ * Put the batter on first, pushing forced runners up one base
+ * @param {Object} halfInning - Half-inning state
+ * @param {Object} play - Play record
+ * @param {Object} batterRunner - Runner object for the batter
+ */
+function forceBatterToFirst(halfInning, play, batterRunner) {
+  var bases = halfInning.bases;
+
+  // Find the first open base; everyone behind it is forced
+  var openBase = null;
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (!bases[b]) {
+      openBase = b;
+      break;
+    }
+  }
+
+  // Bases loaded: runner on third is forced home
+  if (openBase === null) {
+    scoreRunner(halfInning, play, THIRD_BASE);
+    openBase = THIRD_BASE;
+  }
+
+  for (var b = openBase; b > FIRST_BASE; b--) {
+    bases[b] = bases[b - 1];
+  }
+  bases[FIRST_BASE] = batterRunner;
+}
+
+/**
+ * Score lead runners until the play has produced the given number of runs
+ * @param {Object} halfInning - Half-inning state
+ * @param {Object} play - Play record
+ * @param {number} targetRuns - Runs the play should have produced (usually the RBI count)
+ * @param {Object} exclude - Runner who must not be scored (the batter-runner), or null
+ */
+function scoreLeadRunners(halfInning, play, targetRuns, exclude) {
+  while (countBattedRuns(play) < targetRuns) {
+    var leadBase = findLeadRunnerBase(halfInning.bases, exclude);
+    if (leadBase === null) break;
+    scoreRunner(halfInning, play, leadBase);
+  }
+}
+
+/**
+ * Advance one runner on a stolen base (batter-runner if on base, else lead runner with an open base)
+ * @param {Array} bases - Base state (modified in place)
+ * @param {Object} batterRunner - Runner object for the batter
+ * @return {Object} Runner who stole, or null if nobody could
+ */
+function applyStolenBase(bases, batterRunner) {
+  var stealBase = findRunnerBase(bases, batterRunner);
+  if (stealBase === null || stealBase === THIRD_BASE || bases[stealBase + 1]) {
+    stealBase = null;
+    for (var b = SECOND_BASE; b >= FIRST_BASE; b--) {
+      if (bases[b] && !bases[b + 1]) {
+        stealBase = b;
+        break;
+      }
+    }
+  }
+  if (stealBase === null) return null;
+
+  bases[stealBase + 1] = bases[stealBase];
+  bases[stealBase] = null;
+  return bases[stealBase + 1];
+}
+
+// ============================================
+// STATE HELPERS
+// ============================================
+
+/**
+ * Score the runner on a base and charge the run to the responsible pitcher
+ * @param {Object} halfInning - Half-inning state
+ * @param {Object} play - Play record
+ * @param {number} base - Base index (0-2)
+ * @param {string} event - "WP", "PB" or "BK" if the run scored on that, else omitted
+ */
+function scoreRunner(halfInning, play, base, event) {
+  var runner = halfInning.bases[base];
+  halfInning.bases[base] = null;
+  recordRun(halfInning, play, runner, event);
+}
+
+/**
+ * Record a run for a runner (or the batter on a home run)
+ * @param {Object} halfInning - Half-inning state
+ * @param {Object} play - Play record
+ * @param {Object} runner - Runner object {name, batterIndex, pitcher}
+ * @param {string} event - "WP", "PB" or "BK" if the run scored on that, else omitted
+ */
+function recordRun(halfInning, play, runner, event) {
+  play.runs.push({
+    runner: runner.name,
+    batterIndex: runner.batterIndex,
+    pitcher: runner.pitcher,
+    event: event || null,
+    reachedOnError: !!runner.reachedOnError,
+    advancedOnError: !!runner.advancedOnError,
+    earned: false     // Set by markEarnedRuns once the play is complete
+  });
+  halfInning.runs++;
+}
+
+/**
+ * Remove a runner from the bases as an out
+ * @param {Object} play - Play record
+ * @param {Array} bases - Base state (modified in place)
+ * @param {number} base - Base index (0-2)
+ */
+function putRunnerOut(play, bases, base) {
+  var runner = bases[base];
+  bases[base] = null;
+  recordRunnerOut(play, runner, base + 2);
+}
+
+/**
+ * Record a runner erased on the bases
+ * @param {Object} play - Play record
+ * @param {Object} runner - Runner object
+ * @param {number} base - Base the runner was put out at (2-3, 4 = home)
+ */
+function recordRunnerOut(play, runner, base) {
+  play.runnersOut.push({
+    runner: runner.name,
+    batterIndex: runner.batterIndex,
+    pitcher: runner.pitcher,
+    base: base
+  });
+}
+
+/**
+ * Count runs that scored on the result of the at-bat (not on a WP, PB or balk)
+ * @param {Object} play - Play record
+ * @return {number} Runs the batter could be credited with
+ */
+function countBattedRuns(play) {
+  var count = 0;
+  for (var i = 0; i < play.runs.length; i++) {
+    if (!play.runs[i].event) count++;
+  }
+  return count;
+}
+
+/**
+ * Which baserunning event (if any) happened during the at-bat
+ * @param {Object} stats - Parsed stats
+ * @return {string} "WP", "PB", "BK" or null
+ */
+function getBaserunningEvent(stats) {
+  if (stats.WP) return 'WP';
+  if (stats.PB) return 'PB';
+  if (stats.BK) return 'BK';
+  return null;
+}
+
+/**
+ * Describe who was on base (for error messages)
+ * @param {Array} bases - Base state
+ * @return {string} e.g. "bases empty", "runners on first and third"
+ */
+function describeRunners(bases) {
+  var occupied = [];
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (bases[b]) occupied.push(describeBase(b + 1));
+  }
+  if (occupied.length === 0) return "bases empty";
+  if (occupied.length === 3) return "bases loaded";
+  return (occupied.length === 1 ? "runner on " : "runners on ") + occupied.join(" and ");
+}
+
+/**
+ * Find the most advanced occupied base
+ * @param {Array} bases - Base state
+ * @param {Object} exclude - Runner to skip, or null
+ * @return {number} Base index (0-2) or null if nobody is on
+ */
+function findLeadRunnerBase(bases, exclude) {
+  for (var b = THIRD_BASE; b >= FIRST_BASE; b--) {
+    if (bases[b] && bases[b] !== exclude) return b;
+  }
+  return null;
+}
+
+/**
+ * Find the least advanced occupied base
+ * @param {Array} bases - Base state
+ * @return {number} Base index (0-2) or null if nobody is on
+ */
+function findTrailRunnerBase(bases) {
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (bases[b]) return b;
+  }
+  return null;
+}
+
+/**
+ * Find which base a specific runner occupies
+ * @param {Array} bases - Base state
+ * @param {Object} runner - Runner object
+ * @return {number} Base index (0-2) or null if not on base
+ */
+function findRunnerBase(bases, runner) {
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (bases[b] === runner) return b;
+  }
+  return null;
+}
+
+/**
+ * Copy a base state so later plays can't mutate a recorded snapshot
+ * @param {Array} bases - Base state
+ * @return {Array} [first, second, third] runner objects (or null)
+ */
+function copyBases(bases) {
+  return bases.map(function(runner) {
+    return runner ? {name: runner.name, batterIndex: runner.batterIndex, pitcher: runner.pitcher} : null;
+  });
+}
+
+/**
+ * Count runners on base
+ * @param {Array} bases - Base state
+ * @return {number} Runners on base (0-3)
+ */
+function countRunnersOnBase(bases) {
+  var count = 0;
+  for (var b = FIRST_BASE; b <= THIRD_BASE; b++) {
+    if (bases[b]) count++;
+  }
+  return count;
+}
+
+/**
+ * Get the runners on base after the last play of an inning (or the last inning with plays)
+ * Used when a pitcher change is made to decide how many runners are inherited
+ * @param {Object} replay - Result of replayTeamAtBats
+ * @param {number} col - 0-based inning column to look at
+ * @return {Array} [first, second, third] runner objects (or null); empty if the inning is over
+ */
+function getRunnersOnBaseAfter(replay, col) {
+  for (var c = Math.min(col, replay.halfInnings.length - 1); c >= 0; c--) {
+    var halfInning = replay.halfInnings[c];
+    if (halfInning.plays.length > 0) {
+      return halfInning.outs >= 3 ? [null, null, null] : copyBases(halfInning.bases);
+    }
+  }
+  return [null, null, null];
+}
@@ -0,0 +1,166 @@
+// ===== SCORE CACHE MODULE =====
+// Purpose: Caches that keep live recomputes cheap: parsed notation, replayed half-innings and the league roster rows.
+// Dependencies: ScoreConfig.js, ScoreNotation.js (parseNotation), ScoreUtility.js (getRegulationInnings)
+// Entry Point(s): parseNotationCached, readHalfInningCache, getCachedHalfInning, storeHalfInning, saveHalfInningCache,
+//                 readCachedRosterRows, writeCachedRosterRows, invalidateLeagueRosterCache
+//
+// Half-inning keys are chained: the first digests the replay inputs (lineup, subs, pitchers,
+// extra-inning rules), each inning's digests the previous key plus that inning column. An
+// edit therefore changes the key of its own inning and every one after it, and only those
+// are replayed; earlier innings come straight from the cache.
+
+var HALF_INNING_CACHE_PREFIX = 'halfInning.';
+var LEAGUE_ROSTER_CACHE_KEY = 'leagueRoster';
+
+// Parsed cells for this execution (parseNotation results are never modified by callers)
+var PARSED_NOTATION_MEMO = {};
+
+/**
+ * parseNotation, remembered for the rest of this execution
+ * The grid is parsed by the replay and again by the validator; identical cells
+ * ("K", "OUT", ...) are parsed once.
+ * @param {*} value - At-bat notation
+ * @return {Object} Result of parseNotation (shared - do not modify)
+ */
+function parseNotationCached(value) {
+  if (value === null || value === undefined) return parseNotation(value);
+
+  var key = String(value);
+  if (!PARSED_NOTATION_MEMO.hasOwnProperty(key)) {
+    PARSED_NOTATION_MEMO[key] = parseNotation(value);
+  }
+  return PARSED_NOTATION_MEMO[key];
+}
+
+/**
+ * Look up every half-inning of one team's grid in the document cache (one call)
+ * @param {Array} atBatGrid - 2D array of at-bat values [batter row][inning column]
+ * @param {Array<string>} lineup - Batter names by lineup slot
+ * @param {Array<string>} pitcherTimeline - Fielding team's pitchers in order
+ * @param {Array<Array<Object>>} substitutions - Subs by lineup slot
+ * @return {Object} {keys, entries, fresh} for getCachedHalfInning/storeHalfInning, or null when off
+ */
+function readHalfInningCache(atBatGrid, lineup, pitcherTimeline, substitutions) {
+  var config = BOX_SCORE_CONFIG.RECOMPUTE_CACHE;
+  if (!config.ENABLED) return null;
+
+  var numInnings = atBatGrid.length > 0 ? atBatGrid[0].length : 0;
+  var key = computeCacheKey([config.VERSION, getRegulationInnings(), BOX_SCORE_CONFIG.EXTRA_INNINGS.RUNNER_ON_SECOND,
+                             lineup, pitcherTimeline, substitutions]);
+
+  var cache = {keys: [], entries: {}, fresh: {}};
+  for (var col = 0; col < numInnings; col++) {
+    var column = atBatGrid.map(function(row) {
+      return row[col];
+    });
+    key = computeCacheKey([key, column]);
+    cache.keys.push(HALF_INNING_CACHE_PREFIX + key);
+  }
+
+  try {
+    var stored = CacheService.getDocumentCache().getAll(cache.keys);
+    for (var k in stored) {
+      cache.entries[k] = JSON.parse(stored[k]);
+    }
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Cache]: Half-inning cache unavailable, replaying every inning: " + error.toString());
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Cached replay of one half-inning
+ * @param {Object} cache - Result of readHalfInningCache
+ * @param {number} col - Inning column (0-based)
+ * @return {Object} {halfInning, leadoff, pitcherIndex, activePitcher} - state after the inning, or null
+ */
+function getCachedHalfInning(cache, col) {
+  return cache.entries[cache.keys[col]] || null;
+}
+
+/**
+ * Remember a freshly replayed half-inning (saved by saveHalfInningCache)
+ * @param {Object} cache - Result of readHalfInningCache
+ * @param {number} col - Inning column (0-based)
+ * @param {Object} entry - {halfInning, leadoff, pitcherIndex, activePitcher} - state after the inning
+ */
+function storeHalfInning(cache, col, entry) {
+  cache.fresh[cache.keys[col]] = JSON.stringify(entry);
+}
+
+/**
+ * Write the half-innings replayed this time to the document cache (one call)
+ * @param {Object} cache - Result of readHalfInningCache
+ */
+function saveHalfInningCache(cache) {
+  if (Object.keys(cache.fresh).length === 0) return;
+
+  try {
+    CacheService.getDocumentCache().putAll(cache.fresh, BOX_SCORE_CONFIG.RECOMPUTE_CACHE.HALF_INNING_SECONDS);
+  } catch (error) {
+    // Too large or over quota - the next recompute simply replays these innings again
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Cache]: Could not cache " + Object.keys(cache.fresh).length + " half-inning(s): " + error.toString());
+    }
+  }
+}
+
+/**
+ * League roster rows from the document cache
+ * @return {Array<Array>} Rows below the header as read by readLeagueRoster, or null if not cached
+ */
+function readCachedRosterRows() {
+  if (!BOX_SCORE_CONFIG.RECOMPUTE_CACHE.ENABLED) return null;
+
+  try {
+    var cached = CacheService.getDocumentCache().get(LEAGUE_ROSTER_CACHE_KEY);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Cache]: Reading the roster sheet instead of the cache: " + error.toString());
+    }
+    return null;
+  }
+}
+
+/**
+ * Cache the league roster rows for ROSTER_SECONDS
+ * @param {Array<Array>} rows - Rows below the header
+ */
+function writeCachedRosterRows(rows) {
+  if (!BOX_SCORE_CONFIG.RECOMPUTE_CACHE.ENABLED) return;
+
+  try {
+    CacheService.getDocumentCache().put(LEAGUE_ROSTER_CACHE_KEY, JSON.stringify(rows), BOX_SCORE_CONFIG.RECOMPUTE_CACHE.ROSTER_SECONDS);
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Cache]: Could not cache " + rows.length + " roster row(s): " + error.toString());
+    }
+  }
+}
+
+/**
+ * Forget the cached league roster (the roster sheet was edited or IDs were assigned)
+ */
+function invalidateLeagueRosterCache() {
+  try {
+    CacheService.getDocumentCache().remove(LEAGUE_ROSTER_CACHE_KEY);
+  } catch (error) {
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Cache]: Could not drop the cached roster: " + error.toString());
+    }
+  }
+}
+
+/**
+ * Short cache key for any JSON-able value
+ * @param {*} value - Inputs to digest
+ * @return {string} Base64 MD5 digest
+ */
+function computeCacheKey(value) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(value));
+  return Utilities.base64Encode(digest);
+}
@@ -32,12 +32,120 @@ var BOX_SCORE_CONFIG = {
   // - Best for entering historical games or batch entry
   AUTO_PROCESS_ON_AT_BAT: true,
 
+  // NOTATION VALIDATION
+  // When true: Every edited at-bat cell is checked against the notation grammar
+  // - Invalid cells are highlighted with INVALID_NOTATION_COLOR
+  // - A cell note explains the problem and suggests the closest valid notation
+  // - Fixing the cell clears the highlight and note
+  // Use "Validate Game" from the menu to sweep the whole grid at any time
+  VALIDATE_NOTATION_ON_EDIT: true,
+  INVALID_NOTATION_COLOR: "#f4cccc",
+
+  // PITCHER DECISIONS (W / L / SV / HLD / BS)
+  // Assigned by the processor from the score inning by inning
+  // - W / L / SV are only given once the game is complete and not tied
+  // - HLD / BS are given as they happen
+  PITCHER_DECISIONS: {
+    REGULATION_INNINGS: null,     // null = number of inning columns in AWAY_ATBAT_RANGE (6)
+    STARTER_MIN_INNINGS: 4,       // Innings a starter must pitch to get the win (MLB: 5 of 9)
+    SAVE_MAX_LEAD: 3,             // Largest lead that is a save situation (tying run on deck also counts)
+    SAVE_MIN_INNINGS: 1,          // Innings a closer must finish when entering with a small lead
+    SAVE_LONG_RELIEF_INNINGS: 3   // Finishing this many innings is a save with any lead
+  },
+
+  // EARNED RUN AVERAGE
+  // Innings ERA is scaled to: ERA = ER x ERA_INNINGS / IP
+  // Use 9 to compare with MLB-style ERAs, or the regulation game length for "runs per game"
+  ERA_INNINGS: 9,
+
   // DEBUG LOGGING
   // Controls whether logging is enabled for debugging purposes
   DEBUG: {
     ENABLE_LOGGING: true
   },
 
+  // ===== LINE SCORE =====
+  // Runs per inning plus R/H/E for each team, written by the processor
+  // Header row holds 1, 2, ... R, H, E; team rows start with a label in LABEL_COL
+  // and the inning columns follow (J = label, K-P = innings 1-6, Q-S = R/H/E)
+  LINE_SCORE: {
+    ENABLED: true,
+    HEADER_ROW: 2,
+    AWAY_ROW: 3,
+    HOME_ROW: 4,
+    LABEL_COL: 10,        // Column J
+    AWAY_LABEL: "Away",
+    HOME_LABEL: "Home"
+  },
+
+  // ===== EXTRA INNINGS =====
+  // Extra-inning columns sit to the right of the stats (Z onward by default) and are
+  // only read once labelled: "Add Extra Inning" in the menu (or a tie after the last
+  // inning when AUTO_ADD_WHEN_TIED is on) writes the inning number in both header rows
+  EXTRA_INNINGS: {
+    FIRST_COL: 26,              // Column Z - first extra inning (inning 7)
+    MAX_INNINGS: 6,             // Extra-inning columns available (innings 7-12)
+    AWAY_HEADER_ROW: 6,         // Label row above the away grid
+    HOME_HEADER_ROW: 17,        // Label row above the home grid
+    AUTO_ADD_WHEN_TIED: true,   // Add the next inning when the last one ends tied
+    RUNNER_ON_SECOND: false     // Start each extra half-inning with a runner on second (unearned if they score)
+  },
+
+  // ===== SEASON STATS =====
+  // "Build Season Stats" replays every game sheet and writes season tables to SHEET_NAME
+  // Per-game totals are cached in the hidden CACHE_SHEET_NAME sheet with a fingerprint of
+  // the sheet's inputs, so only new or edited games are replayed on the next build
+  // Bump CACHE_VERSION after changing how stats are calculated to replay every game
+  SEASON_STATS: {
+    SHEET_NAME: "Season Stats",
+    CACHE_SHEET_NAME: "Season Stats Cache",
+    CACHE_VERSION: 4
+  },
+
+  // ===== STANDINGS =====
+  // "Build Standings" counts only games whose status is GAME_METADATA.FINAL_STATUS
+  // Streaks follow the game dates (undated games follow in sheet tab order)
+  STANDINGS: {
+    SHEET_NAME: "Standings"
+  },
+
+  // ===== LEAGUE ROSTER =====
+  // One row per player below a header row. ID is a stable player ID that keeps season
+  // stats together through renames (blank IDs are filled in as P001, P002, ... by New Game
+  // and Build Season Stats). ALIASES lists other spellings used on game sheets, separated
+  // by ALIAS_SEPARATOR (e.g. "Boo" for "King Boo"). Names match ignoring case and extra spaces.
+  LEAGUE_ROSTER: {
+    SHEET_NAME: "Rosters",
+    COLUMNS: {TEAM: 1, ORDER: 2, PLAYER: 3, POSITION: 4, ID: 5, ALIASES: 6},
+    ID_PREFIX: "P",
+    ALIAS_SEPARATOR: ","
+  },
+
+  // ===== NEW GAME =====
+  // "New Game" copies TEMPLATE_SHEET_NAME to the next game sheet (#1, #2, ...) and fills
+  // both lineups from the league roster. The first 9 players by Order make the lineup.
+  NEW_GAME: {
+    TEMPLATE_SHEET_NAME: "Template",
+    INITIAL_STATUS: "Scheduled"
+  },
+
+  // ===== GAME METADATA =====
+  // Header cells describing each game, read by the processor, the viewers, season stats
+  // and standings. Edits are validated like at-bat cells (highlight + note).
+  // - Team names are required and must differ; the date must be a real date
+  // - STATUS_CELL takes one of STATUS_VALUES. FINAL_STATUS locks auto-processing and
+  //   pitcher-change automation until the game is reopened (Menu → Reopen Game)
+  GAME_METADATA: {
+    AWAY_TEAM_CELL: "B3",
+    HOME_TEAM_CELL: "B4",
+    DATE_CELL: "F3",
+    WEEK_CELL: "F4",              // Week or series label (free text)
+    STATUS_CELL: "H3",
+    STATUS_VALUES: ["Scheduled", "In Progress", "Final"],
+    FINAL_STATUS: "Final",
+    REOPENED_STATUS: "In Progress"
+  },
+
   // ===== PITCHER TRACKING =====
   // Dropdown cells for active pitchers
   AWAY_PITCHER_CELL: "D3",
@@ -59,8 +167,8 @@ var BOX_SCORE_CONFIG = {
   },
   
   // ===== PITCHER STATS LAYOUT =====
-  // Columns I-O contain pitching statistics
-  // Order: IP, BF, H, HR, R, BB, K
+  // Columns I-O contain pitching statistics, with ER appended after the fielding columns
+  // Order: IP, BF, H, HR, R, BB, K ... ER
   PITCHER_STATS_COLUMNS: {
     IP: 9,    // Column I - Innings Pitched
     BF: 10,   // Column J - Batters Faced
@@ -68,7 +176,8 @@ var BOX_SCORE_CONFIG = {
     HR: 12,   // Column L - Home Runs Allowed
     R: 13,    // Column M - Runs Allowed
     BB: 14,   // Column N - Walks Allowed
-    K: 15     // Column O - Strikeouts
+    K: 15,    // Column O - Strikeouts
+    ER: 19    // Column S - Earned Runs Allowed
   },
 
   // 0-based relative indices for processing pitcher stat arrays
@@ -79,9 +188,29 @@ var BOX_SCORE_CONFIG = {
     HR: 3,
     R: 4,
     BB: 5,
-    K: 6
+    K: 6,
+    ER: 10    // (Column S = 19) - 9 = 10
   },
   
+  // ===== PITCHER DECISIONS LAYOUT =====
+  // Columns T-X contain pitcher decisions (1 = credited, 0 = not)
+  DECISION_COLUMNS: {
+    W: 20,    // Column T - Win
+    L: 21,    // Column U - Loss
+    SV: 22,   // Column V - Save
+    HLD: 23,  // Column W - Hold
+    BS: 24    // Column X - Blown Save
+  },
+
+  // 0-based relative indices for processing decision arrays
+  DECISION_INDICES: {
+    W: 0,     // (Column T = 20) - 20 = 0
+    L: 1,
+    SV: 2,
+    HLD: 3,
+    BS: 4
+  },
+
   // ===== FIELDING STATS LAYOUT =====
   // Columns P-R contain defensive statistics
   FIELDING_STATS_COLUMNS: {
@@ -98,8 +227,8 @@ var BOX_SCORE_CONFIG = {
   },
   
   // ===== HITTING STATS LAYOUT =====
-  // Columns C-K contain batting statistics
-  // Order: AB, H, HR, RBI, BB, K, ROB, DP, TB
+  // Columns C-L contain batting statistics
+  // Order: AB, H, HR, RBI, BB, K, ROB, DP, TB, R
   HITTING_STATS_COLUMNS: {
     AB: 3,    // Column C - At Bats
     H: 4,     // Column D - Hits
@@ -109,7 +238,8 @@ var BOX_SCORE_CONFIG = {
     K: 8,     // Column H - Strikeouts
     ROB: 9,   // Column I - Reached On Base (hits stolen via nice plays)
     DP: 10,   // Column J - Double Plays
-    TB: 11    // Column K - Total Bases
+    TB: 11,   // Column K - Total Bases
+    R: 12     // Column L - Runs Scored
   },
 
   // 0-based relative indices for processing hitting stat arrays
@@ -122,7 +252,8 @@ var BOX_SCORE_CONFIG = {
     K: 5,
     ROB: 6,
     DP: 7,
-    TB: 8
+    TB: 8,
+    R: 9
   },
   
   // ===== PITCHER/FIELDER ROSTER RANGES =====
@@ -154,9 +285,98 @@ var BOX_SCORE_CONFIG = {
     numPlayers: 9,      // Number of batters per team
     nameCol: 2,         // Column B - Player names
     statsStartCol: 3,   // Column C - Where hitting stats begin
-    numStatCols: 9      // Number of stat columns (C through K)
+    numStatCols: 10     // Number of stat columns (C through L)
   },
   
+  // ===== DEFENSIVE TIMELINE =====
+  // Every position change (pitcher swaps, Defensive Switch, and edits that add "/ POS" to
+  // a position cell) is logged to this hidden sheet with the at-bat cell it followed, so
+  // E#/NP# are credited to whoever played the position at the time. Games with position
+  // changes but nothing logged credit end-of-game positions, as before.
+  DEFENSE_TIMELINE: {
+    SHEET_NAME: "Position Timeline"
+  },
+
+  // ===== CHANGE JOURNAL =====
+  // Each pitcher dropdown change records what the automation did for it (position cells
+  // rewritten, PC# appended, timeline entries) in this hidden sheet. Switching the dropdown
+  // straight back before another play is scored, or "Undo Pitcher Change", restores it all.
+  CHANGE_JOURNAL: {
+    SHEET_NAME: "Change Journal"
+  },
+
+  // ===== PROCESSING (CONCURRENT SCORERS) =====
+  // Stat recomputes run one at a time per game sheet. Edits made while one is running
+  // (another scorer, or fast typing) are folded into a single rerun when it finishes.
+  // STATUS_CELL shows whether the stats are pending, up to date, or failed ("" to turn off).
+  PROCESSING: {
+    STATUS_CELL: "H4",
+    PENDING_TEXT: "⏳ Updating stats…",
+    DONE_TEXT: "✅ Stats updated",
+    FAILED_TEXT: "⚠️ Stats update failed",
+    LOCK_WAIT_MS: 10000,      // How long to wait for the document lock around the bookkeeping
+    LEASE_SECONDS: 120        // A run that never finishes stops blocking the sheet after this long
+  },
+
+  // ===== RECOMPUTE CACHE =====
+  // Replayed half-innings are cached (document cache) under a key chained from the lineup,
+  // subs, pitchers and every inning column up to that one, so a recompute replays only from
+  // the edited half-inning forward. The league roster rows are cached too and dropped
+  // whenever the roster sheet is edited. Bump VERSION after changing the replay engine.
+  RECOMPUTE_CACHE: {
+    ENABLED: true,
+    VERSION: 4,
+    HALF_INNING_SECONDS: 21600,   // 6 hours (the most CacheService keeps anything)
+    ROSTER_SECONDS: 600
+  },
+
+  // ===== AUDIT LOG =====
+  // Every edit to a game sheet (when, who, cell, old and new value) and every change the
+  // automation or a menu command makes (position swaps, PC# insertions, undo, resets...)
+  // is appended to this hidden sheet, one row each. Rows are never rewritten.
+  // "View Audit Log" filters it by game and player.
+  AUDIT_LOG: {
+    ENABLED: true,
+    SHEET_NAME: "Audit Log",
+    MAX_CELLS_PER_EDIT: 50,   // Cells logged for one paste; the rest are counted in a summary row
+    VIEWER_LIMIT: 40          // Most recent matching entries shown by the viewer
+  },
+
+  // ===== PLAY-BY-PLAY =====
+  // "Play-by-Play" lists every play in the order it happened, with the outs and score
+  // after it, and writes the log to a sheet named SHEET_PREFIX + the game sheet name
+  // (e.g. "PBP #12"). The prefix must not start with GAME_SHEET_PREFIX, or the log
+  // would be treated as a game sheet.
+  PLAY_BY_PLAY: {
+    SHEET_PREFIX: "PBP ",
+    VIEWER_LIMIT: 60          // Latest plays shown in the dialog (the sheet has them all)
+  },
+
+  // ===== EXPORT =====
+  // "Export Game" saves a game as one JSON file plus one CSV per table to a Drive
+  // folder of this name (created in My Drive if missing). Files are named after the
+  // spreadsheet and game sheet; exporting again replaces them instead of adding copies.
+  EXPORT: {
+    FOLDER_NAME: "CLB Box Score Exports",
+    CSV_TABLES: ["game", "rosters", "positions", "plate_appearances", "hitting", "pitching", "fielding", "line_score"]
+  },
+
+  // ===== SUBSTITUTIONS (BENCH) =====
+  // Pinch hitters and other lineup subs get a bench row below the hitting blocks:
+  // A = lineup slot (1-9) they took over, B = name, C-L = their hitting stats (same
+  // columns as the hitting block), M = inning they entered. From that inning on, the
+  // slot's plate appearances are credited to the sub. "Add Substitution" fills these in.
+  SUBSTITUTIONS: {
+    AWAY_HEADER_ROW: 52,
+    AWAY_START_ROW: 53,
+    HOME_HEADER_ROW: 59,
+    HOME_START_ROW: 60,
+    NUM_ROWS: 5,        // Bench rows per team
+    SLOT_COL: 1,        // Column A - Lineup slot
+    NAME_COL: 2,        // Column B - Substitute name
+    INNING_COL: 13      // Column M - Inning they entered
+  },
+
   // ===== PROTECTED ROWS (NEVER MODIFY THESE) =====
   // These rows contain headers, formulas, or team totals
   // Scripts should NEVER write to these rows
@@ -168,6 +388,8 @@ var BOX_SCORE_CONFIG = {
     29,   // Away team hitting header
     39,   // Away team hitting totals
     40,   // Home team hitting header
-    50    // Home team hitting totals
+    50,   // Home team hitting totals
+    52,   // Away bench header
+    59    // Home bench header
   ]
 };
\ No newline at end of file
@@ -0,0 +1,335 @@
+// ===== SCORE DECISIONS MODULE =====
+// Purpose: Assigns pitcher decisions (W, L, SV, HLD, BS) by replaying the score inning by inning.
+// Dependencies: ScoreConfig.js, ScoreBaseState.js (replay records, countRunnersOnBase), ScoreUtility.js (getRegulationInnings)
+// Entry Point(s): assignPitcherDecisions, isTiedAfterLastInning
+
+/**
+ * Assign W / L / SV / HLD / BS from both teams' replays
+ * Walks the game in order (top then bottom of each inning), tracking the score, each
+ * pitcher's entry situation and every lead change. W, L and SV are only given once the
+ * game is complete; HLD and BS are given as they happen.
+ * @param {Object} awayReplay - Replay of the away team batting (home pitchers)
+ * @param {Object} homeReplay - Replay of the home team batting (away pitchers)
+ * @param {Object} playerStats - Stats storage object (decisions added in place)
+ * @return {Object} {complete, winner, loser, save, holds, blownSaves, score}
+ */
+function assignPitcherDecisions(awayReplay, homeReplay, playerStats) {
+  var rules = BOX_SCORE_CONFIG.PITCHER_DECISIONS;
+  var game = walkGameForDecisions(awayReplay, homeReplay);
+
+  var result = {
+    complete: isGameComplete(awayReplay, homeReplay, game.score),
+    winner: null,
+    loser: null,
+    save: null,
+    holds: [],
+    blownSaves: [],
+    score: game.score
+  };
+
+  // Blown saves and holds belong to relievers of either team
+  for (var name in game.pitchers) {
+    var pitcher = game.pitchers[name];
+    if (pitcher.blownSave) result.blownSaves.push(name);
+  }
+
+  if (result.complete) {
+    var winningTeam = game.score.away > game.score.home ? 'away' : 'home';
+    var losingTeam = winningTeam === 'away' ? 'home' : 'away';
+    var goAhead = game.goAhead[winningTeam];
+
+    // Pitcher of record when the winners took the lead for good
+    var winner = goAhead ? goAhead.pitcherOfRecord : game.starters[winningTeam];
+    var starter = game.starters[winningTeam];
+    if (winner && winner === starter && game.pitchers[winner].outs < rules.STARTER_MIN_INNINGS * 3) {
+      winner = findMostEffectiveReliever(game, winningTeam) || winner;
+    }
+    result.winner = winner;
+
+    // Pitcher charged with the go-ahead run
+    result.loser = goAhead ? (goAhead.chargedPitcher || goAhead.losingPitcher) : game.starters[losingTeam];
+
+    var finisher = game.finishers[winningTeam];
+    if (finisher && finisher !== winner && qualifiesForSave(game.pitchers[finisher], rules)) {
+      result.save = finisher;
+    }
+  }
+
+  for (var name in game.pitchers) {
+    var pitcher = game.pitchers[name];
+    if (name === result.winner || name === result.save || name === game.finishers[pitcher.team]) continue;
+    if (pitcher.isStarter || pitcher.blownSave || !pitcher.enteredInSaveSituation) continue;
+    if (pitcher.outs > 0 && pitcher.leadAtExit !== null && pitcher.leadAtExit > 0) {
+      result.holds.push(name);
+    }
+  }
+
+  // Record decisions for every pitcher who appeared
+  for (var name in game.pitchers) {
+    if (!playerStats[name]) {
+      playerStats[name] = {};
+    }
+    playerStats[name].decisions = {
+      W: name === result.winner ? 1 : 0,
+      L: name === result.loser ? 1 : 0,
+      SV: name === result.save ? 1 : 0,
+      HLD: result.holds.indexOf(name) !== -1 ? 1 : 0,
+      BS: result.blownSaves.indexOf(name) !== -1 ? 1 : 0
+    };
+  }
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Decisions]: " + (result.complete ? "Final " : "In progress ") + game.score.away + "-" + game.score.home +
+               ", W: " + (result.winner || "-") + ", L: " + (result.loser || "-") + ", SV: " + (result.save || "-") +
+               ", HLD: " + (result.holds.join("/") || "-") + ", BS: " + (result.blownSaves.join("/") || "-"));
+  }
+
+  return result;
+}
+
+/**
+ * Walk every play in game order, tracking the score, lead changes and pitcher stints
+ * @param {Object} awayReplay - Replay of the away team batting
+ * @param {Object} homeReplay - Replay of the home team batting
+ * @return {Object} {score, pitchers, starters, finishers, goAhead}
+ */
+function walkGameForDecisions(awayReplay, homeReplay) {
+  var game = {
+    score: {away: 0, home: 0},
+    pitchers: {},                            // name -> stint info
+    starters: {away: findStartingPitcher(homeReplay), home: findStartingPitcher(awayReplay)},
+    finishers: {away: null, home: null},     // Last pitcher to face a batter for each team
+    goAhead: {away: null, home: null}        // Latest time each team took the lead
+  };
+
+  // Pitcher currently responsible for each team's defense
+  var current = {away: game.starters.away, home: game.starters.home};
+
+  var numInnings = Math.max(awayReplay.halfInnings.length, homeReplay.halfInnings.length);
+  for (var inning = 0; inning < numInnings; inning++) {
+    var halves = [
+      {batting: 'away', fielding: 'home', half: awayReplay.halfInnings[inning]},
+      {batting: 'home', fielding: 'away', half: homeReplay.halfInnings[inning]}
+    ];
+
+    for (var h = 0; h < halves.length; h++) {
+      if (!halves[h].half) continue;
+      var batting = halves[h].batting;
+      var fielding = halves[h].fielding;
+      var plays = halves[h].half.plays;
+
+      for (var i = 0; i < plays.length; i++) {
+        var play = plays[i];
+        if (!play.stats.valid) continue;
+
+        if ((play.isPlateAppearance || play.isRunnerEvent) && play.pitcher) {
+          var pitcher = enterPitcher(game, play.pitcher, fielding, play);
+          current[fielding] = play.pitcher;
+          game.finishers[fielding] = play.pitcher;
+          pitcher.outs += play.stats.outs;
+        }
+
+        for (var r = 0; r < play.runs.length; r++) {
+          scoreDecisionRun(game, batting, fielding, current, play.runs[r]);
+        }
+
+        for (var c = 0; c < play.pitcherChanges.length; c++) {
+          var departing = game.pitchers[play.pitcherChanges[c].from];
+          if (departing) departing.leadAtExit = getLead(game.score, fielding);
+          if (play.pitcherChanges[c].to) current[fielding] = play.pitcherChanges[c].to;
+        }
+      }
+    }
+  }
+
+  // Pitchers still in the game leave with the final score
+  for (var name in game.pitchers) {
+    if (game.pitchers[name].leadAtExit === null) {
+      game.pitchers[name].leadAtExit = getLead(game.score, game.pitchers[name].team);
+    }
+  }
+
+  return game;
+}
+
+/**
+ * Record a pitcher's first batter faced (their entry situation)
+ * @param {Object} game - Game walk state
+ * @param {string} name - Pitcher name
+ * @param {string} team - Pitcher's team ("away" or "home")
+ * @param {Object} play - First play the pitcher is on the mound for
+ * @return {Object} Pitcher stint info
+ */
+function enterPitcher(game, name, team, play) {
+  if (game.pitchers[name]) return game.pitchers[name];
+
+  var lead = getLead(game.score, team);
+  var runnersOn = countRunnersOnBase(play.basesBefore);
+
+  game.pitchers[name] = {
+    team: team,
+    isStarter: name === game.starters[team],
+    outs: 0,
+    entryLead: lead,
+    enteredInSaveSituation: name !== game.starters[team] && isSaveSituation(lead, runnersOn),
+    blownSave: false,
+    leadAtExit: null
+  };
+  return game.pitchers[name];
+}
+
+/**
+ * Apply one run to the score and track lead changes and blown saves
+ * @param {Object} game - Game walk state
+ * @param {string} batting - Team that scored
+ * @param {string} fielding - Team on defense
+ * @param {Object} current - Current pitcher for each team
+ * @param {Object} run - Run record from the replay
+ */
+function scoreDecisionRun(game, batting, fielding, current, run) {
+  var leadBefore = getLead(game.score, fielding);
+  game.score[batting]++;
+  var leadAfter = getLead(game.score, fielding);
+
+  // Defense lost its lead: blown save for a reliever who came in to protect it
+  if (leadBefore > 0 && leadAfter <= 0) {
+    var onMound = game.pitchers[current[fielding]];
+    if (onMound && onMound.enteredInSaveSituation) {
+      onMound.blownSave = true;
+    }
+  }
+
+  // Batting team went ahead
+  if (leadAfter < 0 && leadBefore >= 0) {
+    game.goAhead[batting] = {
+      pitcherOfRecord: current[batting],
+      chargedPitcher: run.pitcher,
+      losingPitcher: current[fielding]
+    };
+  }
+}
+
+/**
+ * Save situation when a reliever enters: leading by no more than SAVE_MAX_LEAD,
+ * or with the tying run on base, at bat or on deck
+ * @param {number} lead - Pitcher's team lead (negative when trailing)
+ * @param {number} runnersOn - Runners on base
+ * @return {boolean} True if a save situation
+ */
+function isSaveSituation(lead, runnersOn) {
+  if (lead <= 0) return false;
+  return lead <= BOX_SCORE_CONFIG.PITCHER_DECISIONS.SAVE_MAX_LEAD || lead <= runnersOn + 2;
+}
+
+/**
+ * Check whether the finishing pitcher earned a save
+ * @param {Object} pitcher - Pitcher stint info
+ * @param {Object} rules - BOX_SCORE_CONFIG.PITCHER_DECISIONS
+ * @return {boolean} True if the save rules are met
+ */
+function qualifiesForSave(pitcher, rules) {
+  if (pitcher.isStarter || pitcher.blownSave || pitcher.entryLead <= 0) return false;
+  if (pitcher.outs >= rules.SAVE_LONG_RELIEF_INNINGS * 3) return true;
+  if (!pitcher.enteredInSaveSituation) return false;
+  // A small lead needs a full inning; the tying run on deck needs no minimum
+  return pitcher.entryLead > rules.SAVE_MAX_LEAD || pitcher.outs >= rules.SAVE_MIN_INNINGS * 3;
+}
+
+/**
+ * Pick the winning team's reliever with the most outs (when the starter falls short)
+ * @param {Object} game - Game walk state
+ * @param {string} team - Winning team
+ * @return {string} Pitcher name or null if no reliever pitched
+ */
+function findMostEffectiveReliever(game, team) {
+  var best = null;
+  for (var name in game.pitchers) {
+    var pitcher = game.pitchers[name];
+    if (pitcher.team !== team || pitcher.isStarter) continue;
+    if (!best || pitcher.outs > game.pitchers[best].outs) {
+      best = name;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the first pitcher to face a batter in a replay
+ * @param {Object} replay - Replay of the opposing team batting
+ * @return {string} Starting pitcher name or null
+ */
+function findStartingPitcher(replay) {
+  for (var i = 0; i < replay.plays.length; i++) {
+    if (replay.plays[i].pitcher) return replay.plays[i].pitcher;
+  }
+  return null;
+}
+
+/**
+ * Check whether the game has reached a result
+ * Regulation length comes from getRegulationInnings; extra innings count once played.
+ * @param {Object} awayReplay - Replay of the away team batting
+ * @param {Object} homeReplay - Replay of the home team batting
+ * @param {Object} score - Final {away, home}
+ * @return {boolean} True when the game is over and not tied
+ */
+function isGameComplete(awayReplay, homeReplay, score) {
+  if (score.away === score.home) return false;
+
+  var lastInning = Math.max(findLastPlayedInning(awayReplay), findLastPlayedInning(homeReplay));
+  if (lastInning < getRegulationInnings()) return false;
+
+  // Top half must be finished; the bottom only matters if the home team is behind
+  var top = awayReplay.halfInnings[lastInning - 1];
+  if (!top || top.outs < 3) return false;
+  if (score.home > score.away) return true;
+
+  var bottom = homeReplay.halfInnings[lastInning - 1];
+  return !!bottom && bottom.outs >= 3;
+}
+
+/**
+ * Check whether the last inning column has been played to three outs in both halves
+ * with the score tied (time for another inning)
+ * @param {Object} awayReplay - Replay of the away team batting
+ * @param {Object} homeReplay - Replay of the home team batting
+ * @return {boolean} True if the game needs another inning
+ */
+function isTiedAfterLastInning(awayReplay, homeReplay) {
+  var numInnings = awayReplay.halfInnings.length;
+  if (numInnings === 0 || numInnings < getRegulationInnings()) return false;
+
+  var top = awayReplay.halfInnings[numInnings - 1];
+  var bottom = homeReplay.halfInnings[numInnings - 1];
+  if (!top || !bottom || top.outs < 3 || bottom.outs < 3) return false;
+
+  var awayRuns = 0;
+  var homeRuns = 0;
+  for (var i = 0; i < numInnings; i++) {
+    awayRuns += awayReplay.halfInnings[i].runs;
+    homeRuns += homeReplay.halfInnings[i] ? homeReplay.halfInnings[i].runs : 0;
+  }
+  return awayRuns === homeRuns;
+}
+
+/**
+ * Find the last inning (1-based) with at least one play
+ * @param {Object} replay - Team replay
+ * @return {number} Inning number, or 0 if nothing has been entered
+ */
+function findLastPlayedInning(replay) {
+  for (var i = replay.halfInnings.length - 1; i >= 0; i--) {
+    if (replay.halfInnings[i].plays.length > 0) return i + 1;
+  }
+  return 0;
+}
+
+/**
+ * A team's lead in the current score
+ * @param {Object} score - {away, home}
+ * @param {string} team - "away" or "home"
+ * @return {number} Runs ahead (negative when trailing)
+ */
+function getLead(score, team) {
+  return team === 'away' ? score.away - score.home : score.home - score.away;
+}
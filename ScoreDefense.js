@@ -0,0 +1,502 @@
+// ===== SCORE DEFENSE MODULE =====
+// Purpose: Logs every defensive position change with the at-bat cell it followed, and resolves fielders (E#/NP#) against the defense in effect at each play.
+// Dependencies: ScoreConfig.js, ScoreUtility.js (position history helpers, findPlayerRowByName, getOrCreateHiddenSheet,
+//               withDocumentLock, deleteMatchingRows), ScoreBaseState.js (replayTeamAtBats),
+//               ScoreGameSheet.js (readAtBatGrid), ScoreGame.js (indexFieldersByPosition), ScoreMetadata.js (isGameFinal),
+//               ScoreAudit.js (logAutomatedChange)
+// Entry Point(s): defensiveSwitch, recordPositionChange, removePositionChange, handlePositionEdit, buildDefensiveTimeline, placeDefensiveChanges,
+//                  findFielderAtPlay
+
+// Fielding positions by scoring number (index + 1): 1 = P ... 9 = RF
+var DEFENSIVE_POSITIONS = ['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF'];
+
+/**
+ * Move fielders to new positions (menu command)
+ * Takes one or more "Player POS" moves so a swap can be entered in one go.
+ * Pitching changes stay on the pitcher dropdowns (D3/D4).
+ */
+function defensiveSwitch() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+
+  if (isGameFinal(sheet)) {
+    ui.alert('Defensive Switch', 'This game is marked ' + BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS + '. Use Reopen Game to make changes.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var response = ui.prompt(
+    'Defensive Switch',
+    'Enter each move as "Player POS", separated by commas (e.g. "Luigi SS, Mario 2B").\n\n' +
+    'Pitching changes go through the pitcher dropdowns (' + BOX_SCORE_CONFIG.AWAY_PITCHER_CELL + '/' + BOX_SCORE_CONFIG.HOME_PITCHER_CELL + ').',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  var moves = parseDefensiveMoves(sheet, response.getResponseText());
+  if (moves.errors.length > 0) {
+    ui.alert('Defensive Switch', 'Nothing was changed:\n\n• ' + moves.errors.join('\n• '), ui.ButtonSet.OK);
+    return;
+  }
+
+  var posCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol;
+  var summary = [];
+  for (var i = 0; i < moves.list.length; i++) {
+    var move = moves.list[i];
+    var cell = sheet.getRange(move.row, posCol);
+    var current = getCurrentPosition(cell.getValue());
+    if (current === move.position) continue;
+
+    var before = String(cell.getValue()).trim();
+    cell.setValue(appendPosition(before, move.position));
+    logAutomatedChange(sheet, 'Defensive Switch', cell.getA1Notation(), before, cell.getValue(), move.name);
+    recordPositionChange(sheet, move.team, move.name, current, move.position);
+    summary.push(move.name + ' → ' + move.position);
+  }
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    summary.length > 0 ? summary.join(', ') : 'Everyone is already at that position',
+    'Defensive Switch',
+    3
+  );
+}
+
+/**
+ * Parse "Player POS, Player POS" into moves
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} text - Moves as typed
+ * @return {Object} {list: [{name, row, team, position}], errors: [string]}
+ */
+function parseDefensiveMoves(sheet, text) {
+  var result = {list: [], errors: []};
+  var nameCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.nameCol;
+  var parts = String(text).split(',');
+
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i].trim();
+    if (!part) continue;
+
+    var match = part.match(/^(.*\S)\s+(\S+)$/);
+    if (!match) {
+      result.errors.push('"' + part + '" - expected a player and a position');
+      continue;
+    }
+
+    var position = match[2].toUpperCase();
+    if (position === 'P' || DEFENSIVE_POSITIONS.indexOf(position) === -1) {
+      result.errors.push('"' + part + '" - position must be one of ' + DEFENSIVE_POSITIONS.slice(1).join(', '));
+      continue;
+    }
+
+    var row = findPlayerRowByName(sheet, match[1]);
+    if (row === -1) {
+      result.errors.push('"' + match[1] + '" is not in either lineup');
+      continue;
+    }
+
+    result.list.push({
+      name: String(sheet.getRange(row, nameCol).getValue()).trim(),
+      row: row,
+      team: getRosterTeam(row),
+      position: position
+    });
+  }
+
+  if (result.list.length === 0 && result.errors.length === 0) {
+    result.errors.push('No moves entered');
+  }
+  return result;
+}
+
+/**
+ * Record position changes typed straight into a position cell ("CF" → "CF / LF")
+ * Only appended positions are logged; rewriting the history is treated as a correction.
+ * @param {Sheet} sheet - The game sheet
+ * @param {number} row - Edited roster row
+ * @param {string} oldValue - Old cell value (from event)
+ * @param {string} newValue - New cell value
+ */
+function handlePositionEdit(sheet, row, oldValue, newValue) {
+  var oldHistory = getPositionHistory(oldValue || "");
+  var newHistory = getPositionHistory(newValue || "");
+  if (oldHistory.length === 0 || newHistory.length <= oldHistory.length) return;
+
+  for (var i = 0; i < oldHistory.length; i++) {
+    if (oldHistory[i].toUpperCase() !== newHistory[i].toUpperCase()) return;
+  }
+
+  var name = String(sheet.getRange(row, BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.nameCol).getValue()).trim();
+  if (!name) return;
+
+  for (var j = oldHistory.length; j < newHistory.length; j++) {
+    recordPositionChange(sheet, getRosterTeam(row), name, newHistory[j - 1], newHistory[j]);
+  }
+}
+
+/**
+ * Check if a cell is a roster position cell (column A of either fielding block)
+ * @param {number} row - Row number
+ * @param {number} col - Column number
+ * @return {boolean} True for position cells
+ */
+function isPositionCell(row, col) {
+  if (col !== BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol) return false;
+  return getRosterTeam(row) !== null;
+}
+
+/**
+ * Team for a fielding roster row
+ * @param {number} row - Row number
+ * @return {string} "away", "home", or null outside both rosters
+ */
+function getRosterTeam(row) {
+  var awayRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
+  var homeRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+  if (row >= awayRange.startRow && row <= awayRange.endRow) return 'away';
+  if (row >= homeRange.startRow && row <= homeRange.endRow) return 'home';
+  return null;
+}
+
+// ===== TIMELINE STORAGE =====
+
+/**
+ * Log a position change at the current point of the game
+ * The change is anchored to the last at-bat cell scored against the fielding team and
+ * takes effect from the play after it, wherever that play ends up once earlier cells
+ * are inserted, corrected or split.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {string} player - Player name as written on the game sheet
+ * @param {string} from - Position they left
+ * @param {string} to - Position they took
+ * @return {Object} {after, play, inning} where the change took effect (getDefensiveMoment)
+ */
+function recordPositionChange(sheet, team, player, from, to) {
+  var moment = getDefensiveMoment(sheet, team);
+  var timeline = getOrCreateHiddenSheet(sheet.getParent(), BOX_SCORE_CONFIG.DEFENSE_TIMELINE.SHEET_NAME);
+
+  if (timeline.getLastRow() === 0) {
+    timeline.appendRow(["Game", "Team", "Player", "From", "To", "Inning", "After", "Recorded"]);
+  }
+  timeline.appendRow([sheet.getName(), team, player, from || "", to, moment.inning, moment.after, new Date()]);
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Defense]: " + player + " " + (from || "-") + " → " + to + " after " + (moment.after || "no plays") +
+               ", inning " + moment.inning + " (Entity: " + sheet.getName() + " " + team + ")");
+  }
+  return moment;
+}
+
+/**
+ * Where the game stands for a fielding team: the last play scored against it and the current inning
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @return {Object} {after, play, inning} - after anchors the last play (formatPlayAnchor, "" before
+ *   the first one); play is how many plays the team has defended
+ */
+function getDefensiveMoment(sheet, team) {
+  var battingTeam = (team === 'away') ? 'home' : 'away';
+  var replay = replayTeamAtBats(readAtBatGrid(sheet, battingTeam === 'away'), [], []);
+
+  var inning = 1;
+  var last = null;
+  if (replay.plays.length > 0) {
+    last = replay.plays[replay.plays.length - 1];
+    var halfInning = replay.halfInnings[last.col];
+    inning = halfInning.outs >= 3 ? last.inning + 1 : last.inning;
+  }
+
+  return {after: formatPlayAnchor(last), play: replay.plays.length, inning: inning};
+}
+
+/**
+ * Count the plays a fielding team has defended since an anchored point
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {string} after - Anchor from getDefensiveMoment
+ * @return {number} Plays scored after the anchor
+ */
+function countPlaysSince(sheet, team, after) {
+  var battingTeam = (team === 'away') ? 'home' : 'away';
+  var atBatGrid = readAtBatGrid(sheet, battingTeam === 'away');
+  var replay = replayTeamAtBats(atBatGrid, [], []);
+  return replay.plays.length - findPlayAfterAnchor(replay, after, atBatGrid.length);
+}
+
+/**
+ * Read this game's logged position changes
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {away: changes, home: changes}, each [{player, from, to, inning, after}] in the order they were logged
+ */
+function readPositionChanges(sheet) {
+  var changes = {away: [], home: []};
+  var timeline = sheet.getParent().getSheetByName(BOX_SCORE_CONFIG.DEFENSE_TIMELINE.SHEET_NAME);
+  if (!timeline || timeline.getLastRow() < 2) return changes;
+
+  var values = timeline.getRange(2, 1, timeline.getLastRow() - 1, 7).getValues();
+  var gameName = sheet.getName();
+  for (var i = 0; i < values.length; i++) {
+    if (values[i][0] !== gameName || !changes[values[i][1]]) continue;
+    changes[values[i][1]].push({
+      player: String(values[i][2]),
+      from: String(values[i][3]),
+      to: String(values[i][4]),
+      inning: Number(values[i][5]),
+      after: String(values[i][6])
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Drop logged position changes for a game sheet name (e.g. before a new game reuses it)
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {string} gameName - Game sheet name
+ */
+function clearPositionChanges(ss, gameName) {
+  var timeline = ss.getSheetByName(BOX_SCORE_CONFIG.DEFENSE_TIMELINE.SHEET_NAME);
+  if (!timeline) return;
+
+  withDocumentLock(function() {
+    deleteMatchingRows(timeline, 1, function(row) {
+      return row[0] === gameName;
+    });
+  });
+}
+
+/**
+ * Remove one logged position change (the latest matching entry), e.g. when a pitcher change is undone
+ * The row is deleted in place under the document lock, so entries logged meanwhile are kept.
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} move - {team, player, from, to, after} as returned when it was logged
+ * @return {boolean} True if an entry was removed
+ */
+function removePositionChange(sheet, move) {
+  var timeline = sheet.getParent().getSheetByName(BOX_SCORE_CONFIG.DEFENSE_TIMELINE.SHEET_NAME);
+  if (!timeline) return false;
+
+  return withDocumentLock(function() {
+    if (timeline.getLastRow() < 2) return false;
+
+    var values = timeline.getRange(2, 1, timeline.getLastRow() - 1, 8).getValues();
+    for (var i = values.length - 1; i >= 0; i--) {
+      if (values[i][0] === sheet.getName() && values[i][1] === move.team && String(values[i][2]) === move.player &&
+          String(values[i][3]) === (move.from || "") && String(values[i][4]) === move.to && String(values[i][6]) === move.after) {
+        timeline.deleteRow(i + 2);
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+// ===== FIELDER ATTRIBUTION =====
+
+/**
+ * Build a fielding team's defensive timeline
+ * Starting positions come from the first entry of each position history. A team with
+ * position changes on the sheet but none logged (games scored before the timeline
+ * existed) is marked legacy and credits end-of-game positions.
+ * Segments stay empty until placeDefensiveChanges has the replay to place the changes in.
+ * @param {Array<Array>} roster - Fielding team's [[position history, name]] rows
+ * @param {Array<Object>} changes - The team's logged changes in logged order (readPositionChanges)
+ * @return {Object} {starting: {POS: name}, changes: [...], segments: [{fromPlay, holders}], legacy}
+ */
+function buildDefensiveTimeline(roster, changes) {
+  var starting = {};
+  var moved = false;
+  for (var i = 0; i < roster.length; i++) {
+    var name = String(roster[i][1]).trim();
+    var history = getPositionHistory(roster[i][0]);
+    if (!name || history.length === 0) continue;
+
+    var start = toFieldingPosition(history[0]);
+    if (!starting[start]) starting[start] = name;
+    if (history.length > 1) moved = true;
+  }
+
+  return {starting: starting, changes: changes, segments: [], legacy: moved && changes.length === 0};
+}
+
+/**
+ * Place a timeline's changes in the batting team's replay
+ * Each change takes effect at the first play after its anchor cell, so it stays with
+ * that cell when earlier at-bats are inserted, corrected or split with "/". Who holds
+ * each position is worked out once per change here, so looking up the fielder for a
+ * play is just a walk back through the segments.
+ * @param {Object} timeline - Result of buildDefensiveTimeline; changes become [{player, from, to, inning, after, play}]
+ *   in play order, play being the index of the first play in the replay the change applies to
+ * @param {Object} replay - Batting team's replay (replayTeamAtBats)
+ * @param {number} numBatters - Lineup slots in the at-bat grid
+ */
+function placeDefensiveChanges(timeline, replay, numBatters) {
+  var placed = timeline.changes.map(function(change, index) {
+    return {
+      change: {player: change.player, from: change.from, to: change.to, inning: change.inning, after: change.after,
+               play: findPlayAfterAnchor(replay, change.after, numBatters)},
+      index: index
+    };
+  });
+
+  // Stable sort: changes after the same play keep the order they were made in
+  placed.sort(function(a, b) {
+    return a.change.play !== b.change.play ? a.change.play - b.change.play : a.index - b.index;
+  });
+  placed = placed.map(function(entry) {
+    return entry.change;
+  });
+
+  timeline.changes = placed;
+  timeline.segments = buildDefensiveSegments(timeline.starting, placed);
+}
+
+/**
+ * Who holds each position from each logged change on
+ * Changes logged at the same play are folded into one segment.
+ * @param {Object} starting - {POS: name} before the first change
+ * @param {Array<Object>} changes - [{player, to, play}] in play order, play being the first play they apply to
+ * @return {Array<Object>} [{fromPlay, holders: {POS: name}}] in play order
+ */
+function buildDefensiveSegments(starting, changes) {
+  var segments = [];
+  var holders = {};
+  for (var pos in starting) {
+    holders[pos] = starting[pos];
+  }
+
+  for (var i = 0; i < changes.length; i++) {
+    var change = changes[i];
+    for (var held in holders) {
+      if (holders[held] === change.player) delete holders[held];
+    }
+    holders[toFieldingPosition(change.to)] = change.player;
+
+    if (i + 1 < changes.length && changes[i + 1].play === change.play) continue;
+
+    var snapshot = {};
+    for (var p in holders) {
+      snapshot[p] = holders[p];
+    }
+    segments.push({fromPlay: change.play, holders: snapshot});
+  }
+  return segments;
+}
+
+/**
+ * Who was playing a position at a given play
+ * @param {Object} timeline - Result of buildDefensiveTimeline, placed with placeDefensiveChanges
+ * @param {Object} rosterMap - Player roster map (for legacy games)
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {number} position - Position number (1=P ... 9=RF)
+ * @param {number} playIndex - Index of the play in the batting team's replay
+ * @return {string} Player name or null
+ */
+function findFielderAtPlay(timeline, rosterMap, team, position, playIndex) {
+  var target = DEFENSIVE_POSITIONS[position - 1];
+  if (!target) return null;
+
+  if (timeline.legacy) {
+    if (!timeline.endOfGame) timeline.endOfGame = indexFieldersByPosition(rosterMap, team);
+    return timeline.endOfGame[target] || null;
+  }
+
+  var holders = timeline.starting;
+  for (var i = timeline.segments.length - 1; i >= 0; i--) {
+    if (timeline.segments[i].fromPlay <= playIndex) {
+      holders = timeline.segments[i].holders;
+      break;
+    }
+  }
+
+  return holders[target] || null;
+}
+
+/**
+ * Map a position marker to the fielding position it means
+ * @param {string} position - e.g. "SS", "SP", "RP2"
+ * @return {string} Fielding position ("P" for SP/RP#)
+ */
+function toFieldingPosition(position) {
+  var value = String(position).trim().toUpperCase();
+  return /^(SP|RP\d*)$/.test(value) ? 'P' : value;
+}
+
+// ===== PLAY ANCHORS =====
+
+/**
+ * Anchor for the point just after a play: the at-bat cell it was scored in
+ * @param {Object} play - Play record from the replay, or null before the first play
+ * @return {string} e.g. "inning 3, slot 4, pass 1" ("" before the first play)
+ */
+function formatPlayAnchor(play) {
+  if (!play) return "";
+  return "inning " + play.inning + ", slot " + (play.batterIndex + 1) + ", pass " + (play.pass + 1);
+}
+
+/**
+ * Read an anchor written by formatPlayAnchor
+ * Timelines logged before anchors existed hold a play count, which is kept as is.
+ * @param {*} value - Anchor as stored
+ * @return {Object} {col, batterIndex, pass}, {play} for a stored play count, or null before the first play
+ */
+function parsePlayAnchor(value) {
+  var text = String(value === null || value === undefined ? "" : value).trim();
+  if (/^\d+$/.test(text)) return {play: Number(text)};
+
+  var match = text.match(/^inning (\d+), slot (\d+), pass (\d+)$/i);
+  if (!match) return null;
+  return {col: Number(match[1]) - 1, batterIndex: Number(match[2]) - 1, pass: Number(match[3]) - 1};
+}
+
+/**
+ * Index of the first play after an anchor in a replay
+ * Plays are ordered by inning, then trip through the order, then slot from that
+ * inning's leadoff - the order replayTeamAtBats walks them in - so an anchor still
+ * places correctly if its own cell has since been cleared.
+ * @param {Object} replay - Batting team's replay
+ * @param {string} after - Anchor (formatPlayAnchor)
+ * @param {number} numBatters - Lineup slots in the at-bat grid
+ * @return {number} Play index (replay.plays.length when nothing follows it)
+ */
+function findPlayAfterAnchor(replay, after, numBatters) {
+  var anchor = parsePlayAnchor(after);
+  if (!anchor) return 0;
+  if (anchor.play !== undefined) return Math.min(anchor.play, replay.plays.length);
+
+  var key = getPlayOrderKey(replay, anchor.col, anchor.pass, anchor.batterIndex, numBatters);
+  var index = 0;
+  while (index < replay.plays.length) {
+    var play = replay.plays[index];
+    if (comparePlayOrderKeys(getPlayOrderKey(replay, play.col, play.pass, play.batterIndex, numBatters), key) > 0) break;
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Sort key for a cell in replay order
+ * @param {Object} replay - Batting team's replay
+ * @param {number} col - Inning column (0-based)
+ * @param {number} pass - Trip through the order (0-based)
+ * @param {number} batterIndex - Lineup slot (0-based)
+ * @param {number} numBatters - Lineup slots in the at-bat grid
+ * @return {Array<number>} [col, pass, steps from the leadoff]
+ */
+function getPlayOrderKey(replay, col, pass, batterIndex, numBatters) {
+  var halfInning = replay.halfInnings[col];
+  var leadoff = halfInning ? halfInning.leadoff : 0;
+  return [col, pass, (batterIndex - leadoff + numBatters) % numBatters];
+}
+
+/**
+ * Compare two keys from getPlayOrderKey
+ * @param {Array<number>} a - First key
+ * @param {Array<number>} b - Second key
+ * @return {number} Negative, zero or positive
+ */
+function comparePlayOrderKeys(a, b) {
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
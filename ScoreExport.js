@@ -0,0 +1,394 @@
+// ===== SCORE EXPORT MODULE =====
+// Purpose: Exports a game's box score as JSON (schema below) and per-table CSV files saved to Drive.
+// Dependencies: ScoreConfig.js, ScoreGameSheet.js (readGame), ScoreMetadata.js (formatGameHeadline), ScoreNotation.js (calculateIP, describeBase)
+// Entry Point(s): exportCurrentGame (menu), exportGame (other scripts), buildGameExport, buildExportTables, formatCsv
+//
+// JSON schema (version EXPORT_SCHEMA_VERSION). Names are as written on the game sheet;
+// playerId is the league roster ID ("" when the roster doesn't know the player).
+// {
+//   schema: "clb-box-score", version: 1, exportedAt: ISO timestamp,
+//   game: {sheet, awayTeam, homeTeam, awayLabel, homeLabel, date ("yyyy-MM-dd" or ""), week, status, final, complete},
+//   lineScore: {innings, away: {runs: [per inning, null = not batted, "X" = not needed], R, H, E}, home: {...}},
+//   decisions: {winner, loser, save, holds: [names], blownSaves: [names]},
+//   rosters: {away: [player], home: [player]} - lineup (starter: true, slot 1-9) then bench subs (subInning set)
+//     player: {name, playerId, starter, slot, subInning, positions: [history], position,
+//              hitting: {AB, H, HR, RBI, BB, K, ROB, DP, TB, R, SF} | null,
+//              pitching: {IP, outs, BF, H, HR, R, ER, BB, K} | null, fielding: {NP, E, SB} | null,
+//              decisions: {W, L, SV, HLD, BS} | null}
+//   positionChanges: [{team, player, from, to, inning, play, after}] - play is the index into the batting team's plays
+//     the change applies from; after is the at-bat cell it followed ("inning 3, slot 4, pass 1", "" before the first play)
+//   plays: [{team, inning, half ("top"/"bottom"), sequence, slot, batter, pitcher, notation, valid, plateAppearance,
+//            outcome, rbi, hits, outsBefore, outsAfter, basesBefore: [1st, 2nd, 3rd], basesAfter,
+//            runs: [{runner, pitcher, earned}], runnersOut: [{runner, base}], pitcherChanges: [{from, to, inheritedRunners}]}]
+//     - every cell of the at-bat grid in the order it was played (sequence counts from 1 across the game)
+// }
+
+var EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Export the active game sheet to Drive (menu command)
+ */
+function exportCurrentGame() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+
+  if (!sheet.getName().startsWith(BOX_SCORE_CONFIG.GAME_SHEET_PREFIX)) {
+    ui.alert('Export Game', 'Open a game sheet (' + BOX_SCORE_CONFIG.GAME_SHEET_PREFIX + '1, ' +
+             BOX_SCORE_CONFIG.GAME_SHEET_PREFIX + '2, ...) first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var result = exportGame(sheet);
+
+  var message = result.headline + "\n\n";
+  message += "Saved to the \"" + result.folder.getName() + "\" folder in Drive:\n";
+  for (var i = 0; i < result.files.length; i++) {
+    message += "  " + result.files[i].getName() + "\n";
+  }
+
+  ui.alert('Export Game', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Export one game to Drive: a JSON file and the configured CSV tables
+ * Callable from other scripts (e.g. through a library); nothing here needs the sheet to be active,
+ * and the game sheet is only read.
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {data, headline, folder, files} - data is the JSON object that was saved (see the schema above)
+ */
+function exportGame(sheet) {
+  var game = readGame(sheet);
+  var data = buildGameExport(game);
+  var tables = buildExportTables(data);
+
+  var folder = getExportFolder();
+  var baseName = sheet.getParent().getName() + " " + sheet.getName();
+  var files = [saveExportFile(folder, baseName + ".json", JSON.stringify(data, null, 2), "application/json")];
+
+  var names = BOX_SCORE_CONFIG.EXPORT.CSV_TABLES;
+  for (var i = 0; i < names.length; i++) {
+    if (!tables[names[i]]) {
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("WARN [Export]: Unknown CSV table \"" + names[i] + "\" in EXPORT.CSV_TABLES - skipped (Entity: " + sheet.getName() + ")");
+      }
+      continue;
+    }
+    files.push(saveExportFile(folder, baseName + " - " + names[i] + ".csv", formatCsv(tables[names[i]]), "text/csv"));
+  }
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Export]: Saved " + files.length + " files to " + folder.getName() + " (Entity: " + sheet.getName() + ")");
+  }
+
+  return {data: data, headline: formatGameHeadline(game.metadata), folder: folder, files: files};
+}
+
+// ===== BUILDING =====
+
+/**
+ * Serialize a box score to the export schema (plain values only, safe for JSON.stringify)
+ * @param {Object} game - Box score from readGame / buildGame
+ * @return {Object} Export object (see the schema at the top of this file)
+ */
+function buildGameExport(game) {
+  var metadata = game.metadata || {};
+  var data = {
+    schema: "clb-box-score",
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    game: {
+      sheet: game.name,
+      awayTeam: metadata.awayTeam || "",
+      homeTeam: metadata.homeTeam || "",
+      awayLabel: game.away.label,
+      homeLabel: game.home.label,
+      date: metadata.dateText || "",
+      week: metadata.week || "",
+      status: metadata.status || "",
+      final: !!metadata.final,
+      complete: game.lineScore.complete
+    },
+    lineScore: {
+      innings: game.lineScore.innings,
+      away: copyExportLine(game.lineScore.away),
+      home: copyExportLine(game.lineScore.home)
+    },
+    decisions: {
+      winner: game.decisions.winner,
+      loser: game.decisions.loser,
+      save: game.decisions.save,
+      holds: game.decisions.holds.slice(),
+      blownSaves: game.decisions.blownSaves.slice()
+    },
+    rosters: {away: buildExportRoster(game.away), home: buildExportRoster(game.home)},
+    positionChanges: [],
+    plays: []
+  };
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var changes = game[teams[t]].positionChanges;
+    for (var c = 0; c < changes.length; c++) {
+      data.positionChanges.push({team: teams[t], player: changes[c].player, from: changes[c].from, to: changes[c].to,
+                                 inning: changes[c].inning, play: changes[c].play, after: changes[c].after});
+    }
+  }
+
+  // Top then bottom of each inning, so sequence follows the game
+  var numInnings = Math.max(game.away.replay.halfInnings.length, game.home.replay.halfInnings.length);
+  for (var inning = 0; inning < numInnings; inning++) {
+    for (var t = 0; t < teams.length; t++) {
+      var halfInning = game[teams[t]].replay.halfInnings[inning];
+      if (!halfInning) continue;
+      for (var p = 0; p < halfInning.plays.length; p++) {
+        data.plays.push(buildExportPlay(halfInning.plays[p], teams[t], data.plays.length + 1));
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * One team's lineup and bench in the export schema
+ * @param {Object} team - Team from the box score
+ * @return {Array<Object>} Export players, lineup first
+ */
+function buildExportRoster(team) {
+  var players = [];
+
+  for (var i = 0; i < team.players.length; i++) {
+    var player = team.players[i];
+    players.push(buildExportPlayer(player, {starter: true, slot: player.slot + 1, subInning: null,
+                                            positions: player.positions.slice(), position: player.position}));
+  }
+
+  for (var s = 0; s < team.bench.length; s++) {
+    var sub = team.bench[s];
+    players.push(buildExportPlayer(sub, {starter: false, slot: sub.slot + 1, subInning: sub.inning,
+                                         positions: [], position: ""}));
+  }
+
+  return players;
+}
+
+/**
+ * One player in the export schema
+ * @param {Object} entry - Box score player or bench entry
+ * @param {Object} fields - {starter, slot, subInning, positions, position}
+ * @return {Object} Export player
+ */
+function buildExportPlayer(entry, fields) {
+  var p = entry.pitching;
+  return {
+    name: entry.name,
+    playerId: entry.leaguePlayer ? entry.leaguePlayer.id : "",
+    starter: fields.starter,
+    slot: fields.slot,
+    subInning: fields.subInning,
+    positions: fields.positions,
+    position: fields.position,
+    hitting: copyExportStats(entry.hitting, ['AB', 'H', 'HR', 'RBI', 'BB', 'K', 'ROB', 'DP', 'TB', 'R', 'SF']),
+    pitching: p ? {IP: calculateIP(p.outs), outs: p.outs, BF: p.BF, H: p.H, HR: p.HR, R: p.R, ER: p.ER, BB: p.BB, K: p.K} : null,
+    fielding: copyExportStats(entry.fielding, ['NP', 'E', 'SB']),
+    decisions: copyExportStats(entry.decisions, ['W', 'L', 'SV', 'HLD', 'BS'])
+  };
+}
+
+/**
+ * One play record in the export schema
+ * @param {Object} play - Play record from the replay
+ * @param {string} team - Batting team ("away" or "home")
+ * @param {number} sequence - Position of the play in the game (from 1)
+ * @return {Object} Export play
+ */
+function buildExportPlay(play, team, sequence) {
+  var stats = play.stats;
+  return {
+    team: team,
+    inning: play.inning,
+    half: team === 'away' ? "top" : "bottom",
+    sequence: sequence,
+    slot: play.batterIndex + 1,
+    batter: play.batter || "",
+    pitcher: play.pitcher || "",
+    notation: play.value,
+    valid: stats.valid,
+    plateAppearance: play.isPlateAppearance,
+    outcome: stats.valid ? stats.outcome : "",
+    rbi: stats.valid ? stats.R : 0,
+    hits: stats.valid ? stats.H : 0,
+    outsBefore: play.outsBefore,
+    outsAfter: play.outsAfter,
+    basesBefore: getExportBaseNames(play.basesBefore),
+    basesAfter: getExportBaseNames(play.basesAfter),
+    runs: play.runs.map(function(run) {
+      return {runner: run.runner, pitcher: run.pitcher, earned: run.earned};
+    }),
+    runnersOut: play.runnersOut.map(function(out) {
+      return {runner: out.runner, base: describeBase(out.base)};
+    }),
+    pitcherChanges: play.pitcherChanges.map(function(change) {
+      return {from: change.from, to: change.to, inheritedRunners: change.inheritedRunners};
+    })
+  };
+}
+
+/**
+ * Runner names on first, second and third
+ * @param {Array} bases - Base state from a play record
+ * @return {Array<string>} Names ("" for an empty base)
+ */
+function getExportBaseNames(bases) {
+  return (bases || [null, null, null]).map(function(runner) {
+    return runner ? runner.name : "";
+  });
+}
+
+/**
+ * Copy the named stats of a stat group
+ * @param {Object} stats - Stat group (or null)
+ * @param {Array<string>} keys - Stats to copy, in order
+ * @return {Object} Copy, or null when the group is null
+ */
+function copyExportStats(stats, keys) {
+  if (!stats) return null;
+  var copy = {};
+  for (var i = 0; i < keys.length; i++) {
+    copy[keys[i]] = stats[keys[i]] || 0;
+  }
+  return copy;
+}
+
+/**
+ * Copy one team's line
+ * @param {Object} line - {runs, R, H, E}
+ * @return {Object} Copy
+ */
+function copyExportLine(line) {
+  return {runs: line.runs.slice(), R: line.R, H: line.H, E: line.E};
+}
+
+/**
+ * Flatten an export object into CSV tables, one header row each
+ * @param {Object} data - Result of buildGameExport
+ * @return {Object} {game, rosters, positions, plate_appearances, hitting, pitching, fielding, line_score} - 2D arrays
+ */
+function buildExportTables(data) {
+  var sheetName = data.game.sheet;
+  var tables = {
+    game: [["game", "away_team", "home_team", "date", "week", "status", "final", "complete",
+            "away_runs", "home_runs", "winner", "loser", "save"]],
+    rosters: [["game", "team", "player", "player_id", "starter", "slot", "sub_inning", "position", "positions"]],
+    positions: [["game", "team", "player", "from", "to", "inning", "play", "after"]],
+    plate_appearances: [["game", "sequence", "team", "inning", "half", "slot", "batter", "pitcher", "notation", "valid",
+                         "plate_appearance", "outcome", "rbi", "hits", "outs_before", "outs_after", "runs", "runners_out", "pitcher_changes"]],
+    hitting: [["game", "team", "player", "player_id", "AB", "H", "HR", "RBI", "BB", "K", "ROB", "DP", "TB", "R", "SF"]],
+    pitching: [["game", "team", "player", "player_id", "IP", "outs", "BF", "H", "HR", "R", "ER", "BB", "K",
+                "W", "L", "SV", "HLD", "BS"]],
+    fielding: [["game", "team", "player", "player_id", "NP", "E", "SB"]],
+    line_score: [["game", "team"]]
+  };
+
+  tables.game.push([sheetName, data.game.awayTeam, data.game.homeTeam, data.game.date, data.game.week, data.game.status,
+                    data.game.final, data.game.complete, data.lineScore.away.R, data.lineScore.home.R,
+                    data.decisions.winner || "", data.decisions.loser || "", data.decisions.save || ""]);
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var team = teams[t];
+    var roster = data.rosters[team];
+
+    for (var i = 0; i < roster.length; i++) {
+      var player = roster[i];
+      var key = [sheetName, team, player.name, player.playerId];
+      tables.rosters.push(key.concat([player.starter, player.slot, player.subInning === null ? "" : player.subInning,
+                                      player.position, player.positions.join(" / ")]));
+
+      if (player.hitting) {
+        var h = player.hitting;
+        tables.hitting.push(key.concat([h.AB, h.H, h.HR, h.RBI, h.BB, h.K, h.ROB, h.DP, h.TB, h.R, h.SF]));
+      }
+      if (player.pitching) {
+        var p = player.pitching;
+        var d = player.decisions || {W: 0, L: 0, SV: 0, HLD: 0, BS: 0};
+        tables.pitching.push(key.concat([p.IP, p.outs, p.BF, p.H, p.HR, p.R, p.ER, p.BB, p.K, d.W, d.L, d.SV, d.HLD, d.BS]));
+      }
+      if (player.fielding) {
+        tables.fielding.push(key.concat([player.fielding.NP, player.fielding.E, player.fielding.SB]));
+      }
+    }
+
+    var line = data.lineScore[team];
+    tables.line_score.push([sheetName, team].concat(line.runs.map(function(runs) {
+      return runs === null ? "" : runs;
+    })).concat([line.R, line.H, line.E]));
+  }
+
+  for (var i = 1; i <= data.lineScore.innings; i++) {
+    tables.line_score[0].push(String(i));
+  }
+  tables.line_score[0].push("R", "H", "E");
+
+  for (var c = 0; c < data.positionChanges.length; c++) {
+    var change = data.positionChanges[c];
+    tables.positions.push([sheetName, change.team, change.player, change.from, change.to, change.inning, change.play, change.after]);
+  }
+
+  for (var s = 0; s < data.plays.length; s++) {
+    var play = data.plays[s];
+    tables.plate_appearances.push([
+      sheetName, play.sequence, play.team, play.inning, play.half, play.slot, play.batter, play.pitcher, play.notation,
+      play.valid, play.plateAppearance, play.outcome, play.rbi, play.hits, play.outsBefore, play.outsAfter,
+      play.runs.map(function(run) { return run.runner; }).join("; "),
+      play.runnersOut.map(function(out) { return out.runner + " at " + out.base; }).join("; "),
+      play.pitcherChanges.map(function(change) { return change.from + " > " + change.to; }).join("; ")
+    ]);
+  }
+
+  return tables;
+}
+
+/**
+ * Format rows as CSV (RFC 4180: fields with commas, quotes or line breaks are quoted)
+ * @param {Array<Array>} rows - Rows of values (null becomes an empty field)
+ * @return {string} CSV text with CRLF line endings
+ */
+function formatCsv(rows) {
+  return rows.map(function(row) {
+    return row.map(function(value) {
+      var text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(",");
+  }).join("\r\n") + "\r\n";
+}
+
+// ===== DRIVE =====
+
+/**
+ * The export folder, created in My Drive if missing
+ * @return {Folder} Folder named EXPORT.FOLDER_NAME
+ */
+function getExportFolder() {
+  var name = BOX_SCORE_CONFIG.EXPORT.FOLDER_NAME;
+  var folders = DriveApp.getFoldersByName(name);
+  return folders.hasNext() ? folders.next() : DriveApp.createFolder(name);
+}
+
+/**
+ * Write a file to the export folder, replacing the content of one with the same name
+ * @param {Folder} folder - Export folder
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type for a new file
+ * @return {File} The saved file
+ */
+function saveExportFile(folder, name, content, mimeType) {
+  var existing = folder.getFilesByName(name);
+  if (existing.hasNext()) {
+    var file = existing.next();
+    file.setContent(content);
+    return file;
+  }
+  return folder.createFile(name, content, mimeType);
+}
@@ -0,0 +1,458 @@
+// ===== SCORE GAME MODULE =====
+// Purpose: Pure game model: turns plain values (rosters, position history, bench subs, at-bat grids) into the complete box score.
+// Dependencies: ScoreConfig.js, ScoreBaseState.js (replayTeamAtBats), ScoreDefense.js (buildDefensiveTimeline, placeDefensiveChanges, findFielderAtPlay),
+//               ScoreDecisions.js (assignPitcherDecisions), ScoreLineScore.js (buildLineScore), ScoreMetadata.js (getTeamLabel),
+//               ScoreRoster.js (findLeaguePlayer), ScoreSubstitutions.js (groupSubstitutionsBySlot), ScoreCache.js (readHalfInningCache),
+//               ScoreUtility.js (position history helpers)
+// Entry Point(s): buildGame, buildRosterMap, buildLineup, buildPitcherTimeline
+//
+// Nothing here touches a sheet: ScoreGameSheet.js reads the input from a game sheet and
+// writes the box score back, and every viewer, the season builder and the exports work
+// from the same box score object.
+
+/**
+ * Build the box score for one game
+ * Input per team: roster [[position history, name]] in lineup order, subs [{slot (0-based), name, inning}],
+ * atBats [batter][inning] cells (extra innings appended), positionChanges logged for its fielders (readPositionChanges).
+ * @param {Object} input - {name, metadata, league, away: {roster, subs, atBats, positionChanges}, home: {...}}
+ *   metadata (readGameMetadata) and league (readLeagueRoster) are optional
+ * @param {Object} options - {halfInningCache: true to reuse half-innings replayed by earlier runs} (optional)
+ * @return {Object} {name, metadata, away, home, lineScore, decisions, unknownPlayers} - teams as in buildTeamBox
+ */
+function buildGame(input, options) {
+  options = options || {};
+  var metadata = input.metadata || {};
+  var rosterMap = buildRosterMap({away: input.away.roster, home: input.home.roster}, input.league, metadata);
+  var playerStats = {};
+
+  var pitchers = {
+    away: buildPitcherTimeline(input.away.roster, input.away.positionChanges),
+    home: buildPitcherTimeline(input.home.roster, input.home.positionChanges)
+  };
+  var replays = {};
+  var defenses = {};
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var batting = teams[t];
+    var fielding = batting === 'away' ? 'home' : 'away';
+    defenses[fielding] = buildDefensiveTimeline(input[fielding].roster, input[fielding].positionChanges || []);
+
+    replays[batting] = processTeamAtBats(input[batting].atBats, batting, rosterMap, playerStats, input[batting].subs || [],
+                                         pitchers[fielding], defenses[fielding], options.halfInningCache);
+  }
+
+  // Decisions need both replays (they walk the score inning by inning)
+  var decisions = assignPitcherDecisions(replays.away, replays.home, playerStats);
+
+  var game = {
+    name: input.name || "",
+    metadata: metadata,
+    away: buildTeamBox('away', input.away, rosterMap, playerStats, input.league, metadata, defenses.away),
+    home: buildTeamBox('home', input.home, rosterMap, playerStats, input.league, metadata, defenses.home),
+    lineScore: buildLineScore(replays.away, replays.home),
+    decisions: decisions,
+    unknownPlayers: []
+  };
+  game.away.pitchers = pitchers.away;
+  game.home.pitchers = pitchers.home;
+  game.away.replay = replays.away;
+  game.home.replay = replays.home;
+
+  // Lineups first (away, home), then benches - the order the sheet lists them in
+  var lists = [game.away.players, game.home.players, game.away.bench, game.home.bench];
+  var placed = {};
+  for (var l = 0; l < lists.length; l++) {
+    for (var p = 0; p < lists[l].length; p++) {
+      placed[lists[l][p].name] = true;
+      if (lists[l][p].unknown) game.unknownPlayers.push(lists[l][p].name);
+    }
+  }
+
+  for (var name in playerStats) {
+    if (placed[name]) continue;
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Game]: Stats for " + name + " left out of the box score - not in either lineup or bench (Entity: " + game.name + ")");
+    }
+  }
+
+  return game;
+}
+
+/**
+ * One team's side of the box score
+ * Every stat group is null for a player it doesn't apply to (e.g. pitching for a non-pitcher).
+ * @param {string} side - "away" or "home"
+ * @param {Object} team - This team's part of the buildGame input
+ * @param {Object} rosterMap - Player roster map
+ * @param {Object} playerStats - Stats from processTeamAtBats and assignPitcherDecisions
+ * @param {Object} league - Result of readLeagueRoster (optional)
+ * @param {Object} metadata - Game header (optional)
+ * @param {Object} defense - This team's defensive timeline, placed in the opponent's replay (placeDefensiveChanges)
+ * @return {Object} {side, label, players, bench, positionChanges}
+ *   positionChanges: [{player, from, to, inning, after, play}] in play order
+ *   players: [{slot, name, positions, position, leaguePlayer, unknown, hitting, pitching, fielding, decisions}] in lineup order
+ *   bench: the subs as given plus {team, leaguePlayer, unknown, hitting, pitching, fielding, decisions}
+ */
+function buildTeamBox(side, team, rosterMap, playerStats, league, metadata, defense) {
+  var box = {side: side, label: getTeamLabel(metadata, side), players: [], bench: [], positionChanges: defense.changes};
+
+  var roster = team.roster || [];
+  for (var i = 0; i < roster.length; i++) {
+    var name = String(roster[i][1]).trim();
+    if (!name || rosterMap[name].team !== side || rosterMap[name].batterIndex !== i) continue;   // Repeated names keep the last row
+
+    box.players.push(addPlayerStats({
+      slot: i,
+      name: name,
+      positions: getPositionHistory(roster[i][0]),
+      position: rosterMap[name].position,
+      leaguePlayer: rosterMap[name].leaguePlayer,
+      unknown: rosterMap[name].unknown
+    }, playerStats[name]));
+  }
+
+  var subs = team.subs || [];
+  for (var s = 0; s < subs.length; s++) {
+    var entry = {};
+    for (var key in subs[s]) {
+      entry[key] = subs[s][key];
+    }
+    entry.team = side;
+    resolveRosterPlayer(entry, subs[s].name, league, metadata);
+    box.bench.push(addPlayerStats(entry, playerStats[subs[s].name]));
+  }
+
+  return box;
+}
+
+/**
+ * Copy a player's stat groups onto a box score entry
+ * @param {Object} entry - Box score entry (updated in place)
+ * @param {Object} stats - {hitting, pitching, fielding, decisions} from playerStats (optional)
+ * @return {Object} The entry
+ */
+function addPlayerStats(entry, stats) {
+  stats = stats || {};
+  entry.hitting = stats.hitting || null;
+  entry.pitching = stats.pitching || null;
+  entry.fielding = stats.fielding || null;
+  entry.decisions = stats.decisions || null;
+  return entry;
+}
+
+/**
+ * Build roster map for quick player lookup
+ * With a league roster, each player is also resolved to a league player (by name or
+ * alias); names the league roster doesn't know are flagged unknown.
+ * @param {Object} rosters - {away: rows, home: rows}, each [[position history, name]] in lineup order
+ * @param {Object} league - Result of readLeagueRoster (optional)
+ * @param {Object} metadata - Game header, used to pick between same-named players (optional)
+ * @return {Object} Map of player name to {position, team, batterIndex, leaguePlayer, unknown}
+ */
+function buildRosterMap(rosters, league, metadata) {
+  var map = {};
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var rows = rosters[teams[t]] || [];
+    for (var i = 0; i < rows.length; i++) {
+      var name = String(rows[i][1]).trim();
+      if (!name) continue;
+
+      map[name] = {
+        position: getCurrentPosition(rows[i][0]),
+        team: teams[t],
+        batterIndex: i  // 0-8 for lineup position
+      };
+      resolveRosterPlayer(map[name], name, league, metadata);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Attach the league player for one game-sheet name
+ * @param {Object} entry - Roster map or bench entry with its team (updated in place)
+ * @param {string} name - Name as written on the game sheet
+ * @param {Object} league - Result of readLeagueRoster (optional)
+ * @param {Object} metadata - Game header (optional)
+ */
+function resolveRosterPlayer(entry, name, league, metadata) {
+  entry.leaguePlayer = null;
+  entry.unknown = false;
+  if (!league || !league.found) return;
+
+  var teamName = metadata ? (entry.team === 'away' ? metadata.awayTeam : metadata.homeTeam) : "";
+  entry.leaguePlayer = findLeaguePlayer(league, name, teamName || "");
+  entry.unknown = !entry.leaguePlayer;
+}
+
+/**
+ * Build the batting order for a team from the roster map
+ * @param {Object} rosterMap - Player roster map
+ * @param {string} team - "away" or "home"
+ * @return {Array<string>} Player names indexed by lineup slot (0-8)
+ */
+function buildLineup(rosterMap, team) {
+  var lineup = [];
+  for (var name in rosterMap) {
+    if (rosterMap[name].team === team) {
+      lineup[rosterMap[name].batterIndex] = name;
+    }
+  }
+  return lineup;
+}
+
+/**
+ * Build pitcher timeline from position history (SP, RP1, RP2, etc.)
+ * A bench player brought in to pitch has no roster row, so their RP# comes from the
+ * logged position changes instead.
+ * @param {Array<Array>} roster - Fielding team's [[position history, name]] rows
+ * @param {Array<Object>} changes - Fielding team's logged position changes [{player, to}] (optional)
+ * @return {Array} Array of pitcher names in order: [SP, RP1, RP2, ...]
+ */
+function buildPitcherTimeline(roster, changes) {
+  var timeline = [];
+  var onRoster = {};
+
+  for (var i = 0; i < (roster || []).length; i++) {
+    var positionCell = roster[i][0];
+    var name = String(roster[i][1]).trim();
+
+    if (name) onRoster[name] = true;
+    if (!name || !positionCell) continue;
+
+    var history = getPositionHistory(positionCell);
+
+    // Check for SP (starting pitcher)
+    for (var j = 0; j < history.length; j++) {
+      if (history[j] === 'SP') {
+        timeline[0] = name;
+      }
+
+      // Check for RP# (relief pitchers)
+      var rpMatch = history[j].match(/^RP(\d+)$/);
+      if (rpMatch) {
+        var rpNum = parseInt(rpMatch[1]);
+        timeline[rpNum] = name;
+      }
+    }
+  }
+
+  for (var c = 0; c < (changes || []).length; c++) {
+    var logged = String(changes[c].to).match(/^RP(\d+)$/);
+    if (logged && !onRoster[changes[c].player] && !timeline[parseInt(logged[1])]) {
+      timeline[parseInt(logged[1])] = changes[c].player;
+    }
+  }
+
+  return timeline;
+}
+
+/**
+ * Process at-bats for one team
+ * Replays the grid through the base-out state engine, then credits each play:
+ * hitting to the batter, pitching to the pitcher on the mound, and every run to the
+ * pitcher responsible for the runner who scored (inherited runners included).
+ * Each plate appearance goes to whoever held the lineup slot in that inning, and each
+ * E#/NP# to whoever played that position at the time of the play.
+ * @param {Array} atBatGrid - 2D array of at-bat values
+ * @param {string} battingTeam - "away" or "home"
+ * @param {Object} rosterMap - Player roster map
+ * @param {Object} playerStats - Stats storage object (modified in place)
+ * @param {Array<Object>} subs - Batting team's subs
+ * @param {Array<string>} pitcherTimeline - Fielding team's pitchers in order (buildPitcherTimeline)
+ * @param {Object} defense - Fielding team's defensive timeline (buildDefensiveTimeline)
+ * @param {boolean} useCache - Reuse half-innings from the document cache (ScoreCache.js)
+ * @return {Object} Replay of the team's at-bats (see replayTeamAtBats)
+ */
+function processTeamAtBats(atBatGrid, battingTeam, rosterMap, playerStats, subs, pitcherTimeline, defense, useCache) {
+  var fieldingTeam = (battingTeam === 'away') ? 'home' : 'away';
+  var lineup = buildLineup(rosterMap, battingTeam);
+
+  var substitutions = groupSubstitutionsBySlot(subs);
+  var cache = useCache ? readHalfInningCache(atBatGrid, lineup, pitcherTimeline, substitutions) : null;
+  var replay = replayTeamAtBats(atBatGrid, lineup, pitcherTimeline, substitutions, cache);
+  placeDefensiveChanges(defense, replay, atBatGrid.length);
+
+  for (var i = 0; i < replay.plays.length; i++) {
+    var play = replay.plays[i];
+    var stats = play.stats;
+
+    // Cells that break the grammar contribute nothing until they are fixed
+    if (!stats.valid) {
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("WARN [Processor]: Skipping invalid notation '" + play.value + "': " + stats.errors.join('; ') + " (Entity: " + battingTeam + " batter " + (play.batterIndex + 1) + ", inning " + play.inning + ")");
+      }
+      continue;
+    }
+
+    // Runs are charged to whoever put the runner on base, even after a pitcher change,
+    // and credited to the runner who crossed the plate (the batter too on a HR)
+    for (var r = 0; r < play.runs.length; r++) {
+      var responsiblePitcher = play.runs[r].pitcher;
+      if (responsiblePitcher) {
+        initPitchingStats(playerStats, responsiblePitcher);
+        playerStats[responsiblePitcher].pitching.R += 1;
+        if (play.runs[r].earned) {
+          playerStats[responsiblePitcher].pitching.ER += 1;
+        }
+      }
+
+      var runnerName = play.runs[r].runner;
+      if (runnerName) {
+        initHittingStats(playerStats, runnerName);
+        playerStats[runnerName].hitting.R += 1;
+      }
+    }
+
+    // A play on the bases ("CS", "WP") has no at-bat: the pitcher gets any outs, the
+    // runner the steal and the fielder the nice play
+    if (play.isRunnerEvent) {
+      if (play.pitcher && stats.outs > 0) {
+        initPitchingStats(playerStats, play.pitcher);
+        playerStats[play.pitcher].pitching.outs += stats.outs;
+      }
+      if (play.stolenBy) {
+        initHittingStats(playerStats, play.stolenBy);
+        if (!playerStats[play.stolenBy].fielding) {
+          playerStats[play.stolenBy].fielding = {NP: 0, E: 0, SB: 0};
+        }
+        playerStats[play.stolenBy].fielding.SB += 1;
+      }
+      if (stats.isNicePlay && stats.nicePlayPosition) {
+        var runnerFielder = findFielderAtPlay(defense, rosterMap, fieldingTeam, stats.nicePlayPosition, i);
+        if (runnerFielder) {
+          if (!playerStats[runnerFielder]) {
+            playerStats[runnerFielder] = {};
+          }
+          if (!playerStats[runnerFielder].fielding) {
+            playerStats[runnerFielder].fielding = {NP: 0, E: 0, SB: 0};
+          }
+          playerStats[runnerFielder].fielding.NP += 1;
+        }
+      }
+      continue;
+    }
+
+    // Standalone PC notation has no at-bat to credit
+    if (!play.isPlateAppearance) continue;
+
+    var batterName = play.batter;
+    if (!batterName) continue;
+
+    var activePitcher = play.pitcher;
+
+    // Initialize player stats if needed
+    initHittingStats(playerStats, batterName);
+    if (!playerStats[batterName].fielding) {
+      playerStats[batterName].fielding = {NP: 0, E: 0, SB: 0};
+    }
+
+    // Apply hitting stats
+    playerStats[batterName].hitting.AB += stats.AB;
+    playerStats[batterName].hitting.H += stats.H;
+    playerStats[batterName].hitting.HR += stats.HR;
+    playerStats[batterName].hitting.RBI += stats.R;  // R from notation = RBI for batter
+    playerStats[batterName].hitting.BB += stats.BB;
+    playerStats[batterName].hitting.K += stats.K;
+    playerStats[batterName].hitting.DP += stats.DP ? 1 : 0;
+    playerStats[batterName].hitting.TB += stats.TB;
+    playerStats[batterName].hitting.SF += stats.outcome === 'SF' ? 1 : 0;  // Season OBP only (no sheet column)
+
+    // Apply pitching stats (to active pitcher)
+    if (activePitcher) {
+      initPitchingStats(playerStats, activePitcher);
+      playerStats[activePitcher].pitching.BF += stats.BF;
+      playerStats[activePitcher].pitching.outs += stats.outs;
+      playerStats[activePitcher].pitching.H += stats.H;
+      playerStats[activePitcher].pitching.HR += stats.HR;
+      playerStats[activePitcher].pitching.BB += stats.BB;
+      playerStats[activePitcher].pitching.K += stats.K;
+    }
+
+    // Handle fielding stats (NP, E)
+    if (stats.isNicePlay && stats.nicePlayPosition) {
+      var fielder = findFielderAtPlay(defense, rosterMap, fieldingTeam, stats.nicePlayPosition, i);
+      if (fielder) {
+        if (!playerStats[fielder]) {
+          playerStats[fielder] = {};
+        }
+        if (!playerStats[fielder].fielding) {
+          playerStats[fielder].fielding = {NP: 0, E: 0, SB: 0};
+        }
+        playerStats[fielder].fielding.NP += 1;
+        // Add ROB to batter
+        playerStats[batterName].hitting.ROB += 1;
+      }
+    }
+
+    if (stats.isError && stats.errorPosition) {
+      var fielder = findFielderAtPlay(defense, rosterMap, fieldingTeam, stats.errorPosition, i);
+      if (fielder) {
+        if (!playerStats[fielder]) {
+          playerStats[fielder] = {};
+        }
+        if (!playerStats[fielder].fielding) {
+          playerStats[fielder].fielding = {NP: 0, E: 0, SB: 0};
+        }
+        playerStats[fielder].fielding.E += 1;
+      }
+    }
+
+    // Handle stolen bases
+    if (stats.SB) {
+      playerStats[batterName].fielding.SB += 1;
+    }
+  }
+
+  return replay;
+}
+
+/**
+ * Initialize pitching stats for a pitcher if needed
+ * @param {Object} playerStats - Stats storage object (modified in place)
+ * @param {string} pitcherName - Pitcher name
+ */
+function initPitchingStats(playerStats, pitcherName) {
+  if (!playerStats[pitcherName]) {
+    playerStats[pitcherName] = {};
+  }
+  if (!playerStats[pitcherName].pitching) {
+    playerStats[pitcherName].pitching = {BF: 0, outs: 0, H: 0, HR: 0, R: 0, ER: 0, BB: 0, K: 0};
+  }
+}
+
+/**
+ * Initialize hitting stats for a batter if needed
+ * @param {Object} playerStats - Stats storage object (modified in place)
+ * @param {string} batterName - Batter name
+ */
+function initHittingStats(playerStats, batterName) {
+  if (!playerStats[batterName]) {
+    playerStats[batterName] = {};
+  }
+  if (!playerStats[batterName].hitting) {
+    playerStats[batterName].hitting = {AB: 0, H: 0, HR: 0, RBI: 0, BB: 0, K: 0, ROB: 0, DP: 0, TB: 0, R: 0, SF: 0};
+  }
+}
+
+/**
+ * Index a team's players by current (end-of-game) fielding position
+ * Used for games whose position changes were never logged; SP/RP# count as P.
+ * The first player listed at a position keeps it.
+ * @param {Object} rosterMap - Player roster map
+ * @param {string} team - "away" or "home"
+ * @return {Object} {POS: name}, e.g. {"P": "Mario", "SS": "Luigi"}
+ */
+function indexFieldersByPosition(rosterMap, team) {
+  var index = {};
+  for (var name in rosterMap) {
+    if (rosterMap[name].team !== team) continue;
+    var position = toFieldingPosition(rosterMap[name].position);
+    if (!index[position]) index[position] = name;
+  }
+  return index;
+}
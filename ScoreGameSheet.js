@@ -0,0 +1,220 @@
+// ===== SCORE GAME SHEET MODULE =====
+// Purpose: Thin adapters between a game sheet (laid out by BOX_SCORE_CONFIG) and the game model in ScoreGame.js.
+// Dependencies: ScoreConfig.js, ScoreGame.js (buildGame, buildRosterMap, buildLineup), ScoreMetadata.js (readGameMetadata),
+//               ScoreRoster.js (readLeagueRoster), ScoreSubstitutions.js (readSubstitutions), ScoreDefense.js (readPositionChanges),
+//               ScoreLineScore.js (writeLineScore), ScoreUtility.js (getAtBatBlocks, createEmptyBatch, writeChangedRows), ScoreNotation.js (calculateIP)
+// Entry Point(s): readGame, readGameInput, writeGame, readRosters, readLineup, readAtBatGrid
+
+// ===== READING =====
+
+/**
+ * Read a game sheet and build its box score
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} Box score (see buildGame)
+ */
+function readGame(sheet) {
+  return buildGame(readGameInput(sheet), {halfInningCache: true});
+}
+
+/**
+ * Everything the game model needs from a game sheet, as plain values
+ * A starting pitcher still marked "P" is read as "SP", so the sheet itself is left alone
+ * (the processors write the same change through normalizeStartingPitchers).
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} Input for buildGame; each bench sub keeps the sheet row it was read from
+ */
+function readGameInput(sheet) {
+  var rosters = readRosters(sheet);
+  var changes = readPositionChanges(sheet);
+  var input = {
+    name: sheet.getName(),
+    metadata: readGameMetadata(sheet),
+    league: readLeagueRoster(sheet.getParent())
+  };
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    input[teams[t]] = {
+      roster: markStartingPitcher(rosters[teams[t]]),
+      subs: readSubstitutions(sheet, teams[t]).subs,
+      atBats: readAtBatGrid(sheet, teams[t] === 'away'),
+      positionChanges: changes[teams[t]]
+    };
+  }
+
+  return input;
+}
+
+/**
+ * Read both fielding rosters (positions and names in one batch per team)
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {away: rows, home: rows}, each [[position history, name]] in lineup order
+ */
+function readRosters(sheet) {
+  var rosters = {};
+  var ranges = {away: BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE, home: BOX_SCORE_CONFIG.HOME_PITCHER_RANGE};
+
+  for (var team in ranges) {
+    var range = ranges[team];
+    var firstCol = Math.min(range.positionCol, range.nameCol);
+    var values = sheet.getRange(range.startRow, firstCol, range.numPlayers, Math.abs(range.nameCol - range.positionCol) + 1).getValues();
+    rosters[team] = values.map(function(row) {
+      return [row[range.positionCol - firstCol], row[range.nameCol - firstCol]];
+    });
+  }
+
+  return rosters;
+}
+
+/**
+ * Roster rows with a bare "P" read as "SP" (in memory only)
+ * @param {Array<Array>} roster - [[position history, name]] rows
+ * @return {Array<Array>} Copy of the rows
+ */
+function markStartingPitcher(roster) {
+  return roster.map(function(row) {
+    return [row[0] === 'P' ? 'SP' : row[0], row[1]];
+  });
+}
+
+/**
+ * Batting order written on the sheet (starters only; see getSlotOccupant for subs)
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ * @return {Array<string>} Player names indexed by lineup slot (0-8)
+ */
+function readLineup(sheet, team) {
+  return buildLineup(buildRosterMap(readRosters(sheet)), team);
+}
+
+/**
+ * Read at-bat grid for a team
+ * Regulation innings and any extra innings are joined into one grid, so column
+ * index + 1 is always the inning number.
+ * @param {Sheet} sheet - The game sheet
+ * @param {boolean} isAway - True for away team, false for home team
+ * @return {Array} 2D array of at-bat values
+ */
+function readAtBatGrid(sheet, isAway) {
+  var blocks = getAtBatBlocks(sheet, isAway ? 'away' : 'home');
+  var grid = null;
+
+  for (var b = 0; b < blocks.length; b++) {
+    var block = blocks[b];
+    var values = sheet.getRange(block.startRow, block.startCol, block.numRows, block.numCols).getValues();
+    if (!grid) {
+      grid = values;
+      continue;
+    }
+    for (var r = 0; r < grid.length; r++) {
+      grid[r] = grid[r].concat(values[r]);
+    }
+  }
+
+  return grid;
+}
+
+// ===== WRITING =====
+
+/**
+ * Write a box score's stats and line score to its game sheet
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} game - Box score from readGame
+ */
+function writeGame(sheet, game) {
+  writeGameStats(sheet, game);
+  writeLineScore(sheet, game);
+}
+
+/**
+ * Write all player stats to the sheet in batch
+ * The target values for every stat row are built first, then only rows that differ
+ * from what the sheet already shows are written (see writeChangedRows).
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} game - Box score from readGame
+ */
+function writeGameStats(sheet, game) {
+  var pCols = BOX_SCORE_CONFIG.PITCHER_STATS_COLUMNS;
+  var hCols = BOX_SCORE_CONFIG.HITTING_STATS_COLUMNS;
+  var ranges = {away: BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE, home: BOX_SCORE_CONFIG.HOME_PITCHER_RANGE};
+  var hittingRange = BOX_SCORE_CONFIG.HITTING_RANGE;
+  var bench = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+
+  // 1. Roster block I-X (pitching, fielding and decisions side by side) for both teams
+  var rosterStartRow = ranges.away.startRow;
+  var rosterTarget = [];
+  for (var row = rosterStartRow; row < ranges.home.startRow + ranges.home.numPlayers; row++) {
+    rosterTarget.push(null);   // Header and totals rows stay untouched
+  }
+
+  // 2. Hitting block C-L: both lineups, then both benches (blank rows without a sub)
+  var hittingStartRow = hittingRange.awayStartRow;
+  var hittingTarget = [];
+  for (var row = hittingStartRow; row < bench.HOME_START_ROW + bench.NUM_ROWS; row++) {
+    hittingTarget.push(null);
+  }
+  var blankRow = createEmptyBatch(1, hittingRange.numStatCols)[0].map(function() { return ""; });
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var team = game[teams[t]];
+    var range = ranges[teams[t]];
+    var hittingRow = (teams[t] === 'away') ? hittingRange.awayStartRow : hittingRange.homeStartRow;
+    var benchRow = (teams[t] === 'away') ? bench.AWAY_START_ROW : bench.HOME_START_ROW;
+
+    var rosterRows = createEmptyBatch(range.numPlayers, 16);   // IP ... K, NP, E, SB, ER, W ... BS
+    var hittingRows = createEmptyBatch(hittingRange.numPlayers, hittingRange.numStatCols);
+    for (var i = 0; i < team.players.length; i++) {
+      var player = team.players[i];
+      rosterRows[player.slot] = formatRosterStatRow(player);
+      if (player.hitting) hittingRows[player.slot] = formatHittingStatRow(player.hitting);
+    }
+
+    for (var r = 0; r < range.numPlayers; r++) {
+      rosterTarget[range.startRow - rosterStartRow + r] = rosterRows[r];
+    }
+    for (var r = 0; r < hittingRange.numPlayers; r++) {
+      hittingTarget[hittingRow - hittingStartRow + r] = hittingRows[r];
+    }
+    for (var r = 0; r < bench.NUM_ROWS; r++) {
+      hittingTarget[benchRow - hittingStartRow + r] = blankRow.slice();
+    }
+    for (var s = 0; s < team.bench.length; s++) {
+      var sub = team.bench[s];
+      hittingTarget[sub.row - hittingStartRow] = sub.hitting ? formatHittingStatRow(sub.hitting) :
+                                                                createEmptyBatch(1, hittingRange.numStatCols)[0];
+    }
+  }
+
+  // 3. Write only the rows that changed - no clearing first, so the blocks never flash to zero
+  var writes = writeChangedRows(sheet, rosterStartRow, pCols.IP, rosterTarget) +
+               writeChangedRows(sheet, hittingStartRow, hCols.AB, hittingTarget);
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Processor]: Wrote " + writes + " changed stat range(s) (Entity: " + sheet.getName() + ")");
+  }
+}
+
+/**
+ * One roster row's stats, columns I-X
+ * @param {Object} player - Box score player
+ * @return {Array} [IP, BF, H, HR, R, BB, K, NP, E, SB, ER, W, L, SV, HLD, BS] (zeros for missing groups)
+ */
+function formatRosterStatRow(player) {
+  var p = player.pitching;
+  var f = player.fielding;
+  var d = player.decisions;
+  return (p ? [calculateIP(p.outs), p.BF, p.H, p.HR, p.R, p.BB, p.K] : [0, 0, 0, 0, 0, 0, 0])
+    .concat(f ? [f.NP, f.E, f.SB] : [0, 0, 0])
+    .concat([p ? p.ER : 0])
+    .concat(d ? [d.W, d.L, d.SV, d.HLD, d.BS] : [0, 0, 0, 0, 0]);
+}
+
+/**
+ * One hitting row's stats, columns C-L
+ * @param {Object} h - Hitting stats
+ * @return {Array} [AB, H, HR, RBI, BB, K, ROB, DP, TB, R]
+ */
+function formatHittingStatRow(h) {
+  return [h.AB, h.H, h.HR, h.RBI, h.BB, h.K, h.ROB, h.DP, h.TB, h.R];
+}
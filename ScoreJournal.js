@@ -0,0 +1,265 @@
+// ===== SCORE JOURNAL MODULE =====
+// Purpose: Journals the side effects of each pitcher dropdown change (position swaps, PC# notation, timeline entries, bench pitcher substitutions) so they can be undone exactly.
+// Dependencies: ScoreConfig.js, ScoreMetadata.js (isGameFinal), ScoreDefense.js (getDefensiveMoment, countPlaysSince, removePositionChange), ScoreAudit.js (logAutomatedChange),
+//               ScoreUtility.js (getOrCreateHiddenSheet, withDocumentLock, deleteMatchingRows), ScoreTriggers.js (processGameStatsBulkBackground)
+// Entry Point(s): undoLastPitcherChange, recordPitcherChange, findRevertedPitcherChange, undoPitcherChange
+
+// Journal sheet columns: Game, Cell, From, To, After (anchor of the last play scored), Effects (JSON), Recorded
+var JOURNAL_NUM_COLS = 7;
+
+/**
+ * Undo the most recent pitcher change on the active game sheet (menu command)
+ * Restores both position cells, removes the PC# notation and the timeline entries,
+ * and sets the pitcher dropdown back. Running it again steps further back.
+ */
+function undoLastPitcherChange() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+
+  if (isGameFinal(sheet)) {
+    ui.alert('Undo Pitcher Change', 'This game is marked ' + BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS + '. Use Reopen Game to make changes.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var change = findLastPitcherChange(sheet, null);
+  if (!change) {
+    ui.alert('Undo Pitcher Change', 'No pitcher changes to undo on ' + sheet.getName() + '.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var question = 'Undo ' + change.from + ' → ' + change.to + ' (' + change.cell + ')?';
+  var playsSince = countPlaysSince(sheet, getPitcherCellTeam(change.cell), change.after);
+  if (playsSince > 0) {
+    question += '\n\n' + playsSince + ' play(s) have been scored since - they will be credited to ' + change.from + '.';
+  }
+  if (ui.alert('Undo Pitcher Change', question, ui.ButtonSet.YES_NO) !== ui.Button.YES) return;
+
+  try {
+    var skipped = undoPitcherChange(sheet, change);
+    var message = change.to + ' → ' + change.from + ' undone.';
+    if (skipped.length > 0) {
+      message += '\n\nLeft as is (changed since):\n• ' + skipped.join('\n• ');
+    }
+    ui.alert('Undo Pitcher Change', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    ui.alert(
+      'Undo Pitcher Change Error',
+      'An error occurred while undoing the pitcher change:\n\n' +
+      error.toString() + '\n\n' +
+      'Please check the Apps Script logs for details.',
+      ui.ButtonSet.OK
+    );
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("ERROR [Journal]: " + error.toString() + " (Entity: " + sheet.getName() + "!" + change.cell + ")");
+    }
+  }
+}
+
+/**
+ * Journal a pitcher change and everything the automation did for it
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} cell - Pitcher dropdown cell (D3 or D4)
+ * @param {string} from - Previous pitcher
+ * @param {string} to - New pitcher
+ * @param {Object} effects - {positions: [{row, before, after, move, substitution}], notation: {cell, before, after} or null}
+ *   move is the logged timeline entry {team, player, from, to, after}, or null; a bench pitcher has row null
+ *   and the substitution {row, slot, name, inning} written for them, if any
+ */
+function recordPitcherChange(sheet, cell, from, to, effects) {
+  if (effects.positions.length === 0 && !effects.notation) return;
+
+  var moment = getDefensiveMoment(sheet, getPitcherCellTeam(cell));
+  var journal = getOrCreateHiddenSheet(sheet.getParent(), BOX_SCORE_CONFIG.CHANGE_JOURNAL.SHEET_NAME);
+
+  if (journal.getLastRow() === 0) {
+    journal.appendRow(["Game", "Cell", "From", "To", "After", "Effects", "Recorded"]);
+  }
+  journal.appendRow([sheet.getName(), cell, from, to, moment.after, JSON.stringify(effects), new Date()]);
+}
+
+/**
+ * Latest journaled pitcher change for a game sheet
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} cell - Only changes made on this dropdown (null for either)
+ * @return {Object} {cell, from, to, after, effects, journalRow}, or null
+ */
+function findLastPitcherChange(sheet, cell) {
+  var journal = sheet.getParent().getSheetByName(BOX_SCORE_CONFIG.CHANGE_JOURNAL.SHEET_NAME);
+  if (!journal || journal.getLastRow() < 2) return null;
+
+  var values = journal.getRange(2, 1, journal.getLastRow() - 1, JOURNAL_NUM_COLS).getValues();
+  for (var i = values.length - 1; i >= 0; i--) {
+    if (values[i][0] !== sheet.getName()) continue;
+    if (cell && values[i][1] !== cell) continue;
+
+    try {
+      return {
+        cell: String(values[i][1]),
+        from: String(values[i][2]),
+        to: String(values[i][3]),
+        after: String(values[i][4]),
+        effects: JSON.parse(values[i][5]),
+        journalRow: i + 2
+      };
+    } catch (error) {
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("WARN [Journal]: Ignoring unreadable journal row " + (i + 2) + ": " + error.toString() + " (Entity: " + sheet.getName() + ")");
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a dropdown edit just switches back to the previous pitcher
+ * It only counts as a revert while no plays have been scored since the change;
+ * after that, going back to the old pitcher is a real (re-entry) change.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} cell - Pitcher dropdown cell (D3 or D4)
+ * @param {string} oldValue - Pitcher before the edit
+ * @param {string} newValue - Pitcher after the edit
+ * @return {Object} The journaled change to undo, or null
+ */
+function findRevertedPitcherChange(sheet, cell, oldValue, newValue) {
+  var change = findLastPitcherChange(sheet, cell);
+  if (!change || change.to !== oldValue || change.from !== newValue) return null;
+
+  return getDefensiveMoment(sheet, getPitcherCellTeam(cell)).after === change.after ? change : null;
+}
+
+/**
+ * Undo a journaled pitcher change
+ * Cells are only restored if they still hold what the automation wrote; anything
+ * edited since is left alone and reported.
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} change - Result of findLastPitcherChange
+ * @return {Array<string>} Cells that were left as is
+ */
+function undoPitcherChange(sheet, change) {
+  var posCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol;
+  var skipped = [];
+
+  for (var i = 0; i < change.effects.positions.length; i++) {
+    var effect = change.effects.positions[i];
+
+    // A bench pitcher has no position cell, only the timeline entry (and maybe a substitution)
+    if (effect.row) {
+      var range = sheet.getRange(effect.row, posCol);
+      if (String(range.getValue()).trim() !== effect.after) {
+        skipped.push(range.getA1Notation() + ' (now "' + range.getValue() + '")');
+        continue;
+      }
+      range.setValue(effect.before);
+      logAutomatedChange(sheet, 'Undo Pitcher Change', range.getA1Notation(), effect.after, effect.before, effect.move ? effect.move.player : "");
+    }
+    if (effect.move) removePositionChange(sheet, effect.move);
+    if (effect.substitution && !undoSubstitution(sheet, effect.substitution)) {
+      skipped.push(sheet.getRange(effect.substitution.row, BOX_SCORE_CONFIG.SUBSTITUTIONS.NAME_COL).getA1Notation() + ' (edited since)');
+    }
+  }
+
+  var notation = change.effects.notation;
+  if (notation) {
+    var atBat = sheet.getRange(notation.cell);
+    if (String(atBat.getValue()) === notation.after) {
+      atBat.setValue(notation.before);
+      logAutomatedChange(sheet, 'Undo Pitcher Change', notation.cell, notation.after, notation.before, joinAuditPlayers([change.from, change.to]));
+    } else {
+      skipped.push(notation.cell + ' (now "' + atBat.getValue() + '")');
+    }
+  }
+
+  // Menu undo: the dropdown still shows the new pitcher
+  var dropdown = sheet.getRange(change.cell);
+  if (String(dropdown.getValue()) === change.to) {
+    dropdown.setValue(change.from);
+    logAutomatedChange(sheet, 'Undo Pitcher Change', change.cell, change.to, change.from, joinAuditPlayers([change.from, change.to]));
+  }
+
+  removeJournalRow(sheet.getParent(), change.journalRow, sheet.getName());
+
+  if (BOX_SCORE_CONFIG.AUTO_PROCESS_ON_AT_BAT) {
+    processGameStatsBulkBackground(sheet);
+  }
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    change.to + ' → ' + change.from + ' undone' + (skipped.length > 0 ? ' (' + skipped.length + ' cell(s) left as is)' : ''),
+    'Pitcher Change',
+    3
+  );
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Journal]: Undid " + change.from + " → " + change.to + (skipped.length > 0 ? ", skipped " + skipped.join(", ") : "") +
+               " (Entity: " + sheet.getName() + "!" + change.cell + ")");
+  }
+  return skipped;
+}
+
+/**
+ * Clear the bench row written for a bench pitcher, if it still holds that substitution
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} substitution - {row, slot, name, inning} as written
+ * @return {boolean} True if the row was cleared
+ */
+function undoSubstitution(sheet, substitution) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  var range = sheet.getRange(substitution.row, 1, 1, config.INNING_COL);
+  var values = range.getValues()[0];
+  if (String(values[config.NAME_COL - 1]).trim() !== substitution.name || Number(values[config.SLOT_COL - 1]) !== substitution.slot + 1 ||
+      Number(values[config.INNING_COL - 1]) !== substitution.inning) {
+    return false;
+  }
+
+  range.clearContent();
+  logAutomatedChange(sheet, 'Undo Pitcher Change', sheet.getRange(substitution.row, config.NAME_COL).getA1Notation(),
+                     substitution.name + ' for slot ' + (substitution.slot + 1) + ' from inning ' + substitution.inning, "", substitution.name);
+  return true;
+}
+
+/**
+ * Delete one journal row in place, under the document lock so a change journaled
+ * meanwhile by another scorer is kept
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {number} row - Journal row to remove
+ * @param {string} gameName - Game sheet the row belongs to (the row is left alone if it no longer does)
+ */
+function removeJournalRow(ss, row, gameName) {
+  var journal = ss.getSheetByName(BOX_SCORE_CONFIG.CHANGE_JOURNAL.SHEET_NAME);
+  if (!journal) return;
+
+  withDocumentLock(function() {
+    if (row < 2 || row > journal.getLastRow() || journal.getRange(row, 1).getValue() !== gameName) {
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("WARN [Journal]: Journal row " + row + " moved before it could be removed (Entity: " + gameName + ")");
+      }
+      return;
+    }
+    journal.deleteRow(row);
+  });
+}
+
+/**
+ * Drop journaled pitcher changes for a game sheet name (e.g. before a new game reuses it)
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {string} gameName - Game sheet name
+ */
+function clearPitcherChanges(ss, gameName) {
+  var journal = ss.getSheetByName(BOX_SCORE_CONFIG.CHANGE_JOURNAL.SHEET_NAME);
+  if (!journal) return;
+
+  withDocumentLock(function() {
+    deleteMatchingRows(journal, 1, function(row) {
+      return row[0] === gameName;
+    });
+  });
+}
+
+/**
+ * Fielding team for a pitcher dropdown
+ * @param {string} cell - D3 or D4
+ * @return {string} "away" or "home"
+ */
+function getPitcherCellTeam(cell) {
+  return (cell === BOX_SCORE_CONFIG.AWAY_PITCHER_CELL) ? 'away' : 'home';
+}
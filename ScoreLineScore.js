@@ -0,0 +1,119 @@
+// ===== SCORE LINE SCORE MODULE =====
+// Purpose: Builds the line score (runs per inning, R/H/E) and final score from the replayed grids.
+// Dependencies: ScoreConfig.js, ScoreBaseState.js, ScoreDecisions.js (isGameComplete),
+//               ScoreUtility.js (writeChangedRows)
+// Entry Point(s): buildLineScore, writeLineScore
+
+/**
+ * Build the line score from both teams' replays
+ * Innings a team hasn't batted in yet are null; a home half that was never needed
+ * because the home team was already ahead is "X".
+ * @param {Object} awayReplay - Replay of the away team batting
+ * @param {Object} homeReplay - Replay of the home team batting
+ * @return {Object} {innings, away: {runs, R, H, E}, home: {runs, R, H, E}, complete}
+ */
+function buildLineScore(awayReplay, homeReplay) {
+  var numInnings = Math.max(awayReplay.halfInnings.length, homeReplay.halfInnings.length);
+
+  var lineScore = {
+    innings: numInnings,
+    away: buildTeamLine(awayReplay, homeReplay, numInnings),
+    home: buildTeamLine(homeReplay, awayReplay, numInnings),
+    complete: false
+  };
+
+  lineScore.complete = isGameComplete(awayReplay, homeReplay, {away: lineScore.away.R, home: lineScore.home.R});
+
+  // Home team ahead after the top of the last inning never bats in the bottom
+  if (lineScore.complete && lineScore.home.R > lineScore.away.R) {
+    var lastInning = findLastPlayedInning(awayReplay);
+    if (lastInning > 0 && lineScore.home.runs[lastInning - 1] === null) {
+      lineScore.home.runs[lastInning - 1] = "X";
+    }
+  }
+
+  return lineScore;
+}
+
+/**
+ * Build one team's line: runs per inning, total runs, hits, and errors by its fielders
+ * @param {Object} battingReplay - Replay of this team batting
+ * @param {Object} fieldingReplay - Replay of the other team batting (this team's errors)
+ * @param {number} numInnings - Innings to include
+ * @return {Object} {runs, R, H, E}
+ */
+function buildTeamLine(battingReplay, fieldingReplay, numInnings) {
+  var line = {runs: [], R: 0, H: 0, E: 0};
+
+  for (var i = 0; i < numInnings; i++) {
+    var half = battingReplay.halfInnings[i];
+    if (!half || half.plays.length === 0) {
+      line.runs.push(null);
+      continue;
+    }
+    line.runs.push(half.runs);
+    line.R += half.runs;
+  }
+
+  for (var p = 0; p < battingReplay.plays.length; p++) {
+    var stats = battingReplay.plays[p].stats;
+    if (stats.valid) line.H += stats.H;
+  }
+
+  // Errors in the line score are the ones this team committed in the field
+  for (var q = 0; q < fieldingReplay.plays.length; q++) {
+    var fieldingStats = fieldingReplay.plays[q].stats;
+    if (fieldingStats.valid && fieldingStats.isError) line.E++;
+  }
+
+  return line;
+}
+
+/**
+ * Write the line score to the LINE_SCORE block, touching only rows that changed
+ * Layout: header row (1, 2, ... R, H, E) then the away and home rows, each starting
+ * with a team label in LINE_SCORE.LABEL_COL (the team name when the header has one).
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} game - Box score from readGame
+ */
+function writeLineScore(sheet, game) {
+  var config = BOX_SCORE_CONFIG.LINE_SCORE;
+  if (!config.ENABLED) return;
+
+  var lineScore = game.lineScore;
+
+  // Always show at least the regulation innings so the block doesn't shrink mid-game
+  var numInnings = Math.max(lineScore.innings, getRegulationInnings());
+
+  var header = [""];
+  var awayRow = [game.away.label];
+  var homeRow = [game.home.label];
+  for (var i = 0; i < numInnings; i++) {
+    header.push(i + 1);
+    awayRow.push(formatLineScoreInning(lineScore.away.runs[i]));
+    homeRow.push(formatLineScoreInning(lineScore.home.runs[i]));
+  }
+  header.push("R", "H", "E");
+  awayRow.push(lineScore.away.R, lineScore.away.H, lineScore.away.E);
+  homeRow.push(lineScore.home.R, lineScore.home.H, lineScore.home.E);
+
+  // Only the rows that changed are written (usually just the team that batted)
+  var startRow = Math.min(config.HEADER_ROW, config.AWAY_ROW, config.HOME_ROW);
+  var target = [];
+  for (var row = startRow; row <= Math.max(config.HEADER_ROW, config.AWAY_ROW, config.HOME_ROW); row++) {
+    target.push(null);
+  }
+  target[config.HEADER_ROW - startRow] = header;
+  target[config.AWAY_ROW - startRow] = awayRow;
+  target[config.HOME_ROW - startRow] = homeRow;
+  writeChangedRows(sheet, startRow, config.LABEL_COL, target);
+}
+
+/**
+ * Cell value for one inning of the line score
+ * @param {*} runs - Runs, "X", or null/undefined if not played
+ * @return {*} Value to write
+ */
+function formatLineScoreInning(runs) {
+  return (runs === null || runs === undefined) ? "" : runs;
+}
@@ -1,7 +1,7 @@
 // ===== SCORE MENU MODULE =====
 // Purpose: User interface, menu system, and stat viewers for Box Score automation.
-// Dependencies: ScoreConfig.js, ScoreUtility.js
-// Entry Point(s): onOpen, addBoxScoreMenu, showPitcherStats, showBatterStats, resetCurrentGame
+// Dependencies: ScoreConfig.js, ScoreGame.js, ScoreGameSheet.js (readGame, readRosters), ScoreMetadata.js, ScoreRoster.js, ScoreSubstitutions.js, ScoreDefense.js, ScoreAudit.js, ScorePlayByPlay.js, ScoreExport.js, ScoreUtility.js
+// Entry Point(s): onOpen, addBoxScoreMenu, validateGame, addExtraInningFromMenu, reopenGame, showPitcherStats, showBatterStats, showLineScore, resetCurrentGame
 
 /**
  * Create custom menu when spreadsheet opens
@@ -17,201 +17,397 @@ function addBoxScoreMenu() {
   var ui = SpreadsheetApp.getUi();
 
   ui.createMenu('📊 Box Score Tools')
+    .addItem('🆕 New Game', 'createNewGame')
     .addItem('🚀 Process Game Stats', 'processGameStatsBulk')
+    .addItem('✅ Validate Game', 'validateGame')
+    .addItem('➕ Add Extra Inning', 'addExtraInningFromMenu')
+    .addItem('🔁 Add Substitution', 'addSubstitution')
+    .addItem('🔀 Defensive Switch', 'defensiveSwitch')
+    .addItem('↩️ Undo Pitcher Change', 'undoLastPitcherChange')
+    .addItem('🔓 Reopen Game', 'reopenGame')
     .addSeparator()
     .addItem('⚾ View Pitcher Stats', 'showPitcherStats')
     .addItem('🏏 View Hitting Stats', 'showBatterStats')
+    .addItem('📋 View Line Score', 'showLineScore')
+    .addItem('📜 View Play-by-Play', 'showPlayByPlay')
+    .addItem('🔎 View Audit Log', 'showAuditLog')
+    .addSeparator()
+    .addItem('💾 Export Game', 'exportCurrentGame')
+    .addItem('📈 Build Season Stats', 'buildSeasonStats')
+    .addItem('🏆 Build Standings', 'buildStandings')
     .addSeparator()
     .addItem('🗑️ Reset Game Stats', 'resetCurrentGame')
     .addToUi();
 }
 
-// ===== STAT VIEWERS =====
+// ===== VALIDATION =====
 
 /**
- * Show pitcher stats viewer - Condensed format, separated by team, in pitching order
- * Reads stats directly from the sheet
+ * Validate the game header and every at-bat cell on the active game sheet
+ * Checks notation and that runner advances match who was on base. Highlights
+ * problem cells (and clears fixed ones), then lists every problem
  */
-function showPitcherStats() {
+function validateGame() {
   var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
 
-  // Get rosters IN ORDER using config
-  var awayRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
-  var homeRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
-  var pitcherCols = BOX_SCORE_CONFIG.PITCHER_STATS_COLUMNS;
-
-  var awayRoster = sheet.getRange(awayRange.startRow, awayRange.nameCol, awayRange.numPlayers, 1).getValues();
-  var homeRoster = sheet.getRange(homeRange.startRow, homeRange.nameCol, homeRange.numPlayers, 1).getValues();
+  // Header dropdowns are (re)applied so older sheets pick them up
+  applyGameMetadataValidation(sheet);
+  var headerProblems = validateGameMetadata(sheet);
 
-  // Read pitcher stats from sheet
-  var numPitcherCols = Object.keys(pitcherCols).length;
-  var awayStats = sheet.getRange(awayRange.startRow, pitcherCols.IP, awayRange.numPlayers, numPitcherCols).getValues();
-  var homeStats = sheet.getRange(homeRange.startRow, pitcherCols.IP, homeRange.numPlayers, numPitcherCols).getValues();
+  var message = "";
+  var totalProblems = headerProblems.length;
 
-  var pIdx = BOX_SCORE_CONFIG.PITCHER_STATS_INDICES;
+  if (headerProblems.length > 0) {
+    message += "──── GAME INFO ────\n";
+    for (var h = 0; h < headerProblems.length; h++) {
+      message += headerProblems[h].cell + " (" + headerProblems[h].field + "): " + headerProblems[h].message + "\n";
+    }
+    message += "\n";
+  }
 
-  var message = "╔═══════════════════════════════════╗\n";
-  message += "║       PITCHING STATS SUMMARY         ║\n";
-  message += "╚═══════════════════════════════════╝\n\n";
-
-  // Away team
-  message += "──── AWAY TEAM ────\n";
-  var awayCount = 0;
-  for (var i = 0; i < awayRoster.length; i++) {
-    var name = awayRoster[i][0];
-    var stats = awayStats[i];
-    if (name && stats[pIdx.IP] > 0) {
-      var paddedName = (name + "            ").substring(0, 12);
-      message += paddedName + ": " +
-                 stats[pIdx.IP].toFixed(2) + " IP, " +
-                 stats[pIdx.H] + " H, " +
-                 stats[pIdx.R] + " R, " +
-                 stats[pIdx.BB] + " BB, " +
-                 stats[pIdx.K] + " K\n";
-      awayCount++;
+  // Names the league roster doesn't know (warnings - they don't block processing)
+  var rosters = readRosters(sheet);
+  var rosterMap = buildRosterMap(rosters, readLeagueRoster(sheet.getParent()), readGameMetadata(sheet));
+  var unknownPlayers = [];
+  var rosterRanges = {away: BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE, home: BOX_SCORE_CONFIG.HOME_PITCHER_RANGE};
+  for (var team in rosterRanges) {
+    for (var r = 0; r < rosters[team].length; r++) {
+      var entry = rosterMap[String(rosters[team][r][1]).trim()];
+      if (entry && entry.unknown && entry.team === team && entry.batterIndex === r) {
+        unknownPlayers.push({name: String(rosters[team][r][1]).trim(), row: rosterRanges[team].startRow + r});
+      }
     }
   }
-  if (awayCount === 0) {
-    message += "(No pitching stats yet)\n";
+  if (unknownPlayers.length > 0) {
+    message += "──── PLAYERS ────\n";
+    for (var u = 0; u < unknownPlayers.length; u++) {
+      message += "B" + unknownPlayers[u].row + ": " + unknownPlayers[u].name + " is not on the " +
+                 BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME + " sheet (add the player or an alias)\n";
+    }
+    message += "\n";
   }
 
-  message += "\n──── HOME TEAM ────\n";
-  var homeCount = 0;
-  for (var i = 0; i < homeRoster.length; i++) {
-    var name = homeRoster[i][0];
-    var stats = homeStats[i];
-    if (name && stats[pIdx.IP] > 0) {
-      var paddedName = (name + "            ").substring(0, 12);
-      message += paddedName + ": " +
-                 stats[pIdx.IP].toFixed(2) + " IP, " +
-                 stats[pIdx.H] + " H, " +
-                 stats[pIdx.R] + " R, " +
-                 stats[pIdx.BB] + " BB, " +
-                 stats[pIdx.K] + " K\n";
-      homeCount++;
+  // Bench rows that can't be applied
+  var benchProblems = readSubstitutions(sheet, 'away').problems.concat(readSubstitutions(sheet, 'home').problems);
+  if (benchProblems.length > 0) {
+    message += "──── BENCH ────\n";
+    for (var b = 0; b < benchProblems.length; b++) {
+      message += benchProblems[b].cell + " (" + benchProblems[b].name + "): " + benchProblems[b].message + "\n";
+    }
+    message += "\n";
+    totalProblems += benchProblems.length;
+  }
+
+  var teams = [
+    {label: 'AWAY', team: 'away', grid: BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE, roster: BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE},
+    {label: 'HOME', team: 'home', grid: BOX_SCORE_CONFIG.HOME_ATBAT_RANGE, roster: BOX_SCORE_CONFIG.HOME_PITCHER_RANGE}
+  ];
+
+  for (var t = 0; t < teams.length; t++) {
+    var grid = teams[t].grid;
+    var numRows = grid.endRow - grid.startRow + 1;
+
+    var problems = validateAtBatGrid(sheet, teams[t].team);
+    if (problems.length === 0) continue;
+
+    var names = sheet.getRange(grid.startRow, teams[t].roster.nameCol, numRows, 1).getValues();
+
+    message += "──── " + teams[t].label + " TEAM ────\n";
+    for (var i = 0; i < problems.length; i++) {
+      var p = problems[i];
+      message += p.cell + " (Inning " + p.inning + ", " + (p.batterIndex + 1) + ". " + names[p.batterIndex][0] + "): \"" + p.value + "\"\n";
+      message += "   " + p.errors.join("; ") + "\n";
+      if (p.suggestions.length > 0) {
+        message += "   Did you mean: " + p.suggestions.join(", ") + "?\n";
+      }
     }
+    message += "\n";
+    totalProblems += problems.length;
   }
-  if (homeCount === 0) {
-    message += "(No pitching stats yet)\n";
+
+  if (totalProblems === 0 && unknownPlayers.length === 0) {
+    ui.alert('Validate Game', 'Game info is complete and all at-bat cells use valid notation. ✓', ui.ButtonSet.OK);
+    return;
   }
 
-  message += "\n" + "─".repeat(40) + "\n";
-  message += "Format: IP, H, R, BB, K\n";
-  message += "Order: Roster order (for W/L/SV tracking)";
+  message += "─".repeat(40) + "\n";
+  if (totalProblems > 0) {
+    message += totalProblems + " problem cell(s) found. Cells that don't parse are skipped until fixed.";
+  } else {
+    message += "Game info and notation are valid; " + unknownPlayers.length + " unknown player name(s).";
+  }
+  ui.alert('Validate Game', message, ui.ButtonSet.OK);
+}
+
+// ===== EXTRA INNINGS =====
 
+/**
+ * Add the next extra-inning column to the active game sheet
+ */
+function addExtraInningFromMenu() {
+  var sheet = SpreadsheetApp.getActiveSheet();
   var ui = SpreadsheetApp.getUi();
-  ui.alert('Pitcher Stats', message, ui.ButtonSet.OK);
+
+  var inning = addExtraInning(sheet);
+  if (inning === null) {
+    ui.alert('Add Extra Inning', 'This sheet already has the maximum of ' + BOX_SCORE_CONFIG.EXTRA_INNINGS.MAX_INNINGS +
+             ' extra innings (EXTRA_INNINGS.MAX_INNINGS).', ui.ButtonSet.OK);
+    return;
+  }
+
+  var column = sheet.getRange(1, getInningColumn(inning)).getA1Notation().replace(/\d+$/, '');
+  ui.alert('Add Extra Inning', 'Inning ' + inning + ' added in column ' + column + '.', ui.ButtonSet.OK);
 }
 
+// ===== GAME STATUS =====
+
 /**
- * Show batter stats viewer - Baseball statline format, separated by team, in batting order
- * Reads stats directly from the sheet
+ * Reopen a game marked final so auto-processing runs again
  */
-function showBatterStats() {
+function reopenGame() {
   var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
 
-  // Get rosters IN BATTING ORDER using config
-  var hittingRange = BOX_SCORE_CONFIG.HITTING_RANGE;
-  var hittingCols = BOX_SCORE_CONFIG.HITTING_STATS_COLUMNS;
+  if (!isGameFinal(sheet)) {
+    ui.alert('Reopen Game', 'This game is not marked ' + config.FINAL_STATUS + ' - nothing to reopen.', ui.ButtonSet.OK);
+    return;
+  }
 
-  var awayRoster = sheet.getRange(hittingRange.awayStartRow, hittingRange.nameCol, hittingRange.numPlayers, 1).getValues();
-  var homeRoster = sheet.getRange(hittingRange.homeStartRow, hittingRange.nameCol, hittingRange.numPlayers, 1).getValues();
+  var response = ui.alert(
+    'Reopen Game',
+    'Set the status back to "' + config.REOPENED_STATUS + '" and turn auto-processing back on?\n\n' +
+    'Standings will leave this game out until it is marked ' + config.FINAL_STATUS + ' again.',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
 
-  // Read hitting stats from sheet
-  var awayStats = sheet.getRange(hittingRange.awayStartRow, hittingCols.AB, hittingRange.numPlayers, hittingRange.numStatCols).getValues();
-  var homeStats = sheet.getRange(hittingRange.homeStartRow, hittingCols.AB, hittingRange.numPlayers, hittingRange.numStatCols).getValues();
+  var oldStatus = sheet.getRange(config.STATUS_CELL).getValue();
+  sheet.getRange(config.STATUS_CELL).setValue(config.REOPENED_STATUS);
+  logAutomatedChange(sheet, 'Reopen Game', config.STATUS_CELL, oldStatus, config.REOPENED_STATUS, "");
+  processGameStatsBulkBackground(sheet);
 
-  var hIdx = BOX_SCORE_CONFIG.HITTING_STATS_INDICES;
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Metadata]: Game reopened (Entity: " + sheet.getName() + ")");
+  }
 
-  var message = "╔═══════════════════════════════════╗\n";
-  message += "║        BATTING STATS SUMMARY         ║\n";
-  message += "╚═══════════════════════════════════╝\n\n";
-
-  // Away team
-  message += "──── AWAY TEAM ────\n";
-  for (var i = 0; i < awayRoster.length; i++) {
-    var name = awayRoster[i][0];
-    var stats = awayStats[i];
-    if (name && stats[hIdx.AB] > 0) {
-      var paddedName = (name + "          ").substring(0, 10);
-      var line = (i + 1) + ". " + paddedName + ": " + stats[hIdx.H] + "-" + stats[hIdx.AB];
-
-      // HR
-      if (stats[hIdx.HR] > 0) {
-        line += ", " + stats[hIdx.HR] + "HR";
-      }
+  ui.alert('Reopen Game', 'Game reopened. Stats will update as you edit.', ui.ButtonSet.OK);
+}
 
-      // Other XBH (approximate from TB)
-      var otherXBH = stats[hIdx.TB] - stats[hIdx.H] - (stats[hIdx.HR] * 3);
-      if (otherXBH > 0) {
-        line += ", " + otherXBH + "XBH";
-      }
+// ===== STAT VIEWERS =====
 
-      // RBI
-      if (stats[hIdx.RBI] > 0) {
-        line += ", " + stats[hIdx.RBI] + "RBI";
-      }
+/**
+ * Show pitcher stats viewer - Condensed format, separated by team, in pitching order
+ * Built from the game's box score (readGame), so it is current even before the sheet is processed
+ */
+function showPitcherStats() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var game = readGame(sheet);
 
-      // Hits Stolen (ROB)
-      if (stats[hIdx.ROB] > 0) {
-        line += ", " + stats[hIdx.ROB] + " Stolen";
-      }
+  var message = "╔═══════════════════════════════════╗\n";
+  message += "║       PITCHING STATS SUMMARY         ║\n";
+  message += "╚═══════════════════════════════════╝\n";
+  message += formatGameHeadline(game.metadata) + "\n";
 
-      // BB and K
-      if (stats[hIdx.BB] > 0 || stats[hIdx.K] > 0) {
-        line += " (" + stats[hIdx.BB] + "BB, " + stats[hIdx.K] + "K)";
-      }
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var team = game[teams[t]];
+    var count = 0;
+
+    message += "\n──── " + team.label.toUpperCase() + " ────\n";
+    for (var i = 0; i < team.players.length; i++) {
+      var player = team.players[i];
+      var p = player.pitching;
+      if (!p || p.outs === 0) continue;
 
-      message += line + "\n";
+      var paddedName = (player.name + "            ").substring(0, 12);
+      message += paddedName + ": " +
+                 calculateIP(p.outs).toFixed(2) + " IP, " +
+                 p.H + " H, " +
+                 p.R + " R, " +
+                 p.ER + " ER, " +
+                 p.BB + " BB, " +
+                 p.K + " K" +
+                 formatERA(p.ER, p.outs) +
+                 formatDecisions(player.decisions) + "\n";
+      count++;
+    }
+    if (count === 0) {
+      message += "(No pitching stats yet)\n";
     }
   }
 
-  message += "\n──── HOME TEAM ────\n";
-  for (var i = 0; i < homeRoster.length; i++) {
-    var name = homeRoster[i][0];
-    var stats = homeStats[i];
-    if (name && stats[hIdx.AB] > 0) {
-      var paddedName = (name + "          ").substring(0, 10);
-      var line = (i + 1) + ". " + paddedName + ": " + stats[hIdx.H] + "-" + stats[hIdx.AB];
-
-      // HR
-      if (stats[hIdx.HR] > 0) {
-        line += ", " + stats[hIdx.HR] + "HR";
-      }
+  message += "\n" + "─".repeat(40) + "\n";
+  message += "Format: IP, H, R, ER, BB, K (ERA) - decisions\n";
+  message += "Order: Roster order";
 
-      // Other XBH (approximate from TB)
-      var otherXBH = stats[hIdx.TB] - stats[hIdx.H] - (stats[hIdx.HR] * 3);
-      if (otherXBH > 0) {
-        line += ", " + otherXBH + "XBH";
-      }
+  var ui = SpreadsheetApp.getUi();
+  ui.alert('Pitcher Stats', message, ui.ButtonSet.OK);
+}
 
-      // RBI
-      if (stats[hIdx.RBI] > 0) {
-        line += ", " + stats[hIdx.RBI] + "RBI";
-      }
+/**
+ * Format a pitcher's decisions for the stats viewer
+ * @param {Object} decisions - {W, L, SV, HLD, BS} from the box score, or null
+ * @return {string} e.g. " - W", " - HLD, BS", or "" with no decisions
+ */
+function formatDecisions(decisions) {
+  var labels = [];
+  for (var key in BOX_SCORE_CONFIG.DECISION_INDICES) {
+    if (decisions && decisions[key] > 0) labels.push(key);
+  }
+  return labels.length > 0 ? " - " + labels.join(", ") : "";
+}
 
-      // Hits Stolen (ROB)
-      if (stats[hIdx.ROB] > 0) {
-        line += ", " + stats[hIdx.ROB] + " Stolen";
-      }
+/**
+ * Format a pitcher's ERA for the stats viewer
+ * @param {number} earnedRuns - Earned runs
+ * @param {number} outs - Outs recorded
+ * @return {string} e.g. " (4.50 ERA)", or "" with no outs recorded
+ */
+function formatERA(earnedRuns, outs) {
+  var era = calculateERA(earnedRuns, outs);
+  return era === null ? "" : " (" + era.toFixed(2) + " ERA)";
+}
+
+/**
+ * Show batter stats viewer - Baseball statline format, separated by team, in batting order
+ * Built from the game's box score (readGame); subs are listed under the slot they entered
+ */
+function showBatterStats() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var game = readGame(sheet);
 
-      // BB and K
-      if (stats[hIdx.BB] > 0 || stats[hIdx.K] > 0) {
-        line += " (" + stats[hIdx.BB] + "BB, " + stats[hIdx.K] + "K)";
+  var message = "╔═══════════════════════════════════╗\n";
+  message += "║        BATTING STATS SUMMARY         ║\n";
+  message += "╚═══════════════════════════════════╝\n";
+  message += formatGameHeadline(game.metadata) + "\n";
+
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var team = game[teams[t]];
+    var subsBySlot = groupSubstitutionsBySlot(team.bench);
+
+    message += "\n──── " + team.label.toUpperCase() + " ────\n";
+    for (var i = 0; i < team.players.length; i++) {
+      var player = team.players[i];
+      var subs = subsBySlot[player.slot] || [];
+      if ((player.hitting && player.hitting.AB > 0) || subs.length > 0) {
+        message += formatBatterLine((player.slot + 1) + ". ", player.name, player.hitting) + "\n";
       }
 
-      message += line + "\n";
+      // Subs who took over this slot, in the order they entered
+      for (var s = 0; s < subs.length; s++) {
+        message += formatBatterLine("   ↳ ", subs[s].name, subs[s].hitting) + " (from inning " + subs[s].inning + ")\n";
+      }
     }
   }
 
   message += "\n" + "─".repeat(40) + "\n";
-  message += "Format: H-AB, XBH, RBI, Hits Stolen, BB, K\n";
-  message += "Order: Batting order (1-9)";
+  message += "Format: H-AB, R, XBH, RBI, Hits Stolen, BB, K\n";
+  message += "Order: Batting order (1-9), subs (↳) under the slot they entered";
 
   var ui = SpreadsheetApp.getUi();
   ui.alert('Batter Stats', message, ui.ButtonSet.OK);
 }
 
+/**
+ * One batter's statline for the batter stats viewer
+ * @param {string} prefix - Slot number ("3. ") or sub marker
+ * @param {string} name - Batter name
+ * @param {Object} hitting - Hitting stats from the box score, or null
+ * @return {string} e.g. "3. Mario     : 2-4, 1R, 1HR, 2RBI (0BB, 1K)"
+ */
+function formatBatterLine(prefix, name, hitting) {
+  var h = hitting || {AB: 0, H: 0, HR: 0, RBI: 0, BB: 0, K: 0, ROB: 0, DP: 0, TB: 0, R: 0};
+  var paddedName = (name + "          ").substring(0, 10);
+  var line = prefix + paddedName + ": " + h.H + "-" + h.AB;
+
+  // Runs scored
+  if (h.R > 0) {
+    line += ", " + h.R + "R";
+  }
+
+  // HR
+  if (h.HR > 0) {
+    line += ", " + h.HR + "HR";
+  }
+
+  // Other XBH (approximate from TB)
+  var otherXBH = h.TB - h.H - (h.HR * 3);
+  if (otherXBH > 0) {
+    line += ", " + otherXBH + "XBH";
+  }
+
+  // RBI
+  if (h.RBI > 0) {
+    line += ", " + h.RBI + "RBI";
+  }
+
+  // Hits Stolen (ROB)
+  if (h.ROB > 0) {
+    line += ", " + h.ROB + " Stolen";
+  }
+
+  // BB and K
+  if (h.BB > 0 || h.K > 0) {
+    line += " (" + h.BB + "BB, " + h.K + "K)";
+  }
+
+  return line;
+}
+
+/**
+ * Show line score viewer - runs per inning, R/H/E and the final score
+ * Built from the game's box score, so it works even when the LINE_SCORE block is disabled
+ */
+function showLineScore() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var game = readGame(sheet);
+  var metadata = game.metadata;
+  var lineScore = game.lineScore;
+  var numInnings = Math.max(lineScore.innings, getRegulationInnings());
+
+  var awayLabel = game.away.label;
+  var homeLabel = game.home.label;
+  var labelWidth = Math.max(6, awayLabel.length + 2, homeLabel.length + 2);
+
+  var header = padLineScoreCell("", labelWidth);
+  var awayLine = padLineScoreCell(awayLabel, labelWidth);
+  var homeLine = padLineScoreCell(homeLabel, labelWidth);
+  for (var i = 0; i < numInnings; i++) {
+    header += padLineScoreCell(i + 1, 3);
+    awayLine += padLineScoreCell(formatLineScoreInning(lineScore.away.runs[i]), 3);
+    homeLine += padLineScoreCell(formatLineScoreInning(lineScore.home.runs[i]), 3);
+  }
+  header += " │ R  H  E";
+  awayLine += " │ " + padLineScoreCell(lineScore.away.R, 3) + padLineScoreCell(lineScore.away.H, 3) + lineScore.away.E;
+  homeLine += " │ " + padLineScoreCell(lineScore.home.R, 3) + padLineScoreCell(lineScore.home.H, 3) + lineScore.home.E;
+
+  var message = formatGameHeadline(metadata) + "\n\n";
+  message += header + "\n" + awayLine + "\n" + homeLine + "\n\n";
+  message += "─".repeat(40) + "\n";
+  message += (lineScore.complete ? "Final: " : "In progress: ") +
+             awayLabel + " " + lineScore.away.R + ", " + homeLabel + " " + lineScore.home.R;
+
+  var ui = SpreadsheetApp.getUi();
+  ui.alert('Line Score', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Pad a line score value to a fixed width
+ * @param {*} value - Value to show
+ * @param {number} width - Column width
+ * @return {string} Padded text
+ */
+function padLineScoreCell(value, width) {
+  var text = String(value);
+  while (text.length < width) {
+    text += " ";
+  }
+  return text;
+}
+
 // ===== RESET GAME =====
 
 /**
@@ -223,9 +419,11 @@ function resetCurrentGame() {
     'Reset Game Stats',
     'This will clear all tracked stats for this game sheet.\n\n' +
     'The following will be reset:\n' +
-    '• Pitcher stats (columns I-O)\n' +
-    '• Defensive stats (columns P-R)\n' +
-    '• Hitting stats (columns C-K)\n' +
+    '• Pitcher stats (columns I-P)\n' +
+    '• Defensive stats (columns Q-S)\n' +
+    '• Pitcher decisions (columns T-X)\n' +
+    '• Hitting stats (columns C-L)\n' +
+    '• Line score\n' +
     '• Pitcher dropdowns (D3, D4)\n\n' +
     'Continue?',
     ui.ButtonSet.YES_NO
@@ -246,11 +444,13 @@ function resetCurrentGame() {
   try {
     clearPitcherStatsInSheet(sheet);
     clearHittingStatsInSheet(sheet);
+    clearLineScore(sheet);
     clearPitcherDropdowns(sheet);
     
     if (clearAtBats === ui.Button.YES) {
       clearAtBatGrid(sheet);
     }
+    logAutomatedChange(sheet, 'Reset', "", "", clearAtBats === ui.Button.YES ? "Stats and at-bats cleared" : "Stats cleared", "");
     
     ui.alert(
       'Game Reset Complete',
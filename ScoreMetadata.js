@@ -0,0 +1,199 @@
+// ===== SCORE METADATA MODULE =====
+// Purpose: Reads and validates the game header (teams, date, week/series, status) and the Final lock.
+// Dependencies: ScoreConfig.js
+// Entry Point(s): readGameMetadata, validateGameMetadata, applyGameMetadataValidation, isGameFinal
+
+// Notes written by the header validator start with this marker so user notes are never touched
+var INVALID_METADATA_NOTE_PREFIX = "⚠️ Invalid game info";
+
+/**
+ * Read the game header cells
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {awayTeam, homeTeam, date, dateText, week, status, final}
+ */
+function readGameMetadata(sheet) {
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
+  var date = sheet.getRange(config.DATE_CELL).getValue();
+  var status = String(sheet.getRange(config.STATUS_CELL).getValue()).trim();
+
+  return {
+    awayTeam: String(sheet.getRange(config.AWAY_TEAM_CELL).getValue()).trim(),
+    homeTeam: String(sheet.getRange(config.HOME_TEAM_CELL).getValue()).trim(),
+    date: isDateValue(date) ? date : null,
+    dateText: formatGameDate(date),
+    week: String(sheet.getRange(config.WEEK_CELL).getValue()).trim(),
+    status: findStatusValue(status) || status,   // Configured spelling when it matches
+    final: isFinalStatus(status)
+  };
+}
+
+/**
+ * Check whether a game is marked final (auto-processing is locked)
+ * @param {Sheet} sheet - The game sheet
+ * @return {boolean} True if the status cell is FINAL_STATUS (any case)
+ */
+function isGameFinal(sheet) {
+  return isFinalStatus(sheet.getRange(BOX_SCORE_CONFIG.GAME_METADATA.STATUS_CELL).getValue());
+}
+
+/**
+ * Check whether a status value means the game is final
+ * @param {*} status - Status cell value
+ * @return {boolean} True for FINAL_STATUS (any case)
+ */
+function isFinalStatus(status) {
+  return String(status).trim().toLowerCase() === BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS.toLowerCase();
+}
+
+/**
+ * Check whether a cell is one of the game header cells
+ * @param {string} cell - A1 notation
+ * @return {boolean} True for team, date, week and status cells
+ */
+function isGameMetadataCell(cell) {
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
+  return [config.AWAY_TEAM_CELL, config.HOME_TEAM_CELL, config.DATE_CELL, config.WEEK_CELL, config.STATUS_CELL].indexOf(cell) !== -1;
+}
+
+/**
+ * Format a game date as yyyy-MM-dd
+ * @param {*} date - Date cell value
+ * @return {string} Formatted date, or "" if the cell isn't a date
+ */
+function formatGameDate(date) {
+  if (!isDateValue(date)) return "";
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * Check whether a cell value is a date
+ * @param {*} value - Cell value
+ * @return {boolean} True for Date values
+ */
+function isDateValue(value) {
+  return Object.prototype.toString.call(value) === "[object Date]" && !isNaN(value.getTime());
+}
+
+/**
+ * Display name for one side of the game
+ * @param {Object} metadata - Result of readGameMetadata
+ * @param {string} team - "away" or "home"
+ * @return {string} Team name, or the LINE_SCORE label when no name is entered
+ */
+function getTeamLabel(metadata, team) {
+  if (team === 'away') return metadata.awayTeam || BOX_SCORE_CONFIG.LINE_SCORE.AWAY_LABEL;
+  return metadata.homeTeam || BOX_SCORE_CONFIG.LINE_SCORE.HOME_LABEL;
+}
+
+/**
+ * One-line summary of the game header for viewers and dialogs
+ * @param {Object} metadata - Result of readGameMetadata
+ * @return {string} e.g. "Stars @ Kongs · 2024-05-18 · Week 3 · Final"
+ */
+function formatGameHeadline(metadata) {
+  var parts = [getTeamLabel(metadata, 'away') + " @ " + getTeamLabel(metadata, 'home')];
+  if (metadata.dateText) parts.push(metadata.dateText);
+  if (metadata.week) parts.push(metadata.week);
+  if (metadata.status) parts.push(metadata.status);
+  return parts.join(" · ");
+}
+
+/**
+ * Validate the game header, flagging invalid cells and clearing fixed ones
+ * Team names are required and must differ, the date must be a real date, and the
+ * status must be one of STATUS_VALUES. Week/series is free text.
+ * @param {Sheet} sheet - The game sheet
+ * @return {Array<Object>} Problems found: {cell, field, value, message}
+ */
+function validateGameMetadata(sheet) {
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
+  var metadata = readGameMetadata(sheet);
+  var problems = [];
+
+  if (!metadata.awayTeam) {
+    problems.push({cell: config.AWAY_TEAM_CELL, field: "Away team", value: "", message: "Away team name is missing"});
+  }
+  if (!metadata.homeTeam) {
+    problems.push({cell: config.HOME_TEAM_CELL, field: "Home team", value: "", message: "Home team name is missing"});
+  }
+  if (metadata.awayTeam && metadata.awayTeam.toLowerCase() === metadata.homeTeam.toLowerCase()) {
+    problems.push({cell: config.HOME_TEAM_CELL, field: "Home team", value: metadata.homeTeam,
+                   message: "Home team is the same as the away team"});
+  }
+
+  var rawDate = sheet.getRange(config.DATE_CELL).getValue();
+  if (rawDate !== "" && !metadata.date) {
+    problems.push({cell: config.DATE_CELL, field: "Date", value: String(rawDate),
+                   message: "Date must be a date (e.g. 2024-05-18)"});
+  }
+
+  if (metadata.status && findStatusValue(metadata.status) === null) {
+    problems.push({cell: config.STATUS_CELL, field: "Status", value: metadata.status,
+                   message: "Status must be one of: " + config.STATUS_VALUES.join(", ")});
+  }
+
+  markGameMetadataCells(sheet, problems);
+  return problems;
+}
+
+/**
+ * Find the configured spelling of a status (case-insensitive)
+ * @param {string} status - Status as typed
+ * @return {string} Matching STATUS_VALUES entry, or null
+ */
+function findStatusValue(status) {
+  var values = BOX_SCORE_CONFIG.GAME_METADATA.STATUS_VALUES;
+  for (var i = 0; i < values.length; i++) {
+    if (values[i].toLowerCase() === String(status).trim().toLowerCase()) return values[i];
+  }
+  return null;
+}
+
+/**
+ * Highlight header cells with problems and restore ones that were fixed
+ * @param {Sheet} sheet - The game sheet
+ * @param {Array<Object>} problems - Problems from validateGameMetadata
+ */
+function markGameMetadataCells(sheet, problems) {
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
+  var cells = [config.AWAY_TEAM_CELL, config.HOME_TEAM_CELL, config.DATE_CELL, config.WEEK_CELL, config.STATUS_CELL];
+
+  for (var i = 0; i < cells.length; i++) {
+    var range = sheet.getRange(cells[i]);
+    var messages = [];
+    for (var p = 0; p < problems.length; p++) {
+      if (problems[p].cell === cells[i]) messages.push(problems[p].message);
+    }
+
+    if (messages.length > 0) {
+      range.setBackground(BOX_SCORE_CONFIG.INVALID_NOTATION_COLOR);
+      range.setNote(INVALID_METADATA_NOTE_PREFIX + "\n• " + messages.join("\n• "));
+    } else if (String(range.getNote()).indexOf(INVALID_METADATA_NOTE_PREFIX) === 0) {
+      range.setBackground(null);
+      range.clearNote();
+    }
+  }
+}
+
+/**
+ * Add dropdown/date validation rules to the header cells
+ * Invalid entries are still allowed (and flagged) so a typo never blocks scoring.
+ * @param {Sheet} sheet - The game sheet
+ */
+function applyGameMetadataValidation(sheet) {
+  var config = BOX_SCORE_CONFIG.GAME_METADATA;
+
+  var statusRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(config.STATUS_VALUES, true)
+    .setAllowInvalid(true)
+    .setHelpText("Game status. " + config.FINAL_STATUS + " locks auto-processing until the game is reopened.")
+    .build();
+  sheet.getRange(config.STATUS_CELL).setDataValidation(statusRule);
+
+  var dateRule = SpreadsheetApp.newDataValidation()
+    .requireDate()
+    .setAllowInvalid(true)
+    .setHelpText("Game date")
+    .build();
+  sheet.getRange(config.DATE_CELL).setDataValidation(dateRule);
+}
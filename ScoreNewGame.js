@@ -0,0 +1,187 @@
+// ===== SCORE NEW GAME MODULE =====
+// Purpose: Creates a game sheet from the template and fills both lineups and pitcher dropdowns from the roster sheet.
+// Dependencies: ScoreConfig.js, ScoreMetadata.js (applyGameMetadataValidation), ScoreRoster.js (readLeagueRoster, findRosterTeam, assignPlayerIds),
+//               ScoreDefense.js (clearPositionChanges), ScoreJournal.js (clearPitcherChanges),
+//               ScoreAudit.js (logAutomatedChange)
+// Entry Point(s): createNewGame
+
+/**
+ * Create the next game sheet (menu command)
+ * Asks for the away and home teams, copies the template, fills positions/names from
+ * the roster sheet, sets the game header and builds the D3/D4 pitcher dropdowns.
+ */
+function createNewGame() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var ui = SpreadsheetApp.getUi();
+  var config = BOX_SCORE_CONFIG.NEW_GAME;
+
+  var template = ss.getSheetByName(config.TEMPLATE_SHEET_NAME);
+  if (!template) {
+    ui.alert('New Game', 'No template sheet named "' + config.TEMPLATE_SHEET_NAME + '" (NEW_GAME.TEMPLATE_SHEET_NAME).', ui.ButtonSet.OK);
+    return;
+  }
+
+  assignPlayerIds(ss);
+  var league = readLeagueRoster(ss);
+  var teamNames = Object.keys(league.teams);
+  if (teamNames.length < 2) {
+    ui.alert('New Game', 'The "' + BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME + '" sheet needs at least two teams (columns: Team, Order, Player, Position, ID, Aliases).', ui.ButtonSet.OK);
+    return;
+  }
+
+  var away = promptForTeam(ui, 'Away', teamNames, league);
+  if (!away) return;
+  var home = promptForTeam(ui, 'Home', teamNames, league);
+  if (!home) return;
+
+  if (away === home) {
+    ui.alert('New Game', 'The away and home teams must be different.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var players = {away: league.teams[away], home: league.teams[home]};
+  var lineups = {away: players.away.slice(0, 9), home: players.home.slice(0, 9)};
+  var sides = ['away', 'home'];
+  for (var s = 0; s < sides.length; s++) {
+    var team = sides[s] === 'away' ? away : home;
+    if (lineups[sides[s]].length < 9) {
+      ui.alert('New Game', team + ' has only ' + lineups[sides[s]].length + ' player(s) on the roster sheet - 9 are needed.', ui.ButtonSet.OK);
+      return;
+    }
+  }
+
+  try {
+    var sheet = template.copyTo(ss);
+    sheet.setName(getNextGameSheetName(ss));
+    clearPositionChanges(ss, sheet.getName());   // Left over from a deleted game with the same name
+    clearPitcherChanges(ss, sheet.getName());
+    sheet.showSheet();
+
+    var warnings = [];
+    for (var t = 0; t < sides.length; t++) {
+      var warning = fillGameLineup(sheet, sides[t], lineups[sides[t]], players[sides[t]]);
+      if (warning) warnings.push(warning);
+    }
+
+    var metadata = BOX_SCORE_CONFIG.GAME_METADATA;
+    sheet.getRange(metadata.AWAY_TEAM_CELL).setValue(away);
+    sheet.getRange(metadata.HOME_TEAM_CELL).setValue(home);
+    sheet.getRange(metadata.DATE_CELL).setValue(new Date());
+    sheet.getRange(metadata.STATUS_CELL).setValue(config.INITIAL_STATUS);
+    applyGameMetadataValidation(sheet);
+
+    ss.setActiveSheet(sheet);
+    logAutomatedChange(sheet, 'New Game', "", "", away + ' @ ' + home, "");
+
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("INFO [NewGame]: Created " + away + " @ " + home + " (Entity: " + sheet.getName() + ")");
+    }
+
+    var message = sheet.getName() + ': ' + away + ' @ ' + home + ' is ready.';
+    if (warnings.length > 0) {
+      message += '\n\n' + warnings.join('\n');
+    }
+    ui.alert('New Game', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    ui.alert(
+      'New Game Error',
+      'An error occurred while creating the game sheet:\n\n' +
+      error.toString() + '\n\n' +
+      'Please check the Apps Script logs for details.',
+      ui.ButtonSet.OK
+    );
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("ERROR [NewGame]: " + error.toString() + " (Entity: " + away + " @ " + home + ")");
+    }
+  }
+}
+
+/**
+ * Ask for one team by name (case-insensitive)
+ * @param {Ui} ui - Spreadsheet UI
+ * @param {string} label - "Away" or "Home"
+ * @param {Array<string>} teamNames - Teams on the roster sheet
+ * @param {Object} league - Result of readLeagueRoster
+ * @return {string} Team name as written on the roster sheet, or null if cancelled/unknown
+ */
+function promptForTeam(ui, label, teamNames, league) {
+  var response = ui.prompt('New Game', label + ' team?\n\nTeams: ' + teamNames.join(', '), ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+
+  var team = findRosterTeam(league, response.getResponseText());
+  if (!team) {
+    ui.alert('New Game', '"' + response.getResponseText() + '" is not on the roster sheet.', ui.ButtonSet.OK);
+  }
+  return team;
+}
+
+/**
+ * Next free game sheet name: GAME_SHEET_PREFIX plus one more than the highest game number
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @return {string} e.g. "#13"
+ */
+function getNextGameSheetName(ss) {
+  var prefix = BOX_SCORE_CONFIG.GAME_SHEET_PREFIX;
+  var highest = 0;
+
+  var sheets = ss.getSheets();
+  for (var i = 0; i < sheets.length; i++) {
+    var name = sheets[i].getName();
+    if (!name.startsWith(prefix)) continue;
+    var number = parseInt(name.substring(prefix.length), 10);
+    if (!isNaN(number)) highest = Math.max(highest, number);
+  }
+
+  return prefix + (highest + 1);
+}
+
+/**
+ * Fill one team's positions and names, the hitting block names and the pitcher dropdown
+ * Hitting names that the template fills with formulas (e.g. =B7) are left alone.
+ * @param {Sheet} sheet - The new game sheet
+ * @param {string} team - "away" or "home"
+ * @param {Array<Object>} lineup - 9 players [{name, position}] in batting order
+ * @param {Array<Object>} players - The team's whole roster in batting order (lineup then bench)
+ * @return {string} Warning for the summary dialog, or null
+ */
+function fillGameLineup(sheet, team, lineup, players) {
+  var range = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE : BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+  var hittingRange = BOX_SCORE_CONFIG.HITTING_RANGE;
+  var hittingStartRow = (team === 'away') ? hittingRange.awayStartRow : hittingRange.homeStartRow;
+  var pitcherCell = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_PITCHER_CELL : BOX_SCORE_CONFIG.HOME_PITCHER_CELL;
+
+  var positions = [];
+  var names = [];
+  var pitcher = null;
+  for (var i = 0; i < range.numPlayers; i++) {
+    positions.push([lineup[i].position]);
+    names.push([lineup[i].name]);
+    if (lineup[i].position === 'P' && !pitcher) pitcher = lineup[i].name;
+  }
+
+  sheet.getRange(range.startRow, range.positionCol, range.numPlayers, 1).setValues(positions);
+  sheet.getRange(range.startRow, range.nameCol, range.numPlayers, 1).setValues(names);
+
+  // Hitting names: only cells the template doesn't already link to the roster
+  var formulas = sheet.getRange(hittingStartRow, hittingRange.nameCol, hittingRange.numPlayers, 1).getFormulas();
+  for (var r = 0; r < hittingRange.numPlayers; r++) {
+    if (!formulas[r][0]) sheet.getRange(hittingStartRow + r, hittingRange.nameCol).setValue(lineup[r].name);
+  }
+
+  // Pitcher dropdown lists the whole team so a bench player can come in to pitch,
+  // starting on the listed pitcher
+  var choices = [];
+  for (var p = 0; p < players.length; p++) {
+    if (choices.indexOf(players[p].name) === -1) choices.push(players[p].name);
+  }
+  var rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(choices, true)
+    .setAllowInvalid(false)
+    .build();
+  var dropdown = sheet.getRange(pitcherCell);
+  dropdown.setDataValidation(rule);
+  dropdown.setValue(pitcher || "");
+
+  return pitcher ? null : (team === 'away' ? 'Away' : 'Home') + ' lineup has no P - pick the starting pitcher in ' + pitcherCell + '.';
+}
@@ -1,16 +1,207 @@
 // ===== SCORE NOTATION PARSER MODULE =====
 // Purpose: Parse at-bat notation into stats objects for processing.
 // Dependencies: None (pure parsing logic)
-// Entry Point(s): parseNotation, calculateIP
+// Entry Point(s): parseNotation, splitPlateAppearances, tokenizeNotation, suggestNotation, calculateIP, calculateERA
+
+// ===== NOTATION GRAMMAR =====
+// An at-bat cell is a whitespace-separated list of tokens:
+//   <outcome> [nRBI] [E#] [NP#] [SB] [CS] [WP] [PB] [BK] [advances...] [PC#]
+// - Exactly one outcome token is required, unless the cell is a standalone PC# or a
+//   runner-only play (SB, CS, WP, PB, BK or runner advances with no outcome, e.g. "CS")
+// - A lone E# (or legacy E) is read as "reached on error"
+// - Modifiers may appear in any order but at most once each, except PC#: every PC# is
+//   one pitching change, in order ("K PC2 PC2" = two changes after the strikeout)
+// - Advances are optional: "1-3" runner from first to third, "2-H" runner from second
+//   scores, "B-2" batter to second, "1X3" runner from first thrown out at third
+// - Any token not listed here is rejected
+
+// Outcome tokens and the stats each one contributes
+var NOTATION_OUTCOMES = {
+  '1B':     {H: 1, TB: 1, outs: 0},
+  '2B':     {H: 1, TB: 2, outs: 0},
+  '3B':     {H: 1, TB: 3, outs: 0},
+  'HR':     {H: 1, TB: 4, HR: 1, outs: 0},
+  'BB':     {BB: 1, outs: 0, noAtBat: true},
+  'K':      {K: 1, outs: 1},
+  'OUT':    {outs: 1},
+  'FC':     {outs: 0, FC: true},       // Fielder's choice, batter reaches, no out
+  'FC OUT': {outs: 1},                 // Fielder's choice with an out
+  'SF':     {outs: 1, noAtBat: true},  // Sacrifice fly
+  'SH':     {outs: 1, noAtBat: true},  // Sacrifice hit/bunt
+  'DP':     {outs: 2, DP: true},
+  'TP':     {outs: 3, DP: true},       // Triple play counts as DP for hitting stats
+  'E':      {outs: 0, implied: true}   // Reached on error (implied by a lone E / E#, never typed)
+};
+
+// Modifier and baserunning token patterns (matched against the whole token)
+var NOTATION_MODIFIERS = [
+  {type: 'RBI', pattern: /^(\d*)RBI$/},
+  {type: 'ERROR', pattern: /^E(?:\[(\d)\]|(\d))?$/},
+  {type: 'NICE_PLAY', pattern: /^NP(?:\[(\d)\]|(\d))?$/},
+  {type: 'PITCHER_CHANGE', pattern: /^PC(?:\[(\d)\]|(\d))$/},
+  {type: 'SB', pattern: /^SB$/},
+  {type: 'CS', pattern: /^CS$/},
+  {type: 'WP', pattern: /^WP$/},   // Wild pitch
+  {type: 'PB', pattern: /^PB$/},   // Passed ball
+  {type: 'BK', pattern: /^BK$/},   // Balk
+  {type: 'ADVANCE', pattern: /^([B123])([-X])([123H])$/}
+];
+
+// Runner outs already implied by an outcome (an X advance names the runner instead of adding an out)
+var NOTATION_IMPLIED_RUNNER_OUTS = {
+  'FC OUT': 1,
+  'DP': 1,
+  'TP': 2
+};
+
+// Outcomes where the batter is retired and cannot be given an advance
+var NOTATION_BATTER_OUT_OUTCOMES = ['OUT', 'SF', 'SH', 'DP', 'TP'];
+
+// Separates a batter's plate appearances within one inning cell when the team bats around
+var NOTATION_PA_SEPARATOR = "/";
 
 /**
- * Parse at-bat notation into stats
- * Returns rich object with pitcher change, fielder position, and all stat components
- * @param {string} value - At-bat notation (e.g., "2RBI HR", "K", "OUT NP5", "PC2", "1B E6")
- * @return {Object} Stats object with all parsed components
+ * Split an at-bat cell into its plate appearances, in the order they happened
+ * "1B / K" is the batter's first and second trip to the plate in that inning.
+ * Empty segments ("1B /") are kept as "" so validation can point them out.
+ * @param {*} value - Raw cell value
+ * @return {Array<string>} Trimmed notation per plate appearance ([] for an empty cell)
  */
-function parseNotation(value) {
-  var stats = {
+function splitPlateAppearances(value) {
+  if (value === null || value === undefined) return [];
+  var text = String(value).trim();
+  if (text === "") return [];
+
+  var segments = text.split(NOTATION_PA_SEPARATOR);
+  for (var i = 0; i < segments.length; i++) {
+    segments[i] = segments[i].trim();
+  }
+  return segments;
+}
+
+/**
+ * Split at-bat notation into classified tokens
+ * Unknown or out-of-range tokens are reported in errors rather than guessed at
+ * @param {string} value - At-bat notation (e.g., "2RBI HR", "OUT NP5", "K PC2")
+ * @return {Object} {tokens: [{text, type, code, number}], errors: [string]}
+ */
+function tokenizeNotation(value) {
+  var result = {tokens: [], errors: []};
+  if (value === null || value === undefined) return result;
+
+  var words = String(value).toUpperCase().trim().split(/\s+/);
+
+  for (var i = 0; i < words.length; i++) {
+    var word = words[i];
+    if (word === '') continue;
+
+    // "FC OUT" is the one two-word outcome (also accepted as "FCOUT")
+    if (word === 'FC' && words[i + 1] === 'OUT') {
+      result.tokens.push({text: 'FC OUT', type: 'OUTCOME', code: 'FC OUT', number: null});
+      i++;
+      continue;
+    }
+    if (word === 'FCOUT') {
+      result.tokens.push({text: word, type: 'OUTCOME', code: 'FC OUT', number: null});
+      continue;
+    }
+
+    if (NOTATION_OUTCOMES.hasOwnProperty(word) && !NOTATION_OUTCOMES[word].implied) {
+      result.tokens.push({text: word, type: 'OUTCOME', code: word, number: null});
+      continue;
+    }
+
+    var token = classifyModifierToken(word);
+    if (!token) {
+      result.errors.push("Unknown token '" + word + "'");
+      continue;
+    }
+    if (token.error) {
+      result.errors.push(token.error);
+      continue;
+    }
+    result.tokens.push(token);
+  }
+
+  return result;
+}
+
+/**
+ * Match a single word against the modifier patterns and range-check its number
+ * @param {string} word - Upper-cased token text
+ * @return {Object} Token object, {error} for out-of-range values, or null if unknown
+ */
+function classifyModifierToken(word) {
+  for (var i = 0; i < NOTATION_MODIFIERS.length; i++) {
+    var modifier = NOTATION_MODIFIERS[i];
+    var match = word.match(modifier.pattern);
+    if (!match) continue;
+
+    if (modifier.type === 'ADVANCE') {
+      return classifyAdvanceToken(word, match);
+    }
+
+    var digits = match[1] || match[2] || '';
+    var number = digits === '' ? null : parseInt(digits, 10);
+
+    if (modifier.type === 'RBI') {
+      if (number === null) number = 1;
+      if (number < 1 || number > 4) {
+        return {error: "'" + word + "' is not a valid RBI count (use RBI, 2RBI, 3RBI or 4RBI)"};
+      }
+    } else if (modifier.type === 'ERROR' || modifier.type === 'NICE_PLAY') {
+      if (number !== null && (number < 1 || number > 9)) {
+        return {error: "'" + word + "' has an invalid fielder position (use 1-9)"};
+      }
+    } else if (modifier.type === 'PITCHER_CHANGE') {
+      if (number > 3) {
+        return {error: "'" + word + "' has too many inherited runners (use PC0-PC3)"};
+      }
+    }
+
+    return {text: word, type: modifier.type, code: modifier.type, number: number};
+  }
+  return null;
+}
+
+/**
+ * Build an advance token from a matched "1-3" / "2-H" / "B-2" / "1X3" word
+ * @param {string} word - Upper-cased token text
+ * @param {Array} match - Match against the ADVANCE pattern
+ * @return {Object} Token object with from/to bases, or {error} if the runner moves backwards
+ */
+function classifyAdvanceToken(word, match) {
+  var from = match[1] === 'B' ? 0 : parseInt(match[1], 10);  // 0 = batter
+  var to = match[3] === 'H' ? 4 : parseInt(match[3], 10);    // 4 = home
+  if (to <= from) {
+    return {error: "'" + word + "' does not move the runner forward (e.g. 1-3, 2-H, B-2)"};
+  }
+  return {
+    text: word,
+    type: 'ADVANCE',
+    code: 'ADVANCE',
+    number: null,
+    from: from,
+    to: to,
+    out: match[2] === 'X'
+  };
+}
+
+/**
+ * Name a base for messages (0 = batter, 4 = home)
+ * @param {number} base - Base number
+ * @return {string} "batter", "first", "second", "third" or "home"
+ */
+function describeBase(base) {
+  return ['batter', 'first', 'second', 'third', 'home'][base];
+}
+
+/**
+ * Create a stats object with every field zeroed (shape returned by parseNotation)
+ * @return {Object} Empty stats object
+ */
+function createEmptyNotationStats() {
+  return {
     // Pitching stats
     BF: 0,      // Batters faced
     outs: 0,    // Outs recorded
@@ -33,177 +224,391 @@ function parseNotation(value) {
     FC: false,  // Fielder's choice (batter reaches, no out)
 
     // Fields for bulk processor
+    WP: false,  // Wild pitch during the at-bat
+    PB: false,  // Passed ball during the at-bat
+    BK: false,  // Balk during the at-bat
+    advances: [], // Explicit runner moves: {from (0=batter), to (4=home), out, text}
+
+    isRunnerEvent: false,     // Runner-only play: no batter faced, the batter stays up
     isPitcherChange: false,   // Is this a pitcher change notation?
-    inheritedRunners: 0,      // Number of inherited runners (from PC[X])
+    pitcherChanges: 0,        // Number of PC[X] tokens (each one brings in the next pitcher)
+    inheritedRunners: 0,      // Number of inherited runners (from the last PC[X])
     isError: false,           // Is there an error with fielder position?
     isNicePlay: false,        // Is there a nice play with fielder position?
-    fielderPosition: null     // Fielder position number (1-9), null if none
+    fielderPosition: null,    // Fielder position number (1-9), null if none
+    errorPosition: null,      // Position charged with the error (1-9), null if none
+    nicePlayPosition: null,   // Position credited with the nice play (1-9), null if none
+
+    // Parse result
+    valid: true,    // False when the cell breaks the grammar (all stats stay zero)
+    errors: [],     // Human-readable problems found in the cell
+    outcome: null,  // Outcome code (e.g. "1B", "FC OUT"), null for empty/PC-only cells
+    tokens: []      // Classified tokens from tokenizeNotation
   };
+}
+
+/**
+ * Parse at-bat notation into stats
+ * Returns rich object with pitcher change, fielder position, and all stat components.
+ * Cells that break the grammar come back with valid=false, their problems listed in
+ * errors, and every stat zeroed so they can never leak into totals.
+ * @param {string} value - At-bat notation (e.g., "2RBI HR", "K", "OUT NP5", "PC2", "1B E6")
+ * @return {Object} Stats object with all parsed components
+ */
+function parseNotation(value) {
+  var stats = createEmptyNotationStats();
 
   // Empty cell = no stats
-  if (!value || value === "") return stats;
+  if (value === null || value === undefined || String(value).trim() === "") return stats;
 
-  value = String(value).toUpperCase().trim();
+  var tokenized = tokenizeNotation(value);
+  var errors = tokenized.errors.slice();
+  var outcomes = [];
+  var modifiers = {};
+  var advances = [];
+  var pitcherChanges = [];
+
+  for (var i = 0; i < tokenized.tokens.length; i++) {
+    var token = tokenized.tokens[i];
+    if (token.type === 'OUTCOME') {
+      outcomes.push(token);
+      continue;
+    }
+    if (token.type === 'ADVANCE') {
+      for (var a = 0; a < advances.length; a++) {
+        if (advances[a].from === token.from) {
+          errors.push((token.from === 0 ? "The batter" : "The runner on " + describeBase(token.from)) +
+                      " has two moves ('" + advances[a].text + "' and '" + token.text + "')");
+        }
+      }
+      advances.push(token);
+      continue;
+    }
+    if (token.type === 'PITCHER_CHANGE') {
+      pitcherChanges.push(token);
+      continue;
+    }
+    if (modifiers[token.type]) {
+      errors.push("Duplicate '" + modifiers[token.type].text + "' and '" + token.text + "'");
+      continue;
+    }
+    modifiers[token.type] = token;
+  }
+
+  if (outcomes.length > 1) {
+    errors.push("More than one outcome (" + outcomes.map(function(t) { return t.text; }).join(', ') +
+                ") - enter a single result per at-bat");
+  }
 
   // ===== PITCHER CHANGE =====
   // Format: PC[X] where X is number of inherited runners (0-3)
-  // Can be standalone or appended to at-bat: "K PC2"
-  var pcMatch = value.match(/PC\[?(\d)\]?/);
-  if (pcMatch) {
-    stats.isPitcherChange = true;
-    stats.inheritedRunners = parseInt(pcMatch[1]) || 0;
+  // Can be standalone or appended to at-bat: "K PC2"; the pitcher was changed again
+  // before the next batter when the automation appends a second one ("K PC2 PC2")
+  var isStandalonePitcherChange = pitcherChanges.length > 0 && tokenized.tokens.length === pitcherChanges.length &&
+                                  errors.length === 0;
 
-    // If it's ONLY a PC notation (no other text), return now
-    if (value.replace(/PC\[?(\d)\]?/, '').trim() === '') {
-      return stats;
-    }
-    // Otherwise, continue parsing the at-bat stats (e.g., "K PC2")
+  // A lone E# / E is "reached on error"
+  var outcomeCode = outcomes.length === 1 ? outcomes[0].code : null;
+  if (!outcomeCode && !isStandalonePitcherChange && modifiers.ERROR) {
+    outcomeCode = 'E';
   }
 
-  // ===== ERROR WITH FIELDER POSITION =====
-  // Format: E[1-9] or E1-E9 (e.g., "1B E6", "OUT E4")
-  var errorMatch = value.match(/E\[?([1-9])\]?/);
-  if (errorMatch) {
-    stats.isError = true;
-    stats.fielderPosition = parseInt(errorMatch[1]);
+  // A runner-only play ("CS", "WP 2-H") happened on the bases with the batter still at
+  // the plate, e.g. a caught stealing for the third out
+  var isRunnerEvent = !outcomeCode && outcomes.length === 0 && !modifiers.RBI &&
+                      !!(modifiers.SB || modifiers.CS || modifiers.WP || modifiers.PB || modifiers.BK || advances.length > 0);
+
+  if (!outcomeCode && !isStandalonePitcherChange && !isRunnerEvent && outcomes.length === 0 && tokenized.errors.length === 0) {
+    errors.push("Missing outcome - start with a result such as 1B, 2B, 3B, HR, BB, K, OUT, FC, SF, SH, DP or TP" +
+                " (or SB, CS, WP, PB or BK alone for a play on the bases)");
   }
 
-  // ===== NICE PLAY WITH FIELDER POSITION =====
-  // Format: NP[1-9] or NP1-NP9 (e.g., "OUT NP6", "1B NP5")
-  var npMatch = value.match(/NP\[?([1-9])\]?/);
-  if (npMatch) {
-    stats.isNicePlay = true;
-    stats.fielderPosition = parseInt(npMatch[1]);
+  if (errors.length > 0) {
+    stats.valid = false;
+    stats.errors = errors;
+    stats.tokens = tokenized.tokens;
+    return stats;
   }
 
-  // ===== BATTER FACED =====
-  // Every non-empty at-bat = 1 batter faced (for pitcher)
-  stats.BF = 1;
+  stats.tokens = tokenized.tokens;
 
-  // ===== HITS =====
-  var isHit = false;
+  if (pitcherChanges.length > 0) {
+    stats.isPitcherChange = true;
+    stats.pitcherChanges = pitcherChanges.length;
+    stats.inheritedRunners = pitcherChanges[pitcherChanges.length - 1].number || 0;
 
-  if (value.indexOf("1B") !== -1) {
-    stats.H = 1;
-    stats.TB = 1;
-    isHit = true;
-  }
-  if (value.indexOf("2B") !== -1) {
-    stats.H = 1;
-    stats.TB = 2;
-    isHit = true;
-  }
-  if (value.indexOf("3B") !== -1) {
-    stats.H = 1;
-    stats.TB = 3;
-    isHit = true;
-  }
-  if (value.indexOf("HR") !== -1) {
-    stats.H = 1;
-    stats.HR = 1;
-    stats.TB = 4;
-    isHit = true;
+    // Standalone PC notation has no at-bat attached
+    if (isStandalonePitcherChange) return stats;
   }
 
-  // ===== WALKS =====
-  var isWalk = false;
-  if (value.indexOf("BB") !== -1) {
-    stats.BB = 1;
-    isWalk = true;
+  // ===== OUTCOME =====
+  // Every non-PC cell = 1 batter faced (for pitcher), except a runner-only play
+  if (isRunnerEvent) {
+    stats.isRunnerEvent = true;
+  } else {
+    var outcome = NOTATION_OUTCOMES[outcomeCode];
+    stats.outcome = outcomeCode;
+    stats.BF = 1;
+    stats.H = outcome.H || 0;
+    stats.TB = outcome.TB || 0;
+    stats.HR = outcome.HR || 0;
+    stats.BB = outcome.BB || 0;
+    stats.K = outcome.K || 0;
+    stats.outs = outcome.outs;
+    stats.FC = outcome.FC || false;
+    stats.DP = outcome.DP || false;
+
+    // ===== AT BATS (for hitting) =====
+    // AB counts all plate appearances EXCEPT: walks, sacrifices
+    // Hits, outs, strikeouts, FC, errors all count as AB
+    stats.AB = outcome.noAtBat ? 0 : 1;
   }
 
-  // ===== STRIKEOUTS =====
-  if (value.indexOf("K") !== -1) {
-    stats.K = 1;
+  // ===== RUNS BATTED IN =====
+  if (modifiers.RBI) {
+    stats.R = modifiers.RBI.number;
   }
 
-  // ===== FIELDER'S CHOICE =====
-  var isFC = false;
-  if (value.indexOf("FC") !== -1) {
-    isFC = true;
-    // Check if it's "FC OUT" (with out) or just "FC" (no out)
-    if (value.indexOf("FC OUT") !== -1 || value.indexOf("FCOUT") !== -1) {
-      stats.outs = 1;
+  // ===== ERROR WITH FIELDER POSITION =====
+  // Format: E[1-9] or E1-E9 (e.g., "1B E6", "OUT E4"); bare E is legacy (no fielder)
+  if (modifiers.ERROR) {
+    if (modifiers.ERROR.number !== null) {
+      stats.isError = true;
+      stats.errorPosition = modifiers.ERROR.number;
+      stats.fielderPosition = modifiers.ERROR.number;
     } else {
-      // Plain FC has no out - batter reaches base
-      stats.FC = true;
+      stats.E = true;
     }
   }
 
-  // ===== SACRIFICE FLY / SACRIFICE HIT =====
-  var isSacrifice = false;
-  if (value.indexOf("SF") !== -1) {
-    stats.outs = 1;
-    isSacrifice = true;
-  }
-  if (value.indexOf("SH") !== -1) {
-    stats.outs = 1;
-    isSacrifice = true;
-  }
-
-  // ===== OUTS (priority order: TP > DP > single out) =====
-  if (value.indexOf("TP") !== -1) {
-    stats.outs = 3;
-    stats.DP = true;  // Triple play counts as DP for hitting stats
-  } else if (value.indexOf("DP") !== -1) {
-    stats.outs = 2;
-    stats.DP = true;
-  } else if (value.indexOf("OUT") !== -1 || stats.K === 1) {
-    // Generic out or strikeout = 1 out (unless already set by TP/DP/FC OUT/SF/SH)
-    if (stats.outs === 0) {
-      stats.outs = 1;
+  // ===== NICE PLAY WITH FIELDER POSITION =====
+  // Format: NP[1-9] or NP1-NP9 (e.g., "OUT NP6", "1B NP5"); bare NP is legacy (no fielder)
+  if (modifiers.NICE_PLAY) {
+    if (modifiers.NICE_PLAY.number !== null) {
+      stats.isNicePlay = true;
+      stats.nicePlayPosition = modifiers.NICE_PLAY.number;
+      stats.fielderPosition = modifiers.NICE_PLAY.number;
+    } else {
+      stats.NP = true;
     }
   }
 
   // ===== STOLEN BASES / CAUGHT STEALING =====
-  if (value.indexOf("SB") !== -1) {
+  if (modifiers.SB) {
     stats.SB = true;
   }
-  if (value.indexOf("CS") !== -1) {
+  if (modifiers.CS) {
     stats.CS = true;
     stats.outs += 1;  // CS adds an out
   }
 
-  // ===== RUNS BATTED IN =====
-  if (value.indexOf("4RBI") !== -1) {
-    stats.R = 4;
-  } else if (value.indexOf("3RBI") !== -1) {
-    stats.R = 3;
-  } else if (value.indexOf("2RBI") !== -1) {
-    stats.R = 2;
-  } else if (value.indexOf("RBI") !== -1) {
-    stats.R = 1;
+  // ===== WILD PITCH / PASSED BALL / BALK =====
+  stats.WP = !!modifiers.WP;
+  stats.PB = !!modifiers.PB;
+  stats.BK = !!modifiers.BK;
+
+  // ===== RUNNER ADVANCES =====
+  // Format: 1-3, 2-H, B-2 (advance) or 1X3 (thrown out); checked against the outcome here
+  // and against the runners actually on base by the state engine
+  var advanceErrors = applyAdvanceTokens(stats, advances);
+  if (advanceErrors.length > 0) {
+    var invalid = createEmptyNotationStats();
+    invalid.valid = false;
+    invalid.errors = advanceErrors;
+    invalid.tokens = tokenized.tokens;
+    return invalid;
   }
 
-  // ===== AT BATS (for hitting) =====
-  // AB counts all plate appearances EXCEPT: walks, sacrifices
-  // Hits, outs, strikeouts, FC, errors all count as AB
-  stats.AB = 0;
+  return stats;
+}
+
+/**
+ * Check advance tokens against the outcome and fold any extra outs into the stats
+ * @param {Object} stats - Parsed stats (advances and outs are updated in place)
+ * @param {Array<Object>} advances - ADVANCE tokens from the cell
+ * @return {Array<string>} Problems found (empty if the advances fit the outcome)
+ */
+function applyAdvanceTokens(stats, advances) {
+  var errors = [];
+  var runnerOuts = 0;
+  var batterMove = null;
 
-  if (!isWalk && !isSacrifice) {
-    // This is an at-bat
-    stats.AB = 1;
+  for (var i = 0; i < advances.length; i++) {
+    var advance = advances[i];
+    stats.advances.push({from: advance.from, to: advance.to, out: advance.out, text: advance.text});
+    if (advance.from === 0) {
+      batterMove = advance;
+    }
+    if (advance.out) {
+      runnerOuts++;
+    }
   }
 
-  // ===== LEGACY NP / E (for backwards compatibility) =====
-  // If no fielder position was specified, check for legacy notation
-  if (!stats.isNicePlay && value.indexOf("NP") !== -1 && !npMatch) {
-    stats.NP = true;
+  if (batterMove) {
+    var outcome = stats.outcome;
+    if (stats.isRunnerEvent) {
+      errors.push("The batter is still at the plate on a play on the bases - remove '" + batterMove.text + "'");
+    } else if (NOTATION_BATTER_OUT_OUTCOMES.indexOf(outcome) !== -1) {
+      errors.push("The batter is out on " + outcome + " - remove '" + batterMove.text + "'");
+    } else if (outcome === 'K') {
+      if (batterMove.out) {
+        errors.push("The batter is already out on K - remove '" + batterMove.text + "'");
+      } else {
+        // Dropped third strike: batter reaches, so the strikeout records no out
+        stats.outs -= 1;
+      }
+    } else if (outcome === 'HR' && (batterMove.out || batterMove.to !== 4)) {
+      errors.push("The batter scores on HR - '" + batterMove.text + "' should be B-H or left out");
+    } else if (stats.H > 0 && !batterMove.out && batterMove.to < stats.TB) {
+      errors.push("'" + batterMove.text + "' stops the batter short of a " + outcome);
+    }
   }
 
-  if (!stats.isError) {
-    // Check for E with very careful detection
-    // Only match: "E" alone, " E " with spaces, " E" at end, or "E " at start
-    if (value === "E") {
-      stats.E = true;
-    } else if (value.length >= 3) {  // Need at least 3 chars for " E " or "E "
-      if (value.indexOf(" E ") !== -1 || value.startsWith("E ") || value.endsWith(" E")) {
-        stats.E = true;
+  // An X advance names the runner erased on DP/TP/FC OUT/CS; any beyond those are extra outs
+  var impliedRunnerOuts = (NOTATION_IMPLIED_RUNNER_OUTS[stats.outcome] || 0) + (stats.CS ? 1 : 0);
+  if (runnerOuts > impliedRunnerOuts) {
+    stats.outs += runnerOuts - impliedRunnerOuts;
+  }
+
+  return errors;
+}
+
+// ===== SUGGESTIONS =====
+
+/**
+ * List every single-word token the grammar accepts (used for "did you mean" suggestions)
+ * @return {Array<string>} Valid tokens, outcomes first
+ */
+function getNotationVocabulary() {
+  var vocabulary = [];
+  for (var code in NOTATION_OUTCOMES) {
+    if (!NOTATION_OUTCOMES[code].implied && code.indexOf(' ') === -1) {
+      vocabulary.push(code);
+    }
+  }
+  vocabulary.push('RBI', '2RBI', '3RBI', '4RBI', 'SB', 'CS', 'WP', 'PB', 'BK');
+  var origins = ['B', '1', '2', '3'];
+  var destinations = ['1', '2', '3', 'H'];
+  for (var o = 0; o < origins.length; o++) {
+    for (var d = o; d < destinations.length; d++) {
+      vocabulary.push(origins[o] + '-' + destinations[d], origins[o] + 'X' + destinations[d]);
+    }
+  }
+  for (var pos = 1; pos <= 9; pos++) {
+    vocabulary.push('E' + pos, 'NP' + pos);
+  }
+  for (var runners = 0; runners <= 3; runners++) {
+    vocabulary.push('PC' + runners);
+  }
+  return vocabulary;
+}
+
+/**
+ * Suggest the closest valid notations for an invalid cell
+ * Tries one edit per token (drop it, replace with a near token, or split it in two)
+ * and keeps only candidates that parse cleanly
+ * @param {string} value - Invalid at-bat notation (e.g., "2BB", "HR 5RBI")
+ * @param {number} maxSuggestions - Maximum suggestions to return (default 3)
+ * @return {Array<string>} Valid notations, closest first (empty if none found)
+ */
+function suggestNotation(value, maxSuggestions) {
+  maxSuggestions = maxSuggestions || 3;
+  if (value === null || value === undefined) return [];
+
+  var words = String(value).toUpperCase().trim().split(/\s+/).filter(function(w) { return w !== ''; });
+  var vocabulary = getNotationVocabulary();
+  var candidates = [];
+
+  function addCandidate(replacement, index, cost) {
+    var candidateWords = words.slice(0, index).concat(replacement, words.slice(index + 1));
+    candidates.push({text: candidateWords.join(' '), cost: cost});
+  }
+
+  for (var i = 0; i < words.length; i++) {
+    var word = words[i];
+    var isKnownToken = vocabulary.indexOf(word) !== -1;
+
+    // Drop the token entirely (cheapest when it is a valid but conflicting token, e.g. "1B HR")
+    if (words.length > 1) {
+      addCandidate([], i, isKnownToken ? 0.5 : 2);
+    }
+
+    // Replace with a nearby token (short tokens only get one-character fixes)
+    var maxDistance = word.length >= 5 ? 2 : 1;
+    for (var v = 0; v < vocabulary.length; v++) {
+      var distance = levenshteinDistance(word, vocabulary[v]);
+      if (distance > 0 && distance <= maxDistance) {
+        addCandidate([vocabulary[v]], i, distance);
+      }
+    }
+
+    // Split a run-together token ("SBK" → "SB K")
+    for (var cut = 1; cut < word.length; cut++) {
+      var left = word.substring(0, cut);
+      var right = word.substring(cut);
+      if (vocabulary.indexOf(left) !== -1 && vocabulary.indexOf(right) !== -1) {
+        addCandidate([left, right], i, 1);
       }
     }
   }
 
-  return stats;
+  // Stable sort by cost (vocabulary order breaks ties)
+  candidates = candidates.map(function(c, index) { c.order = index; return c; });
+  candidates.sort(function(a, b) { return (a.cost - b.cost) || (a.order - b.order); });
+
+  var suggestions = [];
+  for (var c = 0; c < candidates.length && suggestions.length < maxSuggestions; c++) {
+    var text = candidates[c].text;
+    if (suggestions.indexOf(text) !== -1) continue;
+    if (parseNotation(text).valid && text !== '') {
+      suggestions.push(text);
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {number} Number of single-character edits
+ */
+function levenshteinDistance(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) previous.push(j);
+
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (var j = 1; j <= b.length; j++) {
+      var substitution = previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Convert innings pitched in fractional notation (0.33, 0.67) back to outs
+ * @param {number} ip - Innings pitched as written by calculateIP
+ * @return {number} Number of outs
+ */
+function convertIPToOuts(ip) {
+  var value = Number(ip) || 0;
+  var fullInnings = Math.floor(value);
+  return fullInnings * 3 + Math.round((value - fullInnings) * 3);
+}
+
+/**
+ * Calculate ERA from earned runs and outs, scaled to BOX_SCORE_CONFIG.ERA_INNINGS
+ * @param {number} earnedRuns - Earned runs allowed
+ * @param {number} outs - Outs recorded
+ * @return {number} ERA rounded to 2 decimals, or null with no outs recorded
+ */
+function calculateERA(earnedRuns, outs) {
+  if (!outs || outs <= 0) return null;
+  var era = (earnedRuns * BOX_SCORE_CONFIG.ERA_INNINGS * 3) / outs;
+  return Math.round(era * 100) / 100;
 }
 
 /**
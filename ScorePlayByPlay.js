@@ -0,0 +1,264 @@
+// ===== SCORE PLAY-BY-PLAY MODULE =====
+// Purpose: Play-by-play log of a game: every play in the order it happened, with the outs and score after it.
+// Dependencies: ScoreConfig.js, ScoreGameSheet.js (readGame), ScoreMetadata.js (formatGameHeadline), ScoreNotation.js (describeBase),
+//               ScoreSeason.js (getOrCreateSeasonSheet)
+// Entry Point(s): showPlayByPlay, buildPlayByPlay, writePlayByPlaySheet
+
+// What the batter did, by outcome code
+var PLAY_BY_PLAY_OUTCOMES = {
+  '1B': 'singles',
+  '2B': 'doubles',
+  '3B': 'triples',
+  'HR': 'homers',
+  'BB': 'walks',
+  'K': 'strikes out',
+  'OUT': 'is out',
+  'FC': "reaches on a fielder's choice",
+  'FC OUT': "reaches on a fielder's choice",
+  'SF': 'hits a sacrifice fly',
+  'SH': 'lays down a sacrifice bunt',
+  'DP': 'grounds into a double play',
+  'TP': 'hits into a triple play',
+  'E': 'reaches on an error'
+};
+
+// Fielders by scoring number (index + 1), as written in the log
+var PLAY_BY_PLAY_FIELDERS = ['pitcher', 'catcher', 'first baseman', 'second baseman', 'third baseman',
+                             'shortstop', 'left fielder', 'center fielder', 'right fielder'];
+
+/**
+ * Write the active game's play-by-play sheet and show the latest plays (menu command)
+ */
+function showPlayByPlay() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+
+  if (!sheet.getName().startsWith(BOX_SCORE_CONFIG.GAME_SHEET_PREFIX)) {
+    ui.alert('Play-by-Play', 'Open a game sheet (' + BOX_SCORE_CONFIG.GAME_SHEET_PREFIX + '1, ' +
+             BOX_SCORE_CONFIG.GAME_SHEET_PREFIX + '2, ...) first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var game = readGame(sheet);
+  var plays = buildPlayByPlay(game);
+  var log = writePlayByPlaySheet(sheet.getParent(), game, plays);
+  var limit = BOX_SCORE_CONFIG.PLAY_BY_PLAY.VIEWER_LIMIT;
+
+  var message = formatGameHeadline(game.metadata) + "\n\n";
+  if (plays.length === 0) {
+    message += "No plays yet.";
+  } else {
+    if (plays.length > limit) {
+      message += "(latest " + limit + " of " + plays.length + " plays)\n";
+    }
+    for (var i = Math.max(0, plays.length - limit); i < plays.length; i++) {
+      message += formatPlayByPlayLine(plays[i], game) + "\n";
+    }
+  }
+  message += "\n" + "─".repeat(40) + "\n";
+  message += "Full log: " + log.getName() + " sheet";
+
+  ui.alert('Play-by-Play', message, ui.ButtonSet.OK);
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [PlayByPlay]: Wrote " + plays.length + " plays (Entity: " + log.getName() + ")");
+  }
+}
+
+/**
+ * Walk the game half-inning by half-inning (top then bottom) and describe every play
+ * @param {Object} game - Box score from readGame / buildGame
+ * @return {Array<Object>} [{inning, half, label, text, value, outs, score: {away, home}}] in game order
+ *   label is e.g. "Top 3rd"; text is e.g. "Mario doubles, 2 RBI. Peach scores."
+ */
+function buildPlayByPlay(game) {
+  var plays = [];
+  var score = {away: 0, home: 0};
+  var numInnings = Math.max(game.away.replay.halfInnings.length, game.home.replay.halfInnings.length);
+
+  for (var inning = 0; inning < numInnings; inning++) {
+    var halves = [{team: 'away', half: 'Top'}, {team: 'home', half: 'Bottom'}];
+    for (var h = 0; h < halves.length; h++) {
+      var halfInning = game[halves[h].team].replay.halfInnings[inning];
+      if (!halfInning) continue;
+
+      for (var p = 0; p < halfInning.plays.length; p++) {
+        var play = halfInning.plays[p];
+        score[halves[h].team] += play.runs.length;
+
+        plays.push({
+          inning: inning + 1,
+          half: halves[h].half.toLowerCase(),
+          label: halves[h].half + " " + formatOrdinal(inning + 1),
+          text: describePlay(play),
+          value: play.value,
+          outs: play.outsAfter,
+          score: {away: score.away, home: score.home}
+        });
+      }
+    }
+  }
+
+  return plays;
+}
+
+/**
+ * Describe one play in words
+ * @param {Object} play - Play record from the replay
+ * @return {string} e.g. "Mario doubles, 2 RBI. Peach scores. Pitching change: Luigi replaces Daisy, 1 inherited runner."
+ */
+function describePlay(play) {
+  var stats = play.stats;
+  var batter = play.batter || "Batter " + (play.batterIndex + 1);
+
+  if (!stats.valid) {
+    return batter + ": \"" + play.value + "\" doesn't parse - skipped until it is fixed.";
+  }
+
+  var sentences = [];
+  if (play.isPlateAppearance) {
+    var verb = PLAY_BY_PLAY_OUTCOMES[stats.outcome] || stats.outcome;
+    var details = [];
+
+    if (stats.outcome === 'E' && stats.errorPosition) {
+      verb += " by the " + describeFielder(stats.errorPosition);
+    } else if (stats.isError) {
+      details.push("error by the " + describeFielder(stats.errorPosition));
+    }
+    if (stats.isNicePlay) details.push("nice play by the " + describeFielder(stats.nicePlayPosition));
+    if (stats.R > 0) details.push(stats.R + " RBI");
+    if (stats.SB) details.push("stolen base");
+    if (stats.CS) details.push("caught stealing");
+    if (stats.WP) details.push("wild pitch");
+    if (stats.PB) details.push("passed ball");
+    if (stats.BK) details.push("balk");
+
+    sentences.push(batter + " " + verb + (details.length > 0 ? ", " + details.join(", ") : "") + ".");
+  } else if (play.isRunnerEvent) {
+    var events = [];
+    if (stats.SB) events.push((play.stolenBy || "a runner") + " steals");
+    if (stats.CS) events.push("caught stealing");
+    if (stats.WP) events.push("wild pitch");
+    if (stats.PB) events.push("passed ball");
+    if (stats.BK) events.push("balk");
+    if (stats.isNicePlay) events.push("nice play by the " + describeFielder(stats.nicePlayPosition));
+    if (events.length === 0) events.push("runners move");
+
+    sentences.push("With " + batter + " batting, " + events.join(", ") + ".");
+  }
+
+  if (play.isPlateAppearance || play.isRunnerEvent) {
+    // The batter's own run on a home run goes without saying
+    var scored = [];
+    for (var r = 0; r < play.runs.length; r++) {
+      if (stats.HR && play.runs[r].batterIndex === play.batterIndex && play.runs[r].runner === play.batter) continue;
+      scored.push(play.runs[r].runner || "A runner");
+    }
+    if (scored.length > 0) {
+      sentences.push(joinPlayByPlayNames(scored) + (scored.length === 1 ? " scores." : " score."));
+    }
+
+    for (var o = 0; o < play.runnersOut.length; o++) {
+      var out = play.runnersOut[o];
+      sentences.push((out.runner || "A runner") + " out at " + describeBase(out.base) + ".");
+    }
+  }
+
+  for (var c = 0; c < play.pitcherChanges.length; c++) {
+    sentences.push(describePitchingChange(play.pitcherChanges[c]));
+  }
+
+  return sentences.join(" ");
+}
+
+/**
+ * Describe a pitching change
+ * @param {Object} change - {from, to, inheritedRunners} from the play record
+ * @return {string} e.g. "Pitching change: Luigi replaces Peach, 1 inherited runner."
+ */
+function describePitchingChange(change) {
+  var text = "Pitching change: " + (change.to || "a new pitcher") + " replaces " + (change.from || "the previous pitcher");
+  if (change.inheritedRunners > 0) {
+    text += ", " + change.inheritedRunners + " inherited runner" + (change.inheritedRunners === 1 ? "" : "s");
+  }
+  return text + ".";
+}
+
+/**
+ * Fielder at a scoring position, in words
+ * @param {number} position - Position number (1=P ... 9=RF), or null
+ * @return {string} e.g. "shortstop" ("defense" when no position was given)
+ */
+function describeFielder(position) {
+  return PLAY_BY_PLAY_FIELDERS[position - 1] || "defense";
+}
+
+/**
+ * Join names as "A", "A and B", "A, B and C"
+ * @param {Array<string>} names - Names
+ * @return {string} Joined names
+ */
+function joinPlayByPlayNames(names) {
+  if (names.length <= 1) return names.join("");
+  return names.slice(0, -1).join(", ") + " and " + names[names.length - 1];
+}
+
+/**
+ * Ordinal for an inning number
+ * @param {number} n - Inning number
+ * @return {string} e.g. "1st", "3rd", "11th"
+ */
+function formatOrdinal(n) {
+  var tens = n % 100;
+  if (tens >= 11 && tens <= 13) return n + "th";
+  return n + (["th", "st", "nd", "rd"][n % 10] || "th");
+}
+
+/**
+ * One play as a line of the dialog
+ * @param {Object} entry - Entry from buildPlayByPlay
+ * @param {Object} game - Box score (team labels)
+ * @return {string} e.g. "Top 3rd: Mario doubles, 2 RBI. (1 out · Stars 2, Kongs 1)"
+ */
+function formatPlayByPlayLine(entry, game) {
+  return entry.label + ": " + entry.text + " (" + entry.outs + " out" + (entry.outs === 1 ? "" : "s") + " · " +
+         game.away.label + " " + entry.score.away + ", " + game.home.label + " " + entry.score.home + ")";
+}
+
+/**
+ * Write the play-by-play log to its own sheet, replacing what was there
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Object} game - Box score (name and team labels)
+ * @param {Array<Object>} plays - Result of buildPlayByPlay
+ * @return {Sheet} The play-by-play sheet
+ */
+function writePlayByPlaySheet(ss, game, plays) {
+  var sheet = getOrCreateSeasonSheet(ss, getPlayByPlaySheetName(game.name), false);
+  sheet.clearContents();
+
+  var values = [["Inning", "Play", "Notation", "Outs", game.away.label, game.home.label]];
+  for (var i = 0; i < plays.length; i++) {
+    values.push([plays[i].label, plays[i].text, plays[i].value, plays[i].outs, plays[i].score.away, plays[i].score.home]);
+  }
+
+  // Notation is text ("1-3" would otherwise be read as a date)
+  if (plays.length > 0) {
+    sheet.getRange(2, 3, plays.length, 1).setNumberFormat("@");
+  }
+  sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+  sheet.getRange(1, 1, 1, values[0].length).setFontWeight("bold");
+  return sheet;
+}
+
+/**
+ * Name of a game's play-by-play sheet
+ * @param {string} gameName - Game sheet name (e.g. "#12")
+ * @return {string} e.g. "PBP #12"
+ */
+function getPlayByPlaySheetName(gameName) {
+  var prefix = BOX_SCORE_CONFIG.PLAY_BY_PLAY.SHEET_PREFIX;
+  if (prefix.startsWith(BOX_SCORE_CONFIG.GAME_SHEET_PREFIX)) {
+    throw new Error('PLAY_BY_PLAY.SHEET_PREFIX must not start with "' + BOX_SCORE_CONFIG.GAME_SHEET_PREFIX + '" (game sheets do)');
+  }
+  return prefix + gameName;
+}
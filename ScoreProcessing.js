@@ -0,0 +1,115 @@
+// ===== SCORE PROCESSING MODULE =====
+// Purpose: Serializes stat recomputes per game sheet so simultaneous scorers (or fast typing) can't interleave clears and writes.
+// Dependencies: ScoreConfig.js, ScoreUtility.js (withDocumentLock), ScoreTriggers.js (recomputeGameStats)
+// Entry Point(s): requestGameProcessing
+//
+// How it works: each game sheet has a small state in the document properties,
+// {requested, processed, lease}, only ever changed under the document lock. A recompute
+// request bumps `requested`. Whoever holds the lease runs the processor and, when it
+// finishes, runs once more if `requested` moved on in the meantime (edits coalesce into
+// that one rerun); anyone else just returns, knowing their edit will be picked up. The
+// lease expires (LEASE_SECONDS) so a run that was killed never blocks the sheet for good.
+// The status cell shows pending / updated / failed.
+
+/**
+ * Recompute a game's stats, or leave it to the run already in progress
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {ran, game, error} - ran is false when another run picks this request up;
+ *   game is the box score from the last recompute in this execution (see readGame)
+ */
+function requestGameProcessing(sheet) {
+  var token = Utilities.getUuid();
+  var outcome = {ran: false, game: null, error: null};
+
+  updateProcessingState(sheet, function(state) {
+    state.requested++;
+    setProcessingStatus(sheet, 'pending', null);
+  });
+
+  while (true) {
+    var claimed = updateProcessingState(sheet, function(state) {
+      var now = new Date().getTime();
+      if (state.processed >= state.requested) return null;               // Already covered by a finished run
+      if (state.lease && state.lease.expires > now && state.lease.token !== token) return null;   // Running elsewhere
+      state.lease = {token: token, expires: now + BOX_SCORE_CONFIG.PROCESSING.LEASE_SECONDS * 1000};
+      return state.requested;
+    });
+    if (claimed === null) return outcome;
+
+    var error = null;
+    try {
+      outcome.game = recomputeGameStats(sheet);
+      outcome.ran = true;
+    } catch (e) {
+      error = e;
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("ERROR [Processing]: Recompute failed: " + e.toString() + " (Entity: " + sheet.getName() + ")");
+      }
+    }
+    outcome.error = error;
+
+    var rerun = updateProcessingState(sheet, function(state) {
+      state.processed = Math.max(state.processed, claimed);
+      state.lease = null;
+      if (state.requested > claimed) return true;
+
+      setProcessingStatus(sheet, error ? 'failed' : 'done', error);
+      return false;
+    });
+    if (!rerun) return outcome;
+
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("INFO [Processing]: Edits arrived during the recompute - running once more (Entity: " + sheet.getName() + ")");
+    }
+  }
+}
+
+/**
+ * Read and change a game sheet's processing state under the document lock
+ * @param {Sheet} sheet - The game sheet
+ * @param {Function} update - Called with the state object; changes to it are saved
+ * @return {*} Whatever update returns
+ */
+function updateProcessingState(sheet, update) {
+  return withDocumentLock(function() {
+    var properties = PropertiesService.getDocumentProperties();
+    var key = 'processing.' + sheet.getSheetId();
+    var state = {requested: 0, processed: 0, lease: null};
+
+    var saved = properties.getProperty(key);
+    if (saved) {
+      try {
+        state = JSON.parse(saved);
+      } catch (error) {
+        if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+          Logger.log("WARN [Processing]: Resetting unreadable processing state: " + error.toString() + " (Entity: " + sheet.getName() + ")");
+        }
+      }
+    }
+
+    var result = update(state);
+    properties.setProperty(key, JSON.stringify(state));
+    return result;
+  });
+}
+
+/**
+ * Show where the stats stand in the status cell
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} status - "pending", "done" or "failed"
+ * @param {Error} error - The failure (for "failed")
+ */
+function setProcessingStatus(sheet, status, error) {
+  var config = BOX_SCORE_CONFIG.PROCESSING;
+  if (!config.STATUS_CELL) return;
+
+  var text;
+  if (status === 'pending') {
+    text = config.PENDING_TEXT;
+  } else if (status === 'failed') {
+    text = config.FAILED_TEXT + ': ' + (error ? error.message || error.toString() : 'unknown error');
+  } else {
+    text = config.DONE_TEXT + ' ' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "HH:mm:ss");
+  }
+  sheet.getRange(config.STATUS_CELL).setValue(text);
+}
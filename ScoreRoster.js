@@ -0,0 +1,183 @@
+// ===== SCORE ROSTER MODULE =====
+// Purpose: Reads the league roster sheet (player IDs, teams, aliases) and resolves game-sheet names to league players.
+// Dependencies: ScoreConfig.js, ScoreCache.js (readCachedRosterRows, writeCachedRosterRows, invalidateLeagueRosterCache)
+// Entry Point(s): readLeagueRoster, findLeaguePlayer, assignPlayerIds
+
+/**
+ * Read the league roster sheet
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @return {Object} {found, players, teams, names}
+ *   players: [{id, name, team, order, position, aliases}] in sheet order
+ *   teams: team name -> players sorted by batting order
+ *   names: normalized name or alias -> players using it
+ */
+function readLeagueRoster(ss) {
+  var config = BOX_SCORE_CONFIG.LEAGUE_ROSTER;
+  var cols = config.COLUMNS;
+  var league = {found: false, players: [], teams: {}, names: {}};
+
+  var sheet = ss.getSheetByName(config.SHEET_NAME);
+  if (!sheet) return league;
+  league.found = true;
+
+  var rows = readLeagueRosterRows(sheet);
+
+  for (var i = 0; i < rows.length; i++) {
+    var team = String(rows[i][cols.TEAM - 1]).trim();
+    var name = String(rows[i][cols.PLAYER - 1]).trim();
+    if (!team || !name) continue;
+
+    var rawOrder = rows[i][cols.ORDER - 1];
+    var order = Number(rawOrder);
+    var aliases = String(rows[i][cols.ALIASES - 1]).split(config.ALIAS_SEPARATOR).map(function(alias) {
+      return alias.trim();
+    }).filter(function(alias) {
+      return alias !== "";
+    });
+
+    var player = {
+      id: String(rows[i][cols.ID - 1]).trim(),
+      name: name,
+      team: team,
+      order: rawOrder === "" || isNaN(order) ? Infinity : order,   // Unnumbered players go last
+      position: String(rows[i][cols.POSITION - 1]).trim().toUpperCase(),
+      aliases: aliases
+    };
+
+    league.players.push(player);
+    if (!league.teams[team]) league.teams[team] = [];
+    league.teams[team].push(player);
+
+    var keys = [name].concat(aliases);
+    for (var k = 0; k < keys.length; k++) {
+      var key = normalizePlayerName(keys[k]);
+      if (!league.names[key]) league.names[key] = [];
+      if (league.names[key].indexOf(player) === -1) league.names[key].push(player);
+    }
+  }
+
+  for (var teamName in league.teams) {
+    league.teams[teamName].sort(function(a, b) {
+      return a.order - b.order;
+    });
+  }
+
+  return league;
+}
+
+/**
+ * Rows below the roster sheet's header, from the cache when it has them
+ * @param {Sheet} sheet - The roster sheet
+ * @return {Array<Array>} Values of the Team through Aliases columns
+ */
+function readLeagueRosterRows(sheet) {
+  var rows = readCachedRosterRows();
+  if (rows) return rows;
+
+  var cols = BOX_SCORE_CONFIG.LEAGUE_ROSTER.COLUMNS;
+  var width = Math.max(cols.TEAM, cols.ORDER, cols.PLAYER, cols.POSITION, cols.ID, cols.ALIASES);
+  rows = sheet.getLastRow() < 2 ? [] : sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+
+  writeCachedRosterRows(rows);
+  return rows;
+}
+
+/**
+ * Normalize a player name for matching: trimmed, single spaces, lowercase
+ * @param {*} name - Name as typed
+ * @return {string} Normalized name
+ */
+function normalizePlayerName(name) {
+  return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Resolve a game-sheet name (or alias) to a league player
+ * When the same name is used on more than one team, the team name picks between them.
+ * @param {Object} league - Result of readLeagueRoster
+ * @param {string} name - Name as written on the game sheet
+ * @param {string} teamName - Team from the game header (optional)
+ * @return {Object} League player, or null if unknown or ambiguous
+ */
+function findLeaguePlayer(league, name, teamName) {
+  var candidates = league.names[normalizePlayerName(name)] || [];
+  if (candidates.length === 1) return candidates[0];
+  if (candidates.length === 0 || !teamName) return null;
+
+  var team = normalizePlayerName(teamName);
+  var onTeam = candidates.filter(function(player) {
+    return normalizePlayerName(player.team) === team;
+  });
+  return onTeam.length === 1 ? onTeam[0] : null;
+}
+
+/**
+ * Season key for a league player: the player ID, or team and name until an ID is assigned
+ * @param {Object} player - League player
+ * @return {string} Stable key
+ */
+function getLeaguePlayerKey(player) {
+  return player.id || player.team + "|" + player.name;
+}
+
+/**
+ * Find a team on the roster sheet, ignoring case and surrounding spaces
+ * @param {Object} league - Result of readLeagueRoster
+ * @param {string} input - Team name as typed
+ * @return {string} Team name as written on the roster sheet, or null
+ */
+function findRosterTeam(league, input) {
+  var wanted = normalizePlayerName(input);
+  if (!wanted) return null;
+
+  for (var team in league.teams) {
+    if (normalizePlayerName(team) === wanted) return team;
+  }
+  return null;
+}
+
+/**
+ * Fill in blank player IDs (ID_PREFIX + next number, e.g. P014)
+ * Existing IDs are never changed, so stats stay attached to a player through renames.
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @return {number} Number of IDs assigned
+ */
+function assignPlayerIds(ss) {
+  var config = BOX_SCORE_CONFIG.LEAGUE_ROSTER;
+  var cols = config.COLUMNS;
+
+  var sheet = ss.getSheetByName(config.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+
+  var numRows = sheet.getLastRow() - 1;
+  var names = sheet.getRange(2, cols.PLAYER, numRows, 1).getValues();
+  var ids = sheet.getRange(2, cols.ID, numRows, 1).getValues();
+
+  var highest = 0;
+  for (var i = 0; i < ids.length; i++) {
+    var id = String(ids[i][0]).trim();
+    if (id.indexOf(config.ID_PREFIX) !== 0) continue;
+    var number = parseInt(id.substring(config.ID_PREFIX.length), 10);
+    if (!isNaN(number)) highest = Math.max(highest, number);
+  }
+
+  var assigned = 0;
+  for (var r = 0; r < ids.length; r++) {
+    if (String(ids[r][0]).trim() || !String(names[r][0]).trim()) continue;
+    highest++;
+    var digits = String(highest);
+    while (digits.length < 3) digits = "0" + digits;
+    ids[r][0] = config.ID_PREFIX + digits;
+    assigned++;
+  }
+
+  if (assigned > 0) {
+    sheet.getRange(2, cols.ID, numRows, 1).setValues(ids);
+    invalidateLeagueRosterCache();
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("INFO [Roster]: Assigned " + assigned + " player ID(s) (Entity: " + config.SHEET_NAME + ")");
+    }
+  }
+
+  return assigned;
+}
@@ -0,0 +1,502 @@
+// ===== SCORE SEASON MODULE =====
+// Purpose: Builds season hitting, pitching, fielding and team tables from every game sheet.
+// Dependencies: ScoreConfig.js, ScoreMetadata.js (readGameMetadata), ScoreGameSheet.js (readGame, readAtBatGrid),
+//               ScoreDecisions.js (findStartingPitcher), ScoreNotation.js (calculateERA, calculateIP),
+//               ScoreRoster.js (readLeagueRoster, findLeaguePlayer, assignPlayerIds), ScoreSubstitutions.js (readSubstitutions),
+//               ScoreDefense.js (readPositionChanges)
+// Entry Point(s): buildSeasonStats
+
+/**
+ * Build season stats from every game sheet (menu command)
+ * Games whose inputs haven't changed since the last build are read from the cache
+ * sheet instead of being replayed.
+ */
+function buildSeasonStats() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var ui = SpreadsheetApp.getUi();
+
+  try {
+    var collected = collectSeasonGames(ss);
+    assignPlayerIds(ss);
+    var season = aggregateSeasonStats(collected.games, readLeagueRoster(ss));
+    writeSeasonSheet(ss, season);
+
+    var message = 'Season stats built from ' + collected.games.length + ' game sheet(s).\n\n' +
+                  '• Replayed: ' + collected.replayed + '\n' +
+                  '• Unchanged (cached): ' + collected.cached;
+    if (collected.unnamed.length > 0) {
+      message += '\n\nNo team names in ' + BOX_SCORE_CONFIG.GAME_METADATA.AWAY_TEAM_CELL + '/' + BOX_SCORE_CONFIG.GAME_METADATA.HOME_TEAM_CELL +
+                 ' on: ' + collected.unnamed.join(', ') + ' (grouped under the sheet name)';
+    }
+    if (season.unknown.length > 0) {
+      message += '\n\nNot on the ' + BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME + ' sheet (kept by name): ' + season.unknown.join(', ');
+    }
+    ui.alert('Build Season Stats', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    ui.alert(
+      'Season Stats Error',
+      'An error occurred while building season stats:\n\n' +
+      error.toString() + '\n\n' +
+      'Please check the Apps Script logs for details.',
+      ui.ButtonSet.OK
+    );
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("ERROR [Season]: " + error.toString() + " (Entity: " + ss.getName() + ")");
+    }
+  }
+}
+
+// ===== GAME COLLECTION =====
+
+/**
+ * Summarize every game sheet, replaying only new or changed games
+ * Cache entries for sheets that no longer exist are dropped.
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @return {Object} {games, replayed, cached, unnamed}
+ */
+function collectSeasonGames(ss) {
+  var cache = readSeasonCache(ss);
+  var result = {games: [], replayed: 0, cached: 0, unnamed: []};
+  var entries = [];
+
+  var sheets = ss.getSheets();
+  for (var i = 0; i < sheets.length; i++) {
+    var sheet = sheets[i];
+    if (!sheet.getName().startsWith(BOX_SCORE_CONFIG.GAME_SHEET_PREFIX)) continue;
+
+    var fingerprint = fingerprintGameSheet(sheet);
+    var cachedEntry = cache[sheet.getName()];
+    var game;
+
+    if (cachedEntry && cachedEntry.fingerprint === fingerprint) {
+      game = cachedEntry.game;
+      result.cached++;
+    } else {
+      // Read only: readGame takes a bare "P" as the starter, so Final sheets are never written to
+      game = summarizeGame(sheet);
+      result.replayed++;
+    }
+
+    if (game.unnamed) result.unnamed.push(sheet.getName());
+    result.games.push(game);
+    entries.push({sheetName: sheet.getName(), fingerprint: fingerprint, game: game});
+  }
+
+  writeSeasonCache(ss, entries);
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Season]: " + result.games.length + " games (" + result.replayed + " replayed, " + result.cached + " cached)");
+  }
+
+  return result;
+}
+
+/**
+ * Fingerprint everything on a game sheet that season stats depend on
+ * Game header, roster names/positions, bench subs, logged position changes and the at-bat grids (extra innings included).
+ * @param {Sheet} sheet - The game sheet
+ * @return {string} Digest of the sheet's inputs
+ */
+function fingerprintGameSheet(sheet) {
+  var awayRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
+  var homeRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+
+  var inputs = [
+    BOX_SCORE_CONFIG.SEASON_STATS.CACHE_VERSION,
+    readGameMetadata(sheet),
+    sheet.getRange(awayRange.startRow, awayRange.positionCol, awayRange.numPlayers, 2).getValues(),
+    sheet.getRange(homeRange.startRow, homeRange.positionCol, homeRange.numPlayers, 2).getValues(),
+    readSubstitutions(sheet, 'away').subs,
+    readSubstitutions(sheet, 'home').subs,
+    readPositionChanges(sheet),
+    readAtBatGrid(sheet, true),
+    readAtBatGrid(sheet, false)
+  ];
+
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(inputs));
+  return Utilities.base64Encode(digest);
+}
+
+/**
+ * Replay one game sheet into a compact per-game summary (what the cache stores)
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {sheetName, teams, unnamed, date, week, status, final, complete, score, players}
+ */
+function summarizeGame(sheet) {
+  var game = readGame(sheet);
+  var teams = getSeasonTeamNames(sheet, game.metadata);
+
+  // The away starter is the first pitcher the home team faced, and vice versa
+  var starters = [findStartingPitcher(game.home.replay), findStartingPitcher(game.away.replay)];
+
+  // Lineups before benches, as the roster map used to rank them; players with no stats are left out
+  var players = {};
+  var lists = [['away', game.away.players], ['home', game.home.players], ['away', game.away.bench], ['home', game.home.bench]];
+  for (var l = 0; l < lists.length; l++) {
+    var entries = lists[l][1];
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+      if (players[entry.name]) continue;
+      if (!entry.hitting && !entry.pitching && !entry.fielding && !entry.decisions) continue;
+
+      players[entry.name] = {
+        side: lists[l][0],
+        started: starters.indexOf(entry.name) !== -1,
+        hitting: entry.hitting,
+        pitching: entry.pitching,
+        fielding: entry.fielding,
+        decisions: entry.decisions
+      };
+    }
+  }
+
+  return {
+    sheetName: sheet.getName(),
+    teams: {away: teams.away, home: teams.home},
+    unnamed: teams.unnamed,
+    date: game.metadata.dateText,
+    week: game.metadata.week,
+    status: game.metadata.status,
+    final: game.metadata.final,
+    complete: game.lineScore.complete,
+    score: {away: game.lineScore.away.R, home: game.lineScore.home.R},
+    players: players
+  };
+}
+
+/**
+ * Team names to group a game's stats under
+ * A blank name falls back to "<sheet name> Away/Home" so unnamed games don't merge.
+ * @param {Sheet} sheet - The game sheet
+ * @param {Object} metadata - Result of readGameMetadata
+ * @return {Object} {away, home, unnamed}
+ */
+function getSeasonTeamNames(sheet, metadata) {
+  return {
+    away: metadata.awayTeam || sheet.getName() + " " + BOX_SCORE_CONFIG.LINE_SCORE.AWAY_LABEL,
+    home: metadata.homeTeam || sheet.getName() + " " + BOX_SCORE_CONFIG.LINE_SCORE.HOME_LABEL,
+    unnamed: !metadata.awayTeam || !metadata.homeTeam
+  };
+}
+
+// ===== SEASON CACHE =====
+
+/**
+ * Read cached game summaries keyed by sheet name
+ * Rows that fail to parse are ignored (the game is simply replayed).
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @return {Object} Map of sheet name to {fingerprint, game}
+ */
+function readSeasonCache(ss) {
+  var cache = {};
+  var sheet = ss.getSheetByName(BOX_SCORE_CONFIG.SEASON_STATS.CACHE_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return cache;
+
+  var rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  for (var i = 0; i < rows.length; i++) {
+    var sheetName = String(rows[i][0]);
+    if (!sheetName) continue;
+    try {
+      cache[sheetName] = {fingerprint: String(rows[i][1]), game: JSON.parse(rows[i][2])};
+    } catch (error) {
+      if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+        Logger.log("WARN [Season]: Ignoring unreadable cache row: " + error.toString() + " (Entity: " + sheetName + ")");
+      }
+    }
+  }
+  return cache;
+}
+
+/**
+ * Replace the cache sheet contents with the current game summaries
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Array<Object>} entries - [{sheetName, fingerprint, game}]
+ */
+function writeSeasonCache(ss, entries) {
+  var sheet = getOrCreateSeasonSheet(ss, BOX_SCORE_CONFIG.SEASON_STATS.CACHE_SHEET_NAME, true);
+
+  var rows = [["Sheet", "Fingerprint", "Game"]];
+  for (var i = 0; i < entries.length; i++) {
+    rows.push([entries[i].sheetName, entries[i].fingerprint, JSON.stringify(entries[i].game)]);
+  }
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+}
+
+/**
+ * Get a season sheet by name, creating it if needed
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {string} name - Sheet name
+ * @param {boolean} hidden - Hide the sheet when it is created
+ * @return {Sheet} The sheet
+ */
+function getOrCreateSeasonSheet(ss, name, hidden) {
+  var sheet = ss.getSheetByName(name);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(name);
+  if (hidden) sheet.hideSheet();
+  return sheet;
+}
+
+// ===== AGGREGATION =====
+
+/**
+ * Add up game summaries into season totals per player and per team
+ * Game-sheet names are resolved through the league roster, so aliases and renamed
+ * players share one line (keyed by player ID). Names the roster doesn't know are kept
+ * by name. A player's team is the one from their latest game.
+ * @param {Array<Object>} games - Results of summarizeGame
+ * @param {Object} league - Result of readLeagueRoster (optional)
+ * @return {Object} {players, teams, unknown}
+ */
+function aggregateSeasonStats(games, league) {
+  var season = {players: {}, teams: {}, unknown: []};
+
+  for (var g = 0; g < games.length; g++) {
+    var game = games[g];
+    var sides = ['away', 'home'];
+
+    for (var s = 0; s < sides.length; s++) {
+      var side = sides[s];
+      var opponent = side === 'away' ? 'home' : 'away';
+      var team = getSeasonTeam(season, game.teams[side]);
+
+      team.G++;
+      team.RS += game.score[side];
+      team.RA += game.score[opponent];
+      // Records only count games marked final (same rule as the standings)
+      if (game.final && game.score[side] !== game.score[opponent]) {
+        if (game.score[side] > game.score[opponent]) team.W++;
+        else team.L++;
+      }
+    }
+
+    for (var name in game.players) {
+      var entry = game.players[name];
+      var teamName = game.teams[entry.side];
+      var leaguePlayer = league && league.found ? findLeaguePlayer(league, name, teamName) : null;
+      if (league && league.found && !leaguePlayer && season.unknown.indexOf(name) === -1) {
+        season.unknown.push(name);
+      }
+
+      var key = leaguePlayer ? getLeaguePlayerKey(leaguePlayer) : name;
+      var player = season.players[key];
+      if (!player) {
+        player = season.players[key] = {name: leaguePlayer ? leaguePlayer.name : name, id: leaguePlayer ? leaguePlayer.id : "",
+                                        team: teamName, G: 0, pitchingG: 0, GS: 0,
+                                        hitting: {}, pitching: {}, fielding: {}, decisions: {}};
+      }
+      player.team = teamName;
+      player.G++;
+
+      var teamTotals = season.teams[teamName];
+      if (entry.hitting) {
+        addSeasonStats(player.hitting, entry.hitting);
+        addSeasonStats(teamTotals.hitting, entry.hitting);
+      }
+      if (entry.pitching) {
+        player.pitchingG++;
+        if (entry.started) player.GS++;
+        addSeasonStats(player.pitching, entry.pitching);
+        addSeasonStats(teamTotals.pitching, entry.pitching);
+      }
+      if (entry.fielding) {
+        addSeasonStats(player.fielding, entry.fielding);
+        addSeasonStats(teamTotals.fielding, entry.fielding);
+      }
+      if (entry.decisions) {
+        addSeasonStats(player.decisions, entry.decisions);
+      }
+    }
+  }
+
+  return season;
+}
+
+/**
+ * Get (or start) a team's season totals
+ * @param {Object} season - Season totals
+ * @param {string} name - Team name
+ * @return {Object} Team totals
+ */
+function getSeasonTeam(season, name) {
+  if (!season.teams[name]) {
+    season.teams[name] = {G: 0, W: 0, L: 0, RS: 0, RA: 0, hitting: {}, pitching: {}, fielding: {}};
+  }
+  return season.teams[name];
+}
+
+/**
+ * Add one set of counting stats into a running total
+ * @param {Object} total - Running total (modified in place)
+ * @param {Object} stats - Counting stats to add
+ */
+function addSeasonStats(total, stats) {
+  for (var key in stats) {
+    total[key] = (total[key] || 0) + (Number(stats[key]) || 0);
+  }
+}
+
+// ===== RATE STATS =====
+
+/**
+ * Batting rate stats
+ * OBP uses (H + BB) / (AB + BB + SF); hit-by-pitch isn't tracked.
+ * @param {Object} hitting - Counting stats {AB, H, BB, TB, SF}
+ * @return {Object} {AVG, OBP, SLG, OPS} (null when there is no denominator)
+ */
+function calculateBattingRates(hitting) {
+  var ab = hitting.AB || 0;
+  var h = hitting.H || 0;
+  var bb = hitting.BB || 0;
+
+  var avg = ab > 0 ? roundSeasonRate(h / ab, 3) : null;
+  var obpDenominator = ab + bb + (hitting.SF || 0);
+  var obp = obpDenominator > 0 ? roundSeasonRate((h + bb) / obpDenominator, 3) : null;
+  var slg = ab > 0 ? roundSeasonRate((hitting.TB || 0) / ab, 3) : null;
+
+  return {
+    AVG: avg,
+    OBP: obp,
+    SLG: slg,
+    OPS: (obp !== null && slg !== null) ? roundSeasonRate(obp + slg, 3) : null
+  };
+}
+
+/**
+ * Pitching rate stats
+ * ERA follows ERA_INNINGS; WHIP is per inning and K/9 per nine innings.
+ * @param {Object} pitching - Counting stats {outs, H, ER, BB, K}
+ * @return {Object} {ERA, WHIP, K9} (null with no outs recorded)
+ */
+function calculatePitchingRates(pitching) {
+  var outs = pitching.outs || 0;
+  if (outs <= 0) return {ERA: null, WHIP: null, K9: null};
+
+  return {
+    ERA: calculateERA(pitching.ER || 0, outs),
+    WHIP: roundSeasonRate(((pitching.BB || 0) + (pitching.H || 0)) * 3 / outs, 2),
+    K9: roundSeasonRate((pitching.K || 0) * 27 / outs, 2)
+  };
+}
+
+/**
+ * Round a rate stat
+ * @param {number} value - Rate
+ * @param {number} places - Decimal places
+ * @return {number} Rounded rate
+ */
+function roundSeasonRate(value, places) {
+  var factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// ===== SEASON SHEET =====
+
+/**
+ * Write the season tables (hitting, pitching, fielding, teams) to the season sheet
+ * Tables are stacked top to bottom with a blank row between them.
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Object} season - Result of aggregateSeasonStats
+ */
+function writeSeasonSheet(ss, season) {
+  var sheet = getOrCreateSeasonSheet(ss, BOX_SCORE_CONFIG.SEASON_STATS.SHEET_NAME, false);
+  sheet.clearContents();
+
+  var keys = Object.keys(season.players).sort(function(a, b) {
+    var playerA = season.players[a];
+    var playerB = season.players[b];
+    if (playerA.team !== playerB.team) return playerA.team < playerB.team ? -1 : 1;
+    return playerA.name < playerB.name ? -1 : (playerA.name > playerB.name ? 1 : 0);
+  });
+
+  var hittingRows = [];
+  var pitchingRows = [];
+  var fieldingRows = [];
+  for (var i = 0; i < keys.length; i++) {
+    var player = season.players[keys[i]];
+    var h = player.hitting;
+    var p = player.pitching;
+    var f = player.fielding;
+    var d = player.decisions;
+
+    if (h.AB !== undefined) {
+      var bat = calculateBattingRates(h);
+      hittingRows.push([player.name, player.team, player.G, h.AB, h.R, h.H, h.HR, h.RBI, h.BB, h.K, h.SF, h.ROB, h.DP, h.TB,
+                        bat.AVG, bat.OBP, bat.SLG, bat.OPS]);
+    }
+    if (p.BF !== undefined) {
+      var pitch = calculatePitchingRates(p);
+      pitchingRows.push([player.name, player.team, player.pitchingG, player.GS, d.W || 0, d.L || 0, d.SV || 0, d.HLD || 0, d.BS || 0,
+                         calculateIP(p.outs), p.BF, p.H, p.R, p.ER, p.HR, p.BB, p.K, pitch.ERA, pitch.WHIP, pitch.K9]);
+    }
+    if (f.NP !== undefined) {
+      fieldingRows.push([player.name, player.team, player.G, f.NP, f.E, f.SB]);
+    }
+  }
+
+  var teamRows = [];
+  var teamNames = Object.keys(season.teams).sort();
+  for (var t = 0; t < teamNames.length; t++) {
+    var team = season.teams[teamNames[t]];
+    var teamBat = calculateBattingRates(team.hitting);
+    var teamPitch = calculatePitchingRates(team.pitching);
+    teamRows.push([teamNames[t], team.G, team.W, team.L, team.RS, team.RA, team.hitting.HR || 0,
+                   teamBat.AVG, teamBat.OBP, teamBat.SLG, teamBat.OPS, teamPitch.ERA, teamPitch.WHIP, teamPitch.K9,
+                   team.fielding.E || 0]);
+  }
+
+  var row = 1;
+  row = writeSeasonTable(sheet, row, "HITTING",
+    ["Player", "Team", "G", "AB", "R", "H", "HR", "RBI", "BB", "K", "SF", "ROB", "DP", "TB", "AVG", "OBP", "SLG", "OPS"],
+    hittingRows, {AVG: "#.000", OBP: "#.000", SLG: "#.000", OPS: "#.000"});
+  row = writeSeasonTable(sheet, row, "PITCHING",
+    ["Player", "Team", "G", "GS", "W", "L", "SV", "HLD", "BS", "IP", "BF", "H", "R", "ER", "HR", "BB", "K", "ERA", "WHIP", "K/9"],
+    pitchingRows, {IP: "0.00", ERA: "0.00", WHIP: "0.00", "K/9": "0.00"});
+  row = writeSeasonTable(sheet, row, "FIELDING",
+    ["Player", "Team", "G", "NP", "E", "SB"],
+    fieldingRows, {});
+  writeSeasonTable(sheet, row, "TEAMS",
+    ["Team", "G", "W", "L", "RS", "RA", "HR", "AVG", "OBP", "SLG", "OPS", "ERA", "WHIP", "K/9", "E"],
+    teamRows, {AVG: "#.000", OBP: "#.000", SLG: "#.000", OPS: "#.000", ERA: "0.00", WHIP: "0.00", "K/9": "0.00"});
+}
+
+/**
+ * Write one titled table in a single batch
+ * @param {Sheet} sheet - The season sheet
+ * @param {number} row - First row of the table (title row)
+ * @param {string} title - Table title
+ * @param {Array<string>} header - Column headers
+ * @param {Array<Array>} rows - Data rows (null rates are written blank)
+ * @param {Object} formats - Map of header to number format
+ * @return {number} First row after the table and its trailing blank row
+ */
+function writeSeasonTable(sheet, row, title, header, rows, formats) {
+  var values = [[title], header];
+  for (var i = 0; i < rows.length; i++) {
+    values.push(rows[i].map(function(value) {
+      return (value === null || value === undefined) ? "" : value;
+    }));
+  }
+
+  // Title row is padded to the table width for the batch write
+  while (values[0].length < header.length) {
+    values[0].push("");
+  }
+
+  sheet.getRange(row, 1, values.length, header.length).setValues(values);
+  sheet.getRange(row, 1, 2, header.length).setFontWeight("bold");
+
+  if (rows.length > 0) {
+    for (var c = 0; c < header.length; c++) {
+      if (formats[header[c]]) {
+        sheet.getRange(row + 2, c + 1, rows.length, 1).setNumberFormat(formats[header[c]]);
+      }
+    }
+  }
+
+  return row + values.length + 1;
+}
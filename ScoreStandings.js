@@ -0,0 +1,223 @@
+// ===== SCORE STANDINGS MODULE =====
+// Purpose: Builds league standings (W, L, PCT, GB, run differential, streak, splits, head-to-head) from final games.
+// Dependencies: ScoreConfig.js, ScoreSeason.js (collectSeasonGames, getOrCreateSeasonSheet, roundSeasonRate)
+// Entry Point(s): buildStandings
+
+/**
+ * Build the standings sheet from every game marked final (menu command)
+ * Game results come from the same cached summaries as the season stats, so only
+ * new or edited games are replayed.
+ */
+function buildStandings() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var ui = SpreadsheetApp.getUi();
+
+  try {
+    var collected = collectSeasonGames(ss);
+    var finalGames = [];
+    for (var i = 0; i < collected.games.length; i++) {
+      if (collected.games[i].final) finalGames.push(collected.games[i]);
+    }
+
+    var standings = calculateStandings(sortGamesByDate(finalGames));
+    writeStandingsSheet(ss, standings);
+
+    var skipped = collected.games.length - finalGames.length;
+    var message = 'Standings built from ' + finalGames.length + ' final game(s).';
+    if (skipped > 0) {
+      message += '\n\n' + skipped + ' game(s) not marked final were skipped (set ' + BOX_SCORE_CONFIG.GAME_METADATA.STATUS_CELL +
+                 ' to "' + BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS + '" when a game is over).';
+    }
+    if (collected.unnamed.length > 0) {
+      message += '\n\nNo team names in ' + BOX_SCORE_CONFIG.GAME_METADATA.AWAY_TEAM_CELL + '/' + BOX_SCORE_CONFIG.GAME_METADATA.HOME_TEAM_CELL +
+                 ' on: ' + collected.unnamed.join(', ');
+    }
+    ui.alert('Build Standings', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    ui.alert(
+      'Standings Error',
+      'An error occurred while building standings:\n\n' +
+      error.toString() + '\n\n' +
+      'Please check the Apps Script logs for details.',
+      ui.ButtonSet.OK
+    );
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("ERROR [Standings]: " + error.toString() + " (Entity: " + ss.getName() + ")");
+    }
+  }
+}
+
+/**
+ * Order games by date for streaks; undated games keep their tab order after the dated ones
+ * @param {Array<Object>} games - Game summaries in sheet tab order
+ * @return {Array<Object>} Sorted copy
+ */
+function sortGamesByDate(games) {
+  var indexed = games.map(function(game, index) {
+    return {game: game, index: index};
+  });
+
+  indexed.sort(function(a, b) {
+    var dateA = a.game.date || "";
+    var dateB = b.game.date || "";
+    if (dateA !== dateB) {
+      if (!dateA) return 1;
+      if (!dateB) return -1;
+      return dateA < dateB ? -1 : 1;
+    }
+    return a.index - b.index;
+  });
+
+  return indexed.map(function(entry) {
+    return entry.game;
+  });
+}
+
+/**
+ * Calculate each team's record from final games (in date order)
+ * A final game with a tied score counts as a tie; PCT ignores ties.
+ * @param {Array<Object>} games - Final game summaries from collectSeasonGames
+ * @return {Array<Object>} Teams sorted by PCT, best first, with GB filled in
+ */
+function calculateStandings(games) {
+  var teams = {};
+
+  for (var g = 0; g < games.length; g++) {
+    var game = games[g];
+    var sides = ['away', 'home'];
+
+    for (var s = 0; s < sides.length; s++) {
+      var side = sides[s];
+      var opponentSide = side === 'away' ? 'home' : 'away';
+      var name = game.teams[side];
+      var opponent = game.teams[opponentSide];
+      var runs = game.score[side];
+      var allowed = game.score[opponentSide];
+      var result = runs > allowed ? 'W' : (runs < allowed ? 'L' : 'T');
+
+      var team = getStandingsTeam(teams, name);
+      team[result]++;
+      team.RS += runs;
+      team.RA += allowed;
+      team.results.push(result);
+      team[side][result]++;
+
+      if (!team.vs[opponent]) team.vs[opponent] = {W: 0, L: 0, T: 0};
+      team.vs[opponent][result]++;
+    }
+  }
+
+  var list = [];
+  for (var name in teams) {
+    var team = teams[name];
+    var decisions = team.W + team.L;
+    team.PCT = decisions > 0 ? roundSeasonRate(team.W / decisions, 3) : null;
+    team.DIFF = team.RS - team.RA;
+    team.STRK = calculateStreak(team.results);
+    list.push(team);
+  }
+
+  list.sort(function(a, b) {
+    var pctA = a.PCT === null ? -1 : a.PCT;
+    var pctB = b.PCT === null ? -1 : b.PCT;
+    if (pctA !== pctB) return pctB - pctA;
+    if (a.W !== b.W) return b.W - a.W;
+    if (a.DIFF !== b.DIFF) return b.DIFF - a.DIFF;
+    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+  });
+
+  // Games behind the first-place team
+  for (var i = 0; i < list.length; i++) {
+    list[i].GB = i === 0 ? null : ((list[0].W - list[i].W) + (list[i].L - list[0].L)) / 2;
+  }
+
+  return list;
+}
+
+/**
+ * Get (or start) a team's standings record
+ * @param {Object} teams - Map of team name to record
+ * @param {string} name - Team name
+ * @return {Object} Team record
+ */
+function getStandingsTeam(teams, name) {
+  if (!teams[name]) {
+    teams[name] = {
+      name: name,
+      W: 0, L: 0, T: 0, RS: 0, RA: 0,
+      results: [],                     // "W" / "L" / "T" in game order
+      home: {W: 0, L: 0, T: 0},
+      away: {W: 0, L: 0, T: 0},
+      vs: {}                           // Opponent name -> {W, L, T}
+    };
+  }
+  return teams[name];
+}
+
+/**
+ * Current streak from a team's results
+ * @param {Array<string>} results - "W" / "L" / "T" in game order
+ * @return {string} e.g. "W3", "L1", or "" before the first game
+ */
+function calculateStreak(results) {
+  if (results.length === 0) return "";
+
+  var last = results[results.length - 1];
+  var count = 0;
+  for (var i = results.length - 1; i >= 0 && results[i] === last; i--) {
+    count++;
+  }
+  return last + count;
+}
+
+/**
+ * Format a W-L record, adding ties only when there are any
+ * @param {Object} record - {W, L, T}
+ * @return {string} e.g. "5-3" or "5-3-1"
+ */
+function formatRecord(record) {
+  return record.W + "-" + record.L + (record.T > 0 ? "-" + record.T : "");
+}
+
+/**
+ * Write the standings table (with one head-to-head column per team) in one batch
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {Array<Object>} standings - Result of calculateStandings
+ */
+function writeStandingsSheet(ss, standings) {
+  var sheet = getOrCreateSeasonSheet(ss, BOX_SCORE_CONFIG.STANDINGS.SHEET_NAME, false);
+  sheet.clearContents();
+
+  var header = ["Team", "W", "L", "T", "PCT", "GB", "RS", "RA", "DIFF", "STRK", "HOME", "AWAY"];
+  var fixedCols = header.length;
+  for (var i = 0; i < standings.length; i++) {
+    header.push("vs " + standings[i].name);
+  }
+
+  var values = [header];
+  for (var i = 0; i < standings.length; i++) {
+    var team = standings[i];
+    var row = [team.name, team.W, team.L, team.T,
+               team.PCT === null ? "" : team.PCT,
+               team.GB === null ? "-" : team.GB,
+               team.RS, team.RA, team.DIFF, team.STRK,
+               formatRecord(team.home), formatRecord(team.away)];
+
+    for (var j = 0; j < standings.length; j++) {
+      var opponent = standings[j].name;
+      if (opponent === team.name) row.push("-");
+      else row.push(team.vs[opponent] ? formatRecord(team.vs[opponent]) : "");
+    }
+    values.push(row);
+  }
+
+  // Records are text ("5-3"), otherwise Sheets reads them as dates
+  if (standings.length > 0) {
+    sheet.getRange(2, fixedCols - 1, standings.length, header.length - fixedCols + 2).setNumberFormat("@");
+    sheet.getRange(2, 5, standings.length, 1).setNumberFormat("#.000");
+  }
+
+  sheet.getRange(1, 1, values.length, header.length).setValues(values);
+  sheet.getRange(1, 1, 1, header.length).setFontWeight("bold");
+}
@@ -0,0 +1,234 @@
+// ===== SCORE SUBSTITUTIONS MODULE =====
+// Purpose: Reads and records lineup substitutions (pinch hitters, replacements) in the bench blocks.
+// Dependencies: ScoreConfig.js, ScoreUtility.js (isAtBatCell, getBattingTeam, getInningFromColumn), ScoreMetadata.js (isGameFinal),
+//               ScoreBaseState.js (getSlotOccupant), ScoreGameSheet.js (readLineup), ScoreTriggers.js (processGameStatsBulkBackground), ScoreAudit.js (logAutomatedChange)
+// Entry Point(s): addSubstitution, writeSubstitution, readSubstitutions, groupSubstitutionsBySlot, findSubstitution
+
+/**
+ * Record a substitution at the selected at-bat cell (menu command)
+ * The selected cell gives the lineup slot (row) and the inning the sub enters (column).
+ */
+function addSubstitution() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var ui = SpreadsheetApp.getUi();
+  var cell = sheet.getActiveCell();
+
+  if (!cell || !isAtBatCell(cell.getRow(), cell.getColumn(), sheet)) {
+    ui.alert('Add Substitution', 'Select the at-bat cell where the substitute comes up (their lineup row, in the inning they enter), then try again.', ui.ButtonSet.OK);
+    return;
+  }
+
+  if (isGameFinal(sheet)) {
+    ui.alert('Add Substitution', 'This game is marked ' + BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS + '. Use Reopen Game to make changes.', ui.ButtonSet.OK);
+    return;
+  }
+
+  var team = getBattingTeam(cell.getRow());
+  var atBatRange = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE : BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
+  var slot = cell.getRow() - atBatRange.startRow;
+  var inning = getInningFromColumn(cell.getColumn(), sheet);
+
+  var bench = readSubstitutions(sheet, team);
+  var row = findFreeBenchRow(sheet, team);
+  if (row === -1) {
+    ui.alert('Add Substitution', 'The ' + team + ' bench is full (' + BOX_SCORE_CONFIG.SUBSTITUTIONS.NUM_ROWS + ' rows, SUBSTITUTIONS.NUM_ROWS).', ui.ButtonSet.OK);
+    return;
+  }
+
+  var current = getSlotOccupant(readLineup(sheet, team), groupSubstitutionsBySlot(bench.subs), slot, inning);
+  var response = ui.prompt(
+    'Add Substitution',
+    'Who replaces ' + (current || 'the batter') + ' in slot ' + (slot + 1) + ' from inning ' + inning + '?',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  var name = response.getResponseText().trim();
+  if (!name) return;
+
+  row = writeSubstitution(sheet, team, slot, name, inning);
+  logAutomatedChange(sheet, 'Substitution', sheet.getRange(row, BOX_SCORE_CONFIG.SUBSTITUTIONS.NAME_COL).getA1Notation(), "",
+                     name + ' for ' + (current || 'slot ' + (slot + 1)) + ' from inning ' + inning, joinAuditPlayers([name, current]));
+
+  if (BOX_SCORE_CONFIG.AUTO_PROCESS_ON_AT_BAT) {
+    processGameStatsBulkBackground(sheet);
+  }
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    name + ' bats for ' + (current || 'slot ' + (slot + 1)) + ' from inning ' + inning,
+    'Substitution',
+    3
+  );
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Substitutions]: " + name + " replaces " + current + " (Entity: " + team + " slot " + (slot + 1) + ", inning " + inning + ")");
+  }
+}
+
+/**
+ * Write a substitution to the first free row of a team's bench block
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ * @param {number} slot - Lineup slot taken over (0-based)
+ * @param {string} name - Substitute name
+ * @param {number} inning - Inning they enter
+ * @return {number} Bench row written, or -1 if the bench is full
+ */
+function writeSubstitution(sheet, team, slot, name, inning) {
+  var row = findFreeBenchRow(sheet, team);
+  if (row === -1) return -1;
+
+  writeBenchHeader(sheet, team);
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  sheet.getRange(row, config.SLOT_COL).setValue(slot + 1);
+  sheet.getRange(row, config.NAME_COL).setValue(name);
+  sheet.getRange(row, config.INNING_COL).setValue(inning);
+  return row;
+}
+
+/**
+ * Read a team's bench block
+ * Rows without a name are ignored; rows with a bad slot or inning are reported and skipped.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ * @return {Object} {subs: [{team, slot, name, inning, row}], problems: [{cell, name, message}]}
+ */
+function readSubstitutions(sheet, team) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  var startRow = getBenchStartRow(team);
+  var values = sheet.getRange(startRow, 1, config.NUM_ROWS, config.INNING_COL).getValues();
+  var result = {subs: [], problems: []};
+
+  for (var i = 0; i < values.length; i++) {
+    var name = String(values[i][config.NAME_COL - 1]).trim();
+    if (!name) continue;
+
+    var row = startRow + i;
+    var slot = Number(values[i][config.SLOT_COL - 1]);
+    var inning = Number(values[i][config.INNING_COL - 1]);
+
+    if (values[i][config.SLOT_COL - 1] === "" || slot % 1 !== 0 || slot < 1 || slot > BOX_SCORE_CONFIG.HITTING_RANGE.numPlayers) {
+      result.problems.push({cell: sheet.getRange(row, config.SLOT_COL).getA1Notation(), name: name,
+                            message: "Lineup slot must be 1-" + BOX_SCORE_CONFIG.HITTING_RANGE.numPlayers});
+      continue;
+    }
+    if (values[i][config.INNING_COL - 1] === "" || inning % 1 !== 0 || inning < 1) {
+      result.problems.push({cell: sheet.getRange(row, config.INNING_COL).getA1Notation(), name: name,
+                            message: "Inning entered must be a whole number (1 or more)"});
+      continue;
+    }
+
+    result.subs.push({team: team, slot: slot - 1, name: name, inning: inning, row: row});
+  }
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    for (var p = 0; p < result.problems.length; p++) {
+      Logger.log("WARN [Substitutions]: Skipping " + result.problems[p].name + ": " + result.problems[p].message + " (Entity: " + result.problems[p].cell + ")");
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Group subs by lineup slot in the order they entered (for getSlotOccupant)
+ * @param {Array<Object>} subs - Subs from readSubstitutions (or any [{slot, name, inning}] in bench order)
+ * @return {Array<Array<Object>>} Subs per slot (0-8), earliest inning first
+ */
+function groupSubstitutionsBySlot(subs) {
+  var bySlot = [];
+  for (var i = 0; i < subs.length; i++) {
+    if (!bySlot[subs[i].slot]) bySlot[subs[i].slot] = [];
+    bySlot[subs[i].slot].push({sub: subs[i], order: i});
+  }
+
+  // Same-inning subs keep the order they are listed in
+  for (var s = 0; s < bySlot.length; s++) {
+    if (!bySlot[s]) continue;
+    bySlot[s].sort(function(a, b) {
+      return a.sub.inning !== b.sub.inning ? a.sub.inning - b.sub.inning : a.order - b.order;
+    });
+    bySlot[s] = bySlot[s].map(function(entry) {
+      return entry.sub;
+    });
+  }
+  return bySlot;
+}
+
+/**
+ * Find a substitute by name
+ * @param {Object} substitutions - {away: subs, home: subs}
+ * @param {string} name - Player name
+ * @return {Object} Sub entry {team, slot, name, inning, row}, or null
+ */
+function findSubstitution(substitutions, name) {
+  var teams = ['away', 'home'];
+  for (var t = 0; t < teams.length; t++) {
+    var subs = substitutions[teams[t]] || [];
+    for (var i = 0; i < subs.length; i++) {
+      if (subs[i].name === name) return subs[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a cell is a bench slot, name or inning cell
+ * @param {number} row - Row number
+ * @param {number} col - Column number
+ * @return {boolean} True for cells that change who bats when
+ */
+function isBenchCell(row, col) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  if (col !== config.SLOT_COL && col !== config.NAME_COL && col !== config.INNING_COL) return false;
+
+  return (row >= config.AWAY_START_ROW && row < config.AWAY_START_ROW + config.NUM_ROWS) ||
+         (row >= config.HOME_START_ROW && row < config.HOME_START_ROW + config.NUM_ROWS);
+}
+
+/**
+ * First bench row for a team
+ * @param {string} team - "away" or "home"
+ * @return {number} Row number
+ */
+function getBenchStartRow(team) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  return (team === 'away') ? config.AWAY_START_ROW : config.HOME_START_ROW;
+}
+
+/**
+ * First bench row without a name
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ * @return {number} Row number, or -1 if the bench is full
+ */
+function findFreeBenchRow(sheet, team) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  var startRow = getBenchStartRow(team);
+  var names = sheet.getRange(startRow, config.NAME_COL, config.NUM_ROWS, 1).getValues();
+
+  for (var i = 0; i < names.length; i++) {
+    if (!String(names[i][0]).trim()) return startRow + i;
+  }
+  return -1;
+}
+
+/**
+ * Label a team's bench block if its header row is still blank
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ */
+function writeBenchHeader(sheet, team) {
+  var config = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  var headerRow = (team === 'away') ? config.AWAY_HEADER_ROW : config.HOME_HEADER_ROW;
+  var header = sheet.getRange(headerRow, 1, 1, config.INNING_COL);
+  var current = header.getValues()[0];
+
+  for (var i = 0; i < current.length; i++) {
+    if (String(current[i]).trim()) return;
+  }
+
+  header.setValues([["Slot", (team === 'away' ? "Away" : "Home") + " Subs",
+                     "AB", "H", "HR", "RBI", "BB", "K", "ROB", "DP", "TB", "R", "Inn"]]);
+  header.setFontWeight("bold");
+}
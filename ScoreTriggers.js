@@ -1,11 +1,11 @@
 // ===== SCORE TRIGGERS MODULE =====
 // Purpose: Orchestrates automation via onEdit trigger and menu-driven bulk processor.
-// Dependencies: ScoreConfig.js, ScoreNotation.js, ScoreUtility.js
+// Dependencies: ScoreConfig.js, ScoreNotation.js, ScoreBaseState.js, ScoreDecisions.js, ScoreGame.js, ScoreGameSheet.js, ScoreMetadata.js, ScoreRoster.js, ScoreSubstitutions.js, ScoreDefense.js, ScoreJournal.js, ScoreAudit.js, ScoreProcessing.js, ScoreCache.js, ScoreUtility.js
 // Entry Point(s): onEdit, processGameStatsBulk
 
 /**
  * Main onEdit trigger - entry point for all automation
- * Simplified design - no LockService needed since we only handle position swaps
+ * Stat recomputes are serialized per game sheet in ScoreProcessing.js
  * @param {Event} e - Edit event object
  */
 function onEdit(e) {
@@ -14,6 +14,12 @@ function onEdit(e) {
   var sheet = e.range.getSheet();
   var sheetName = sheet.getName();
 
+  // Roster edits make the cached league roster stale
+  if (sheetName === BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME) {
+    invalidateLeagueRosterCache();
+    return;
+  }
+
   // Only run on game sheets (sheets starting with configured prefix)
   if (!sheetName.startsWith(BOX_SCORE_CONFIG.GAME_SHEET_PREFIX)) return;
 
@@ -22,8 +28,10 @@ function onEdit(e) {
   var col = e.range.getColumn();
   var newValue = e.value || "";
 
+  // Record who changed what before any automation runs
+  logEditToAudit(e);
+
   try {
-    // Process edit (no lock needed - simple operations only)
     processEdit(sheet, cell, row, col, newValue, e.oldValue, e.range);
 
   } catch (error) {
@@ -45,7 +53,7 @@ function onEdit(e) {
 }
 
 /**
- * Process edit (extracted from onEdit for lock management)
+ * Process edit (extracted from onEdit)
  * @param {Sheet} sheet - The game sheet
  * @param {string} cell - Cell address
  * @param {number} row - Row number
@@ -55,31 +63,76 @@ function onEdit(e) {
  * @param {Range} range - The range object from event
  */
 function processEdit(sheet, cell, row, col, newValue, oldValue, range) {
+  // ============================================
+  // Game header: validate, and lock/unlock on Final
+  // ============================================
+  if (isGameMetadataCell(cell)) {
+    handleMetadataEdit(sheet, cell, newValue, oldValue);
+    return;
+  }
+
+  var isPitcherCell = cell === BOX_SCORE_CONFIG.AWAY_PITCHER_CELL || cell === BOX_SCORE_CONFIG.HOME_PITCHER_CELL;
+  var isAtBat = isAtBatCell(row, col, sheet);
+  var isBench = isBenchCell(row, col);
+  var isPosition = isPositionCell(row, col);
+
+  // ============================================
+  // Final games are locked until reopened
+  // ============================================
+  if ((isPitcherCell || isAtBat || isBench || isPosition) && isGameFinal(sheet)) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      'This game is marked ' + BOX_SCORE_CONFIG.GAME_METADATA.FINAL_STATUS + ' - stats were not updated. Use Reopen Game to make changes.',
+      'Game Final', 5);
+    return;
+  }
+
   // ============================================
   // Handle pitcher dropdown changes with position swaps
   // ============================================
-  if (cell === BOX_SCORE_CONFIG.AWAY_PITCHER_CELL ||
-      cell === BOX_SCORE_CONFIG.HOME_PITCHER_CELL) {
+  if (isPitcherCell) {
 
     // Get old value for position swap
     oldValue = oldValue || "";
 
     // Handle position swap when pitcher changes
     if (oldValue && newValue && oldValue !== newValue) {
-      handlePositionSwap(sheet, oldValue, newValue);
+      // Switching straight back to the previous pitcher undoes that change
+      var reverted = findRevertedPitcherChange(sheet, cell, oldValue, newValue);
+      if (reverted) {
+        undoPitcherChange(sheet, reverted);
+        return;
+      }
+
+      var effects = {positions: handlePositionSwap(sheet, oldValue, newValue, getPitcherCellTeam(cell)), notation: null};
 
       // Auto-insert PC[X] notation when pitcher changes
       if (BOX_SCORE_CONFIG.AUTO_INSERT_PITCHER_CHANGE) {
-        autoInsertPitcherChange(sheet, cell, oldValue, newValue);
+        effects.notation = autoInsertPitcherChange(sheet, cell, oldValue, newValue);
       }
+
+      // Journal the side effects so the change can be undone exactly
+      recordPitcherChange(sheet, cell, oldValue, newValue, effects);
     }
     return;
   }
 
+  // ============================================
+  // Manual defensive moves typed into a position cell
+  // ============================================
+  if (isPosition) {
+    handlePositionEdit(sheet, row, oldValue, newValue);
+    return;
+  }
+
   // ============================================
   // Real-time scoring: Auto-process stats after each at-bat
   // ============================================
-  if (isAtBatCell(row, col)) {
+  if (isAtBat) {
+    // Flag mistyped cells before they can produce wrong stats
+    if (BOX_SCORE_CONFIG.VALIDATE_NOTATION_ON_EDIT) {
+      validateEditedAtBats(sheet, range);
+    }
+
     // If auto-processing is enabled, trigger bulk processor for real-time scoring
     if (BOX_SCORE_CONFIG.AUTO_PROCESS_ON_AT_BAT) {
       // Use background processing to avoid blocking the user
@@ -87,6 +140,106 @@ function processEdit(sheet, cell, row, col, newValue, oldValue, range) {
     }
     return;
   }
+
+  // ============================================
+  // Bench edits change who is credited with each plate appearance
+  // ============================================
+  if (isBench && BOX_SCORE_CONFIG.AUTO_PROCESS_ON_AT_BAT) {
+    processGameStatsBulkBackground(sheet);
+  }
+}
+
+/**
+ * Handle an edit to the game header
+ * Flags invalid values; setting the status to Final processes the game one last time
+ * before the lock applies, and moving it off Final reopens the game.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} cell - Edited header cell
+ * @param {string} newValue - New cell value
+ * @param {string} oldValue - Old cell value (from event)
+ */
+function handleMetadataEdit(sheet, cell, newValue, oldValue) {
+  var problems = validateGameMetadata(sheet);
+  for (var i = 0; i < problems.length; i++) {
+    if (problems[i].cell === cell) {
+      SpreadsheetApp.getActiveSpreadsheet().toast(cell + ': ' + problems[i].message, 'Invalid Game Info', 5);
+      break;
+    }
+  }
+
+  if (cell !== BOX_SCORE_CONFIG.GAME_METADATA.STATUS_CELL) return;
+
+  var wasFinal = isFinalStatus(oldValue || "");
+  var isFinal = isFinalStatus(newValue);
+  if (wasFinal === isFinal) return;
+
+  processGameStatsBulkBackground(sheet);
+
+  var message = isFinal ?
+    'Game marked final - auto-processing is locked until the game is reopened.' :
+    'Game reopened - auto-processing is back on.';
+  SpreadsheetApp.getActiveSpreadsheet().toast(message, 'Game Status', 5);
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [Metadata]: Status changed from '" + (oldValue || "") + "' to '" + newValue + "' (Entity: " + sheet.getName() + ")");
+  }
+}
+
+/**
+ * Validate the team grid(s) touched by an edit (handles multi-cell pastes)
+ * The whole grid is re-checked because one edit can change the runners on base for
+ * every later cell. Highlights problems and toasts the first one, preferring the
+ * edited cells, so the scorer sees it immediately.
+ * @param {Sheet} sheet - The game sheet
+ * @param {Range} range - The edited range
+ */
+function validateEditedAtBats(sheet, range) {
+  var teams = [
+    {team: 'away', grid: BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE},
+    {team: 'home', grid: BOX_SCORE_CONFIG.HOME_ATBAT_RANGE}
+  ];
+  var editedProblems = [];
+  var otherProblems = [];
+
+  var top = range.getRow();
+  var bottom = top + range.getNumRows() - 1;
+  var left = range.getColumn();
+  var right = left + range.getNumColumns() - 1;
+
+  for (var i = 0; i < teams.length; i++) {
+    // Columns were already checked by isAtBatCell (extra innings included)
+    var grid = teams[i].grid;
+    if (top > grid.endRow || bottom < grid.startRow) continue;
+
+    var teamProblems = validateAtBatGrid(sheet, teams[i].team);
+    for (var j = 0; j < teamProblems.length; j++) {
+      var problem = teamProblems[j];
+      if (problem.row >= top && problem.row <= bottom && problem.col >= left && problem.col <= right) {
+        editedProblems.push(problem);
+      } else {
+        otherProblems.push(problem);
+      }
+    }
+  }
+
+  // Edited cells first so the toast points at what was just typed
+  var problems = editedProblems.concat(otherProblems);
+
+  if (problems.length > 0) {
+    var first = problems[0];
+    var message = first.cell + ': ' + first.errors[0];
+    if (first.suggestions.length > 0) {
+      message += ' (did you mean ' + first.suggestions[0] + '?)';
+    }
+    if (problems.length > 1) {
+      message += ' +' + (problems.length - 1) + ' more';
+    }
+    SpreadsheetApp.getActiveSpreadsheet().toast(message, 'Invalid Notation', 5);
+
+    if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+      Logger.log("WARN [Validation]: " + problems.length + " invalid cell(s), first: " + message + " (Entity: " + sheet.getName() + ")");
+    }
+  }
 }
 
 // ============================================
@@ -95,6 +248,8 @@ function processEdit(sheet, cell, row, col, newValue, oldValue, range) {
 
 /**
  * Count how many relief pitchers have been used for a specific team (RP1, RP2, etc.)
+ * Bench players brought in to pitch have no position cell, so the logged position
+ * changes are counted too.
  * @param {Sheet} sheet - The game sheet
  * @param {string} team - "away" or "home"
  * @return {number} Highest RP number found for that team (0 if none)
@@ -119,6 +274,14 @@ function countReliefPitchers(sheet, team) {
     }
   }
 
+  var changes = readPositionChanges(sheet)[team];
+  for (var c = 0; c < changes.length; c++) {
+    var logged = String(changes[c].to).match(/^RP(\d+)$/);
+    if (logged) {
+      maxRP = Math.max(maxRP, parseInt(logged[1]));
+    }
+  }
+
   return maxRP;
 }
 
@@ -127,26 +290,49 @@ function countReliefPitchers(sheet, team) {
  * @param {Sheet} sheet - The game sheet
  * @param {string} oldPitcher - Previous pitcher name
  * @param {string} newPitcher - New pitcher name
+ * @param {string} team - Fielding team ("away" or "home")
+ * @return {Array<Object>} Position cells changed, for the change journal:
+ *   [{row, before, after, move}] where move is the logged timeline entry {team, player, from, to, after}.
+ *   A bench pitcher has no position cell (row null) and may carry the substitution made for them
+ *   ({row, slot, name, inning}, see bringInBenchPitcher).
  */
-function handlePositionSwap(sheet, oldPitcher, newPitcher) {
+function handlePositionSwap(sheet, oldPitcher, newPitcher, team) {
+  var changed = [];
   if (!oldPitcher || !newPitcher || oldPitcher === newPitcher) {
-    return;
+    return changed;
   }
   
   // Find both players in roster
   var newPitcherRow = findPlayerRowByName(sheet, newPitcher);
   var oldPitcherRow = findPlayerRowByName(sheet, oldPitcher);
   
-  // Edge case: New pitcher not found
+  // A bench player coming in to pitch has no roster row
   if (newPitcherRow === -1) {
+    return bringInBenchPitcher(sheet, team, oldPitcher, oldPitcherRow, newPitcher);
+  }
+
+  // A bench pitcher handing over: the reliever takes the mound and the bench pitcher
+  // takes the reliever's place in the field
+  var benchPosition = (oldPitcherRow === -1) ? findLoggedPosition(sheet, team, oldPitcher) : null;
+  if (benchPosition) {
+    var posCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol;
+    var relieverCell = sheet.getRange(newPitcherRow, posCol).getValue();
+    var fieldPosition = getCurrentPosition(relieverCell);
+    var relieverNotation = 'RP' + (countReliefPitchers(sheet, team) + 1);
+    var relieverUpdated = appendPosition(relieverCell, relieverNotation);
+
+    sheet.getRange(newPitcherRow, posCol).setValue(relieverUpdated);
+    changed.push(logPositionSwap(sheet, newPitcherRow, relieverCell, relieverUpdated, fieldPosition, relieverNotation));
+    changed.push(logBenchPositionSwap(sheet, team, oldPitcher, benchPosition, fieldPosition));
+
     SpreadsheetApp.getActiveSpreadsheet().toast(
-      '⚠️ ' + newPitcher + ' not found in roster',
+      newPitcher + ' moved to ' + relieverNotation + ', ' + oldPitcher + ' moved to ' + fieldPosition,
       'Position Swap',
-      5
+      3
     );
-    return;
+    return changed;
   }
-  
+
   // Edge case: Old pitcher not found (shouldn't happen in CLB)
   if (oldPitcherRow === -1) {
     // First pitcher of the game - use SP
@@ -154,13 +340,16 @@ function handlePositionSwap(sheet, oldPitcher, newPitcher) {
     var newPitcherPosition = sheet.getRange(newPitcherRow, posCol).getValue();
     var updatedPosition = appendPosition(newPitcherPosition, 'SP');
     sheet.getRange(newPitcherRow, posCol).setValue(updatedPosition);
+    if (updatedPosition !== String(newPitcherPosition).trim()) {
+      changed.push(logPositionSwap(sheet, newPitcherRow, newPitcherPosition, updatedPosition, getCurrentPosition(newPitcherPosition), 'SP'));
+    }
 
     SpreadsheetApp.getActiveSpreadsheet().toast(
       newPitcher + ' moved to SP',
       'Position Swap',
       3
     );
-    return;
+    return changed;
   }
 
   // Get current positions (batch read for performance)
@@ -229,12 +418,137 @@ function handlePositionSwap(sheet, oldPitcher, newPitcher) {
   positions[oldPitcherRow - minRow][0] = oldPitcherUpdated;
   sheet.getRange(minRow, posCol, rowCount, 1).setValues(positions);
 
+  // Log both moves so fielding credit follows the defense in effect at each play
+  changed.push(logPositionSwap(sheet, newPitcherRow, newPitcherPositionCell, newPitcherUpdated, newPitcherCurrentPos, newPitcherNotation));
+  changed.push(logPositionSwap(sheet, oldPitcherRow, oldPitcherPositionCell, oldPitcherUpdated, oldPitcherNotation, newPitcherCurrentPos));
+
   // Success toast
   SpreadsheetApp.getActiveSpreadsheet().toast(
     newPitcher + ' moved to ' + newPitcherNotation + ', ' + oldPitcher + ' moved to ' + newPitcherCurrentPos,
     'Position Swap',
     3
   );
+  return changed;
+}
+
+/**
+ * Log one side of a pitcher swap to the defensive timeline
+ * @param {Sheet} sheet - The game sheet
+ * @param {number} row - Roster row that changed
+ * @param {string} before - Position cell before the swap
+ * @param {string} after - Position cell after the swap
+ * @param {string} from - Position they left
+ * @param {string} to - Position they took
+ * @return {Object} {row, before, after, move} for the change journal
+ */
+function logPositionSwap(sheet, row, before, after, from, to) {
+  var team = getRosterTeam(row);
+  var player = getRosterName(sheet, row);
+  var moment = recordPositionChange(sheet, team, player, from, to);
+  logAutomatedChange(sheet, 'Position Swap', sheet.getRange(row, BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol).getA1Notation(), before, after, player);
+
+  return {
+    row: row,
+    before: String(before).trim(),
+    after: String(after).trim(),
+    move: {team: team, player: player, from: from || "", to: to, after: moment.after}
+  };
+}
+
+/**
+ * Log a pitcher swap move for a player without a fielding roster row (a bench pitcher)
+ * Only the position timeline records where they play.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {string} player - Player name as picked in the dropdown
+ * @param {string} from - Position they left ("" coming off the bench)
+ * @param {string} to - Position they took
+ * @return {Object} {row: null, before, after, move} for the change journal
+ */
+function logBenchPositionSwap(sheet, team, player, from, to) {
+  var moment = recordPositionChange(sheet, team, player, from, to);
+  var dropdown = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_PITCHER_CELL : BOX_SCORE_CONFIG.HOME_PITCHER_CELL;
+  logAutomatedChange(sheet, 'Position Swap', dropdown, from || "", to, player);
+
+  return {
+    row: null,
+    before: "",
+    after: "",
+    move: {team: team, player: player, from: from || "", to: to, after: moment.after}
+  };
+}
+
+/**
+ * Bring a bench player in to pitch
+ * The move goes to the position timeline, which is where the pitcher timeline picks up a
+ * pitcher without a roster row. The bench player also takes the departing pitcher's spot
+ * in the batting order (a bench substitution) from the next time the team bats, so their
+ * line shows up in the box score.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {string} oldPitcher - Departing pitcher
+ * @param {number} oldPitcherRow - Departing pitcher's roster row (-1 if they came off the bench too)
+ * @param {string} newPitcher - Bench player coming in
+ * @return {Array<Object>} The bench pitcher's move for the change journal (see handlePositionSwap)
+ */
+function bringInBenchPitcher(sheet, team, oldPitcher, oldPitcherRow, newPitcher) {
+  var notation = 'RP' + (countReliefPitchers(sheet, team) + 1);
+  var effect = logBenchPositionSwap(sheet, team, newPitcher, "", notation);
+
+  var bench = readSubstitutions(sheet, team).subs;
+  var wanted = normalizePlayerName(newPitcher);
+  var departing = normalizePlayerName(oldPitcher);
+  var onBench = false;
+  var rosterRange = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE : BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+  var slot = (oldPitcherRow !== -1) ? oldPitcherRow - rosterRange.startRow : null;
+  for (var i = 0; i < bench.length; i++) {
+    if (normalizePlayerName(bench[i].name) === wanted) onBench = true;
+    if (slot === null && normalizePlayerName(bench[i].name) === departing) slot = bench[i].slot;
+  }
+
+  var message = newPitcher + ' moved to ' + notation;
+  if (!onBench && slot !== null) {
+    // The team's next turn at bat: the inning after its last completed half
+    var inning = getDefensiveMoment(sheet, team === 'away' ? 'home' : 'away').inning;
+    var row = writeSubstitution(sheet, team, slot, newPitcher, inning);
+    if (row !== -1) {
+      effect.substitution = {row: row, slot: slot, name: newPitcher, inning: inning};
+      logAutomatedChange(sheet, 'Substitution', sheet.getRange(row, BOX_SCORE_CONFIG.SUBSTITUTIONS.NAME_COL).getA1Notation(), "",
+                         newPitcher + ' for ' + oldPitcher + ' from inning ' + inning, joinAuditPlayers([newPitcher, oldPitcher]));
+      message += ', bats for ' + oldPitcher + ' from inning ' + inning;
+    } else {
+      message += ' - bench is full, add ' + newPitcher + ' to the lineup by hand';
+    }
+  }
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(message, 'Position Swap', 5);
+  return [effect];
+}
+
+/**
+ * Latest logged position for a player without a fielding roster row
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - Fielding team ("away" or "home")
+ * @param {string} player - Player name
+ * @return {string} Position they last moved to (e.g. "RP2"), or null if none was logged
+ */
+function findLoggedPosition(sheet, team, player) {
+  var changes = readPositionChanges(sheet)[team];
+  var wanted = normalizePlayerName(player);
+  for (var i = changes.length - 1; i >= 0; i--) {
+    if (normalizePlayerName(changes[i].player) === wanted) return changes[i].to;
+  }
+  return null;
+}
+
+/**
+ * Player name on a fielding roster row, as written on the sheet
+ * @param {Sheet} sheet - The game sheet
+ * @param {number} row - Roster row
+ * @return {string} Trimmed name
+ */
+function getRosterName(sheet, row) {
+  return String(sheet.getRange(row, BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.nameCol).getValue()).trim();
 }
 
 /**
@@ -272,6 +586,7 @@ function installTriggers() {
  * @param {string} pitcherCell - Pitcher dropdown cell (D3 or D4)
  * @param {string} oldPitcher - Previous pitcher name
  * @param {string} newPitcher - New pitcher name
+ * @return {Object} {cell, before, after} for the change journal, or null if nothing was inserted
  */
 function autoInsertPitcherChange(sheet, pitcherCell, oldPitcher, newPitcher) {
   try {
@@ -284,7 +599,7 @@ function autoInsertPitcherChange(sheet, pitcherCell, oldPitcher, newPitcher) {
       if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
         Logger.log("INFO [AutoPC]: No at-bat entries found for pitcher change - game just started?");
       }
-      return;
+      return null;
     }
 
     // Calculate inherited runners from current inning state
@@ -294,6 +609,8 @@ function autoInsertPitcherChange(sheet, pitcherCell, oldPitcher, newPitcher) {
     var currentValue = sheet.getRange(result.row, result.col).getValue();
     var pcNotation = currentValue + " PC" + inheritedRunners;
     sheet.getRange(result.row, result.col).setValue(pcNotation);
+    logAutomatedChange(sheet, 'Pitcher Change', sheet.getRange(result.row, result.col).getA1Notation(), currentValue, pcNotation,
+                       joinAuditPlayers([oldPitcher, newPitcher]));
 
     // Show toast notification
     SpreadsheetApp.getActiveSpreadsheet().toast(
@@ -306,15 +623,20 @@ function autoInsertPitcherChange(sheet, pitcherCell, oldPitcher, newPitcher) {
       Logger.log("INFO [AutoPC]: Appended PC" + inheritedRunners + " to " + result.row + "," + result.col + " (was: " + currentValue + ")");
     }
 
+    return {cell: sheet.getRange(result.row, result.col).getA1Notation(), before: String(currentValue), after: pcNotation};
+
   } catch (error) {
     if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
       Logger.log("ERROR [AutoPC]: Failed to auto-insert PC notation: " + error.toString() + " (Entity: " + sheet.getName() + ")");
     }
+    return null;
   }
 }
 
 /**
  * Find the last filled at-bat cell for a team (for appending PC notation)
+ * "Last" follows the state engine's batting order, so innings that wrap past the
+ * 9th batter still resolve to the most recent plate appearance
  * @param {Sheet} sheet - The game sheet
  * @param {string} team - "away" or "home"
  * @return {Object} {row, col} or null if no filled cells found
@@ -324,23 +646,13 @@ function findLastAtBatCell(sheet, team) {
     BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE :
     BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
 
-  // Read all at-bat cells
-  var numRows = range.endRow - range.startRow + 1;
-  var numCols = range.endCol - range.startCol + 1;
-  var values = sheet.getRange(range.startRow, range.startCol, numRows, numCols).getValues();
-
-  // Scan from right to left (most recent inning), top to bottom
-  // Find the last filled cell
-  for (var c = numCols - 1; c >= 0; c--) {
-    for (var r = numRows - 1; r >= 0; r--) {
-      if (values[r][c] && values[r][c] !== "") {
-        return {row: range.startRow + r, col: range.startCol + c};
-      }
-    }
-  }
+  var replay = replayTeamAtBats(readAtBatGrid(sheet, team === 'away'), [], []);
 
   // No filled cells found
-  return null;
+  if (replay.plays.length === 0) return null;
+
+  var lastPlay = replay.plays[replay.plays.length - 1];
+  return {row: range.startRow + lastPlay.batterIndex, col: getInningColumn(lastPlay.col + 1)};
 }
 
 /**
@@ -354,10 +666,10 @@ function findNextAtBatCell(sheet, team) {
     BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE :
     BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
 
-  // Read all at-bat cells
-  var numRows = range.endRow - range.startRow + 1;
-  var numCols = range.endCol - range.startCol + 1;
-  var values = sheet.getRange(range.startRow, range.startCol, numRows, numCols).getValues();
+  // Read all at-bat cells (extra innings included)
+  var values = readAtBatGrid(sheet, team === 'away');
+  var numRows = values.length;
+  var numCols = values[0].length;
 
   // Scan column by column (inning by inning), then row by row (batter by batter)
   // Find the first empty cell in the rightmost active column
@@ -376,100 +688,42 @@ function findNextAtBatCell(sheet, team) {
 
   // If no active column found, use first column
   if (lastActiveCol === -1) {
-    return {row: range.startRow, col: range.startCol};
+    return {row: range.startRow, col: getInningColumn(1)};
   }
 
   // Find first empty cell in the active column
   for (var r = 0; r < numRows; r++) {
     if (!values[r][lastActiveCol] || values[r][lastActiveCol] === "") {
-      return {row: range.startRow + r, col: range.startCol + lastActiveCol};
+      return {row: range.startRow + r, col: getInningColumn(lastActiveCol + 1)};
     }
   }
 
   // Active column is full, move to next column if available
   if (lastActiveCol + 1 < numCols) {
-    return {row: range.startRow, col: range.startCol + lastActiveCol + 1};
+    return {row: range.startRow, col: getInningColumn(lastActiveCol + 2)};
   }
 
-  // No available cells
+  // No available cells (add an extra inning to keep going)
   return null;
 }
 
 /**
  * Calculate inherited runners from current inning state
- * Logic: Track runners who reached base but haven't scored or made outs
+ * Replays the batting team's grid through the base-out state engine and counts the
+ * runners left on base after the latest play (0 if that play ended the inning)
  * @param {Sheet} sheet - The game sheet
  * @param {string} battingTeam - "away" or "home"
- * @param {number} currentCol - Current inning column (absolute column number)
+ * @param {number} currentCol - Current inning column (absolute column number, extra innings included)
  * @return {number} Number of inherited runners (0-3)
  */
 function calculateInheritedRunners(sheet, battingTeam, currentCol) {
-  var range = (battingTeam === 'away') ?
-    BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE :
-    BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
+  var replay = replayTeamAtBats(readAtBatGrid(sheet, battingTeam === 'away'), [], []);
+  var inning = getInningFromColumn(currentCol, sheet);
+  if (inning === null) return 0;
 
-  // Read current column to check if it has data
-  var numRows = range.endRow - range.startRow + 1;
-  var currentColValues = sheet.getRange(range.startRow, currentCol, numRows, 1).getValues();
-
-  // Check if current column is empty (new inning scenario)
-  var hasData = false;
-  for (var i = 0; i < currentColValues.length; i++) {
-    if (currentColValues[i][0] && currentColValues[i][0] !== "") {
-      hasData = true;
-      break;
-    }
-  }
-
-  // If current column is empty and we're not in the first column, check previous column
-  // This handles the case where pitcher changes at start of new inning
-  var columnToRead = currentCol;
-  if (!hasData && currentCol > range.startCol) {
-    columnToRead = currentCol - 1;
-  }
-
-  // If still no data (game just started), return 0
-  if (!hasData && currentCol === range.startCol) {
-    return 0;
-  }
-
-  // Read the correct column
-  var values = sheet.getRange(range.startRow, columnToRead, numRows, 1).getValues();
-
-  var runnersOnBase = 0;
-  var outsRecorded = 0;
-
-  for (var r = 0; r < values.length; r++) {
-    var value = values[r][0];
-    if (!value || value === "") continue;
-
-    // Skip PC[X] notations (they're pitcher changes, not at-bats)
-    if (String(value).toUpperCase().indexOf("PC") === 0) continue;
-
-    var stats = parseNotation(value);
-
-    // Track runners reaching base (hits, walks, errors, fielder's choice)
-    // Check all notations: H, BB, E (legacy), E[1-9] (new), FC (no out)
-    if (stats.H > 0 || stats.BB > 0 || stats.E || stats.isError || stats.FC) {
-      runnersOnBase++;
-    }
-
-    // Track runners scoring (subtract RBIs from runners on base)
-    if (stats.R > 0) {
-      runnersOnBase = Math.max(0, runnersOnBase - stats.R);
-    }
-
-    // Track outs
-    outsRecorded += stats.outs;
-  }
-
-  // If 3 outs recorded, inherited runners should be 0 (inning ended)
-  if (outsRecorded >= 3) {
-    return 0;
-  }
-
-  // Cap at 3 runners (bases loaded)
-  return Math.min(3, runnersOnBase);
+  // If the current column is empty (pitcher change at the start of a new inning),
+  // this falls back to the previous inning, which has always ended with 3 outs
+  return countRunnersOnBase(getRunnersOnBaseAfter(replay, inning - 1));
 }
 
 // ============================================
@@ -498,6 +752,8 @@ function normalizeStartingPitchers(sheet) {
     if (awayPositions[i][0] === 'P') {
       awayPositions[i][0] = 'SP';
       needsUpdate = true;
+      logAutomatedChange(sheet, 'Starting Pitcher', sheet.getRange(awayRange.startRow + i, posCol).getA1Notation(), 'P', 'SP',
+                         getRosterName(sheet, awayRange.startRow + i));
     }
   }
 
@@ -505,6 +761,8 @@ function normalizeStartingPitchers(sheet) {
     if (homePositions[i][0] === 'P') {
       homePositions[i][0] = 'SP';
       needsUpdate = true;
+      logAutomatedChange(sheet, 'Starting Pitcher', sheet.getRange(homeRange.startRow + i, posCol).getA1Notation(), 'P', 'SP',
+                         getRosterName(sheet, homeRange.startRow + i));
     }
   }
 
@@ -517,39 +775,25 @@ function normalizeStartingPitchers(sheet) {
 
 /**
  * Background processor for real-time scoring (no UI alerts)
- * Called automatically after each at-bat entry when AUTO_PROCESS_ON_AT_BAT is true
+ * Called automatically after each at-bat entry when AUTO_PROCESS_ON_AT_BAT is true.
+ * If another edit's recompute is already running for this sheet, that run picks this
+ * one up instead (see ScoreProcessing.js).
  * @param {Sheet} sheet - The game sheet
  */
 function processGameStatsBulkBackground(sheet) {
   try {
-    // Normalize starting pitchers (convert P → SP)
-    normalizeStartingPitchers(sheet);
-
-    // Step 1: Clear all old stat data
-    clearPitcherStatsInSheet(sheet);
-    clearHittingStatsInSheet(sheet);
-
-    // Step 2: Build roster map (player name -> row/position)
-    var rosterMap = buildRosterMap(sheet);
-
-    // Step 3: Read at-bat grids
-    var awayAtBats = readAtBatGrid(sheet, true);  // true = away team
-    var homeAtBats = readAtBatGrid(sheet, false); // false = home team
-
-    // Step 4: Initialize stat storage
-    var playerStats = {}; // {playerName: {pitching: {...}, hitting: {...}, fielding: {...}}}
-
-    // Step 5: Process away team at-bats (home pitcher pitching)
-    var awayState = processTeamAtBats(sheet, awayAtBats, 'away', rosterMap, playerStats);
-
-    // Step 6: Process home team at-bats (away pitcher pitching)
-    var homeState = processTeamAtBats(sheet, homeAtBats, 'home', rosterMap, playerStats);
-
-    // Step 7: Write all stats to sheet in batch
-    writeStatsToSheet(sheet, playerStats, rosterMap);
+    var outcome = requestGameProcessing(sheet);
+
+    if (outcome.game && outcome.game.unknownPlayers.length > 0) {
+      SpreadsheetApp.getActiveSpreadsheet().toast(
+        '⚠️ Not on the ' + BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME + ' sheet: ' + outcome.game.unknownPlayers.join(', '),
+        'Unknown Players',
+        5
+      );
+    }
 
     if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
-      Logger.log("INFO [Processor]: Background processing completed (real-time mode)");
+      Logger.log("INFO [Processor]: Background processing " + (outcome.ran ? "completed" : "handed to the run in progress") + " (real-time mode)");
     }
 
   } catch (error) {
@@ -577,42 +821,29 @@ function processGameStatsBulk() {
   );
 
   try {
-    // Normalize starting pitchers (convert P → SP)
-    normalizeStartingPitchers(sheet);
-
-    // Step 1: Clear all old stat data
-    clearPitcherStatsInSheet(sheet);
-    clearHittingStatsInSheet(sheet);
-
-    // Step 2: Build roster map (player name -> row/position)
-    var rosterMap = buildRosterMap(sheet);
-
-    // Step 3: Read at-bat grids
-    var awayAtBats = readAtBatGrid(sheet, true);  // true = away team
-    var homeAtBats = readAtBatGrid(sheet, false); // false = home team
-
-    // Step 4: Initialize stat storage
-    var playerStats = {}; // {playerName: {pitching: {...}, hitting: {...}, fielding: {...}}}
-
-    // Step 5: Process away team at-bats (home pitcher pitching)
-    var awayState = processTeamAtBats(sheet, awayAtBats, 'away', rosterMap, playerStats);
-
-    // Step 6: Process home team at-bats (away pitcher pitching)
-    var homeState = processTeamAtBats(sheet, homeAtBats, 'home', rosterMap, playerStats);
-
-    // Step 7: Write all stats to sheet in batch
-    writeStatsToSheet(sheet, playerStats, rosterMap);
+    var outcome = requestGameProcessing(sheet);
+    if (outcome.error) throw outcome.error;
+
+    if (!outcome.ran) {
+      ui.alert('Processing Game Stats',
+               'Another update for this game is running right now - it will include everything on the sheet. ' +
+               'Check ' + BOX_SCORE_CONFIG.PROCESSING.STATUS_CELL + ' to see when it finishes.',
+               ui.ButtonSet.OK);
+      return;
+    }
+    var game = outcome.game;
 
     // Show completion message
     var endTime = new Date().getTime();
     var duration = ((endTime - startTime) / 1000).toFixed(1);
 
-    ui.alert(
-      'Processing Complete',
-      'Game stats have been calculated and updated.\n\n' +
-      'Processing time: ' + duration + ' seconds',
-      ui.ButtonSet.OK
-    );
+    var message = 'Game stats have been calculated and updated.\n\n' +
+                  'Processing time: ' + duration + ' seconds';
+    if (game.unknownPlayers.length > 0) {
+      message += '\n\n⚠️ Not on the ' + BOX_SCORE_CONFIG.LEAGUE_ROSTER.SHEET_NAME + ' sheet: ' + game.unknownPlayers.join(', ') +
+                 '\nAdd them (or an alias) so season stats stay together.';
+    }
+    ui.alert('Processing Complete', message, ui.ButtonSet.OK);
 
     if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
       Logger.log("INFO [Processor]: Bulk processing completed in " + duration + "s");
@@ -633,385 +864,39 @@ function processGameStatsBulk() {
 }
 
 /**
- * Build roster map for quick player lookup
+ * Recompute every stat block on a game sheet and write what changed
+ * Only call through requestGameProcessing, which makes sure one run per sheet at a time.
  * @param {Sheet} sheet - The game sheet
- * @return {Object} Map of player name to {row, position, team}
+ * @return {Object} The game's box score (readGame)
  */
-function buildRosterMap(sheet) {
-  var map = {};
+function recomputeGameStats(sheet) {
+  // Normalize starting pitchers (convert P → SP)
+  normalizeStartingPitchers(sheet);
 
-  var awayRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
-  var homeRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+  // Read the sheet into the game model and build the box score
+  var game = readGame(sheet);
 
-  // Read away team roster
-  var awayNames = sheet.getRange(awayRange.startRow, awayRange.nameCol, awayRange.numPlayers, 1).getValues();
-  var awayPositions = sheet.getRange(awayRange.startRow, awayRange.positionCol, awayRange.numPlayers, 1).getValues();
-
-  for (var i = 0; i < awayNames.length; i++) {
-    var name = String(awayNames[i][0]).trim();
-    if (name) {
-      map[name] = {
-        row: awayRange.startRow + i,
-        position: getCurrentPosition(awayPositions[i][0]),
-        team: 'away',
-        batterIndex: i  // 0-8 for lineup position
-      };
-    }
-  }
-
-  // Read home team roster
-  var homeNames = sheet.getRange(homeRange.startRow, homeRange.nameCol, homeRange.numPlayers, 1).getValues();
-  var homePositions = sheet.getRange(homeRange.startRow, homeRange.positionCol, homeRange.numPlayers, 1).getValues();
+  // Write the stats and line score that changed (nothing is cleared first)
+  writeGame(sheet, game);
 
-  for (var i = 0; i < homeNames.length; i++) {
-    var name = String(homeNames[i][0]).trim();
-    if (name) {
-      map[name] = {
-        row: homeRange.startRow + i,
-        position: getCurrentPosition(homePositions[i][0]),
-        team: 'home',
-        batterIndex: i  // 0-8 for lineup position
-      };
-    }
-  }
+  // Tied after the last inning - open the next one
+  addExtraInningIfTied(sheet, game);
 
-  return map;
+  return game;
 }
 
 /**
- * Build pitcher timeline from position history (SP, RP1, RP2, etc.)
- * Uses batch read for performance
+ * Add an extra inning when every inning on the sheet is complete and the score is tied
+ * Controlled by EXTRA_INNINGS.AUTO_ADD_WHEN_TIED
  * @param {Sheet} sheet - The game sheet
- * @param {string} team - "away" or "home" (the fielding team)
- * @param {Object} rosterMap - Player roster map
- * @return {Array} Array of pitcher names in order: [SP, RP1, RP2, ...]
+ * @param {Object} game - Box score from readGame
  */
-function buildPitcherTimeline(sheet, team, rosterMap) {
-  var timeline = [];
-  var posCol = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE.positionCol;
+function addExtraInningIfTied(sheet, game) {
+  if (!BOX_SCORE_CONFIG.EXTRA_INNINGS.AUTO_ADD_WHEN_TIED) return;
+  if (!isTiedAfterLastInning(game.away.replay, game.home.replay)) return;
 
-  // Determine which range to read based on team
-  var range = (team === 'away') ?
-    BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE :
-    BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
-
-  // Read all position cells for this team in batch
-  var positionCells = sheet.getRange(range.startRow, posCol, range.numPlayers, 1).getValues();
-  var nameCol = range.nameCol;
-  var names = sheet.getRange(range.startRow, nameCol, range.numPlayers, 1).getValues();
-
-  // Scan through positions to build timeline
-  for (var i = 0; i < positionCells.length; i++) {
-    var positionCell = positionCells[i][0];
-    var name = String(names[i][0]).trim();
-
-    if (!name || !positionCell) continue;
-
-    var history = getPositionHistory(positionCell);
-
-    // Check for SP (starting pitcher)
-    for (var j = 0; j < history.length; j++) {
-      if (history[j] === 'SP') {
-        timeline[0] = name;
-      }
-
-      // Check for RP# (relief pitchers)
-      var rpMatch = history[j].match(/^RP(\d+)$/);
-      if (rpMatch) {
-        var rpNum = parseInt(rpMatch[1]);
-        timeline[rpNum] = name;
-      }
-    }
+  var inning = addExtraInning(sheet);
+  if (inning !== null) {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Tied after ' + (inning - 1) + ' - inning ' + inning + ' added', 'Extra Innings', 5);
   }
-
-  return timeline;
-}
-
-/**
- * Read at-bat grid for a team
- * @param {Sheet} sheet - The game sheet
- * @param {boolean} isAway - True for away team, false for home team
- * @return {Array} 2D array of at-bat values
- */
-function readAtBatGrid(sheet, isAway) {
-  var range = isAway ? BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE : BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
-  var numRows = range.endRow - range.startRow + 1;
-  var numCols = range.endCol - range.startCol + 1;
-
-  return sheet.getRange(range.startRow, range.startCol, numRows, numCols).getValues();
-}
-
-/**
- * Process at-bats for one team
- * @param {Sheet} sheet - The game sheet
- * @param {Array} atBatGrid - 2D array of at-bat values
- * @param {string} battingTeam - "away" or "home"
- * @param {Object} rosterMap - Player roster map
- * @param {Object} playerStats - Stats storage object (modified in place)
- * @return {Object} Final state {activePitcher, inheritedRunners}
- */
-function processTeamAtBats(sheet, atBatGrid, battingTeam, rosterMap, playerStats) {
-  var fieldingTeam = (battingTeam === 'away') ? 'home' : 'away';
-
-  // Build pitcher timeline from position history (SP, RP1, RP2, ...)
-  var pitcherTimeline = buildPitcherTimeline(sheet, fieldingTeam, rosterMap);
-
-  // Start with first pitcher (SP)
-  // Note: normalizeStartingPitchers() ensures P → SP conversion before processing
-  var pitcherIndex = 0;
-  var activePitcher = pitcherTimeline[0] || null;
-  var previousPitcher = null;
-  var inheritedRunners = 0;
-
-  // Process each batter (row) and inning (column)
-  for (var col = 0; col < atBatGrid[0].length; col++) {
-    for (var row = 0; row < atBatGrid.length; row++) {
-      var value = atBatGrid[row][col];
-      if (!value || value === "") continue;
-
-      // Parse notation
-      var stats = parseNotation(value);
-
-      // Check if this is a standalone PC notation (no at-bat stats)
-      var isStandalonePitcherChange = stats.isPitcherChange && stats.BF === 0;
-
-      // Handle standalone pitcher change (no at-bat in this cell)
-      if (isStandalonePitcherChange) {
-        // Store current pitcher as previous (for inherited runs)
-        previousPitcher = activePitcher;
-
-        // Switch to next pitcher in timeline
-        pitcherIndex++;
-        activePitcher = pitcherTimeline[pitcherIndex];
-
-        inheritedRunners = stats.inheritedRunners;
-        continue;
-      }
-
-      // If we reach here, there's an at-bat to process (may or may not have PC appended)
-
-      // Get batter name
-      var batterNames = Object.keys(rosterMap).filter(function(name) {
-        return rosterMap[name].team === battingTeam && rosterMap[name].batterIndex === row;
-      });
-
-      if (batterNames.length === 0) continue;
-      var batterName = batterNames[0];
-
-      // Initialize player stats if needed
-      if (!playerStats[batterName]) {
-        playerStats[batterName] = {};
-      }
-      if (!playerStats[batterName].hitting) {
-        playerStats[batterName].hitting = {AB: 0, H: 0, HR: 0, RBI: 0, BB: 0, K: 0, ROB: 0, DP: 0, TB: 0};
-      }
-      if (!playerStats[batterName].fielding) {
-        playerStats[batterName].fielding = {NP: 0, E: 0, SB: 0};
-      }
-
-      if (activePitcher) {
-        if (!playerStats[activePitcher]) {
-          playerStats[activePitcher] = {};
-        }
-        if (!playerStats[activePitcher].pitching) {
-          playerStats[activePitcher].pitching = {BF: 0, outs: 0, H: 0, HR: 0, R: 0, BB: 0, K: 0};
-        }
-      }
-
-      // Apply hitting stats
-      playerStats[batterName].hitting.AB += stats.AB;
-      playerStats[batterName].hitting.H += stats.H;
-      playerStats[batterName].hitting.HR += stats.HR;
-      playerStats[batterName].hitting.RBI += stats.R;  // R from notation = RBI for batter
-      playerStats[batterName].hitting.BB += stats.BB;
-      playerStats[batterName].hitting.K += stats.K;
-      playerStats[batterName].hitting.DP += stats.DP ? 1 : 0;
-      playerStats[batterName].hitting.TB += stats.TB;
-
-      // Apply pitching stats (to active pitcher)
-      if (activePitcher && playerStats[activePitcher].pitching) {
-        playerStats[activePitcher].pitching.BF += stats.BF;
-        playerStats[activePitcher].pitching.outs += stats.outs;
-        playerStats[activePitcher].pitching.H += stats.H;
-        playerStats[activePitcher].pitching.HR += stats.HR;
-        playerStats[activePitcher].pitching.BB += stats.BB;
-        playerStats[activePitcher].pitching.K += stats.K;
-
-        // Handle inherited runs
-        if (stats.R > 0) {
-          if (inheritedRunners > 0) {
-            // Assign runs to previous pitcher
-            var runsToInherit = Math.min(stats.R, inheritedRunners);
-            if (previousPitcher && playerStats[previousPitcher] && playerStats[previousPitcher].pitching) {
-              playerStats[previousPitcher].pitching.R += runsToInherit;
-            }
-            playerStats[activePitcher].pitching.R += (stats.R - runsToInherit);
-            inheritedRunners -= runsToInherit;
-          } else {
-            playerStats[activePitcher].pitching.R += stats.R;
-          }
-        }
-      }
-
-      // Handle fielding stats (NP, E)
-      if (stats.isNicePlay && stats.fielderPosition) {
-        var fielder = findPlayerByPosition(rosterMap, fieldingTeam, stats.fielderPosition);
-        if (fielder) {
-          if (!playerStats[fielder]) {
-            playerStats[fielder] = {};
-          }
-          if (!playerStats[fielder].fielding) {
-            playerStats[fielder].fielding = {NP: 0, E: 0, SB: 0};
-          }
-          playerStats[fielder].fielding.NP += 1;
-          // Add ROB to batter
-          playerStats[batterName].hitting.ROB += 1;
-        }
-      }
-
-      if (stats.isError && stats.fielderPosition) {
-        var fielder = findPlayerByPosition(rosterMap, fieldingTeam, stats.fielderPosition);
-        if (fielder) {
-          if (!playerStats[fielder]) {
-            playerStats[fielder] = {};
-          }
-          if (!playerStats[fielder].fielding) {
-            playerStats[fielder].fielding = {NP: 0, E: 0, SB: 0};
-          }
-          playerStats[fielder].fielding.E += 1;
-        }
-      }
-
-      // Handle stolen bases
-      if (stats.SB) {
-        playerStats[batterName].fielding.SB += 1;
-      }
-
-      // Handle pitcher change AFTER processing at-bat stats
-      // Order matters: "K PC2" means the DEPARTING pitcher gets credit for the strikeout,
-      // then we switch to the relief pitcher for subsequent at-bats
-      if (stats.isPitcherChange) {
-        // Store current pitcher as previous (for inherited runs)
-        previousPitcher = activePitcher;
-
-        // Switch to next pitcher in timeline
-        pitcherIndex++;
-        activePitcher = pitcherTimeline[pitcherIndex];
-
-        inheritedRunners = stats.inheritedRunners;
-      }
-    }
-
-    // Clear inherited runners at end of each inning
-    inheritedRunners = 0;
-  }
-
-  return {
-    activePitcher: activePitcher,
-    inheritedRunners: inheritedRunners
-  };
-}
-
-/**
- * Find player name by fielding position
- * @param {Object} rosterMap - Player roster map
- * @param {string} team - "away" or "home"
- * @param {number} position - Position number (1=P, 2=C, 3=1B, 4=2B, 5=3B, 6=SS, 7=LF, 8=CF, 9=RF)
- * @return {string} Player name or null
- */
-function findPlayerByPosition(rosterMap, team, position) {
-  var positionMap = {
-    1: 'P', 2: 'C', 3: '1B', 4: '2B', 5: '3B', 6: 'SS', 7: 'LF', 8: 'CF', 9: 'RF'
-  };
-
-  var targetPos = positionMap[position];
-  if (!targetPos) return null;
-
-  for (var name in rosterMap) {
-    if (rosterMap[name].team === team && rosterMap[name].position === targetPos) {
-      return name;
-    }
-  }
-
-  return null;
-}
-
-/**
- * Write all stats to sheet in batch
- * @param {Sheet} sheet - The game sheet
- * @param {Object} playerStats - Stats storage object
- * @param {Object} rosterMap - Player roster map
- */
-function writeStatsToSheet(sheet, playerStats, rosterMap) {
-  var pCols = BOX_SCORE_CONFIG.PITCHER_STATS_COLUMNS;
-  var fCols = BOX_SCORE_CONFIG.FIELDING_STATS_COLUMNS;
-  var hCols = BOX_SCORE_CONFIG.HITTING_STATS_COLUMNS;
-  var awayPitcherRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
-  var homePitcherRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
-  var hittingRange = BOX_SCORE_CONFIG.HITTING_RANGE;
-
-  // 1. Create empty 2D arrays to hold all stats
-  var numPitcherCols = 7; // IP to K
-  var numFieldingCols = 3; // NP to SB
-  var numHittingCols = 9;  // AB to TB
-
-  var awayPitchingBatch = createEmptyBatch(awayPitcherRange.numPlayers, numPitcherCols);
-  var homePitchingBatch = createEmptyBatch(homePitcherRange.numPlayers, numPitcherCols);
-
-  var awayFieldingBatch = createEmptyBatch(awayPitcherRange.numPlayers, numFieldingCols);
-  var homeFieldingBatch = createEmptyBatch(homePitcherRange.numPlayers, numFieldingCols);
-
-  var awayHittingBatch = createEmptyBatch(hittingRange.numPlayers, numHittingCols);
-  var homeHittingBatch = createEmptyBatch(hittingRange.numPlayers, numHittingCols);
-
-  // 2. Loop through playerStats ONCE to populate batch arrays
-  for (var name in playerStats) {
-    if (!rosterMap[name]) continue;
-
-    var map = rosterMap[name];
-    var stats = playerStats[name];
-    var batchIndex = map.batterIndex; // 0-8
-
-    // Pitching & Fielding Stats (go in the same roster block)
-    if (map.team === 'away') {
-      if (stats.pitching) {
-        var p = stats.pitching;
-        awayPitchingBatch[batchIndex] = [calculateIP(p.outs), p.BF, p.H, p.HR, p.R, p.BB, p.K];
-      }
-      if (stats.fielding) {
-        var f = stats.fielding;
-        awayFieldingBatch[batchIndex] = [f.NP, f.E, f.SB];
-      }
-    } else { // Home Team
-      if (stats.pitching) {
-        var p = stats.pitching;
-        homePitchingBatch[batchIndex] = [calculateIP(p.outs), p.BF, p.H, p.HR, p.R, p.BB, p.K];
-      }
-      if (stats.fielding) {
-        var f = stats.fielding;
-        homeFieldingBatch[batchIndex] = [f.NP, f.E, f.SB];
-      }
-    }
-
-    // Hitting Stats (go in a separate roster block)
-    if (stats.hitting) {
-      var h = stats.hitting;
-      var hittingArray = [h.AB, h.H, h.HR, h.RBI, h.BB, h.K, h.ROB, h.DP, h.TB];
-      if (map.team === 'away') {
-        awayHittingBatch[batchIndex] = hittingArray;
-      } else {
-        homeHittingBatch[batchIndex] = hittingArray;
-      }
-    }
-  }
-
-  // 3. Write all stats in 6 batch operations (AFTER the loop)
-  sheet.getRange(awayPitcherRange.startRow, pCols.IP, awayPitcherRange.numPlayers, numPitcherCols).setValues(awayPitchingBatch);
-  sheet.getRange(homePitcherRange.startRow, pCols.IP, homePitcherRange.numPlayers, numPitcherCols).setValues(homePitchingBatch);
-
-  sheet.getRange(awayPitcherRange.startRow, fCols.NP, awayPitcherRange.numPlayers, numFieldingCols).setValues(awayFieldingBatch);
-  sheet.getRange(homePitcherRange.startRow, fCols.NP, homePitcherRange.numPlayers, numFieldingCols).setValues(homeFieldingBatch);
-
-  sheet.getRange(hittingRange.awayStartRow, hCols.AB, hittingRange.numPlayers, numHittingCols).setValues(awayHittingBatch);
-  sheet.getRange(hittingRange.homeStartRow, hCols.AB, hittingRange.numPlayers, numHittingCols).setValues(homeHittingBatch);
 }
\ No newline at end of file
@@ -1,12 +1,12 @@
 // ===== SCORE UTILITY MODULE =====
 // Purpose: Shared helper functions for score automation and sheet operations.
-// Dependencies: ScoreConfig.js
-// Entry Point(s): clearPitcherStatsInSheet, clearHittingStatsInSheet, position tracking functions
+// Dependencies: ScoreConfig.js, ScoreNotation.js, ScoreBaseState.js, ScoreCache.js (parseNotationCached), ScoreRoster.js, ScoreAudit.js (logAutomatedChange)
+// Entry Point(s): clearPitcherStatsInSheet, clearHittingStatsInSheet, writeChangedRows, getOrCreateHiddenSheet, withDocumentLock, deleteMatchingRows, validateAtBatGrid, inning column helpers, position tracking functions
 
 // ===== SHEET OPERATIONS =====
 
 /**
- * Clear pitcher and defensive stats in sheet (skip protected rows)
+ * Clear pitcher, defensive and decision stats in sheet (skip protected rows)
  * Uses batch operations for performance
  * @param {Sheet} sheet - The game sheet
  */
@@ -15,18 +15,21 @@ function clearPitcherStatsInSheet(sheet) {
   var homeRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
   var pitcherCols = BOX_SCORE_CONFIG.PITCHER_STATS_COLUMNS;
   var fieldingCols = BOX_SCORE_CONFIG.FIELDING_STATS_COLUMNS;
+  var decisionCols = BOX_SCORE_CONFIG.DECISION_COLUMNS;
 
-  // Get column range for all stats (pitcher + fielding)
-  var firstCol = Math.min(
-    pitcherCols.BF, pitcherCols.IP, pitcherCols.H, pitcherCols.HR,
-    pitcherCols.R, pitcherCols.BB, pitcherCols.K,
-    fieldingCols.NP, fieldingCols.E, fieldingCols.SB
-  );
-  var lastCol = Math.max(
-    pitcherCols.BF, pitcherCols.IP, pitcherCols.H, pitcherCols.HR,
-    pitcherCols.R, pitcherCols.BB, pitcherCols.K,
-    fieldingCols.NP, fieldingCols.E, fieldingCols.SB
-  );
+  // Get column range for all stats (pitcher + fielding + decisions)
+  var statCols = [];
+  for (var key in pitcherCols) {
+    statCols.push(pitcherCols[key]);
+  }
+  for (var key in fieldingCols) {
+    statCols.push(fieldingCols[key]);
+  }
+  for (var key in decisionCols) {
+    statCols.push(decisionCols[key]);
+  }
+  var firstCol = Math.min.apply(null, statCols);
+  var lastCol = Math.max.apply(null, statCols);
   var numCols = lastCol - firstCol + 1;
 
   // Build array of zeros for batch write
@@ -68,8 +71,11 @@ function clearHittingStatsInSheet(sheet) {
   var hittingCols = BOX_SCORE_CONFIG.HITTING_STATS_COLUMNS;
   var sbCol = BOX_SCORE_CONFIG.FIELDING_STATS_COLUMNS.SB;
 
-  // Build zero row for hitting stats (9 columns)
-  var zeroHittingRow = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  // Build zero row for hitting stats (one per stat column)
+  var zeroHittingRow = [];
+  for (var i = 0; i < hittingRange.numStatCols; i++) {
+    zeroHittingRow.push(0);
+  }
 
   // Clear away hitting stats (batch operation)
   var awayRows = [];
@@ -93,6 +99,15 @@ function clearHittingStatsInSheet(sheet) {
     sheet.getRange(hittingRange.homeStartRow, hittingCols.AB, homeRows.length, hittingRange.numStatCols).setValues(homeRows);
   }
 
+  // Clear bench hitting stats (rows for subs are refilled when stats are written)
+  var bench = BOX_SCORE_CONFIG.SUBSTITUTIONS;
+  var blankBench = [];
+  for (var i = 0; i < bench.NUM_ROWS; i++) {
+    blankBench.push(zeroHittingRow.map(function() { return ""; }));
+  }
+  sheet.getRange(bench.AWAY_START_ROW, hittingCols.AB, bench.NUM_ROWS, hittingRange.numStatCols).setValues(blankBench);
+  sheet.getRange(bench.HOME_START_ROW, hittingCols.AB, bench.NUM_ROWS, hittingRange.numStatCols).setValues(blankBench);
+
   // Clear SB from fielding section - batch operations
   var awayFieldingRange = BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE;
   var homeFieldingRange = BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
@@ -120,21 +135,43 @@ function clearHittingStatsInSheet(sheet) {
 
 /**
  * Clear at-bat grid (optional - removes all entered at-bats)
+ * Also clears the extra-inning columns and their labels, so the next game starts
+ * with regulation innings only.
  * @param {Sheet} sheet - The game sheet
  */
 function clearAtBatGrid(sheet) {
   var awayRange = BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE;
   var homeRange = BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
+  var extra = BOX_SCORE_CONFIG.EXTRA_INNINGS;
   
   // Clear away at-bats
   var awayRows = awayRange.endRow - awayRange.startRow + 1;
   var awayCols = awayRange.endCol - awayRange.startCol + 1;
   sheet.getRange(awayRange.startRow, awayRange.startCol, awayRows, awayCols).clearContent();
+  sheet.getRange(awayRange.startRow, extra.FIRST_COL, awayRows, extra.MAX_INNINGS).clearContent();
   
   // Clear home at-bats
   var homeRows = homeRange.endRow - homeRange.startRow + 1;
   var homeCols = homeRange.endCol - homeRange.startCol + 1;
   sheet.getRange(homeRange.startRow, homeRange.startCol, homeRows, homeCols).clearContent();
+  sheet.getRange(homeRange.startRow, extra.FIRST_COL, homeRows, extra.MAX_INNINGS).clearContent();
+
+  // Remove the extra-inning labels
+  sheet.getRange(extra.AWAY_HEADER_ROW, extra.FIRST_COL, 1, extra.MAX_INNINGS).clearContent();
+  sheet.getRange(extra.HOME_HEADER_ROW, extra.FIRST_COL, 1, extra.MAX_INNINGS).clearContent();
+}
+
+/**
+ * Clear the runs, hits and errors in the line score block (labels and header stay)
+ * @param {Sheet} sheet - The game sheet
+ */
+function clearLineScore(sheet) {
+  var config = BOX_SCORE_CONFIG.LINE_SCORE;
+  if (!config.ENABLED) return;
+
+  var width = getGridInnings() + BOX_SCORE_CONFIG.EXTRA_INNINGS.MAX_INNINGS + 3;  // Innings plus R, H, E
+  sheet.getRange(config.AWAY_ROW, config.LABEL_COL + 1, 1, width).clearContent();
+  sheet.getRange(config.HOME_ROW, config.LABEL_COL + 1, 1, width).clearContent();
 }
 
 /**
@@ -146,6 +183,358 @@ function clearPitcherDropdowns(sheet) {
   sheet.getRange(BOX_SCORE_CONFIG.HOME_PITCHER_CELL).clearContent();
 }
 
+/**
+ * Get one of the automation's own bookkeeping sheets, creating it hidden if needed
+ * @param {Spreadsheet} ss - The league spreadsheet
+ * @param {string} name - Sheet name
+ * @return {Sheet} The sheet
+ */
+function getOrCreateHiddenSheet(ss, name) {
+  var sheet = ss.getSheetByName(name);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(name);
+  sheet.hideSheet();
+  return sheet;
+}
+
+/**
+ * Run a change to a sheet several scorers share under the document lock
+ * @param {Function} change - Called while the lock is held
+ * @return {*} Whatever change returns
+ */
+function withDocumentLock(change) {
+  var lock = LockService.getDocumentLock();
+  if (!lock.tryLock(BOX_SCORE_CONFIG.PROCESSING.LOCK_WAIT_MS)) {
+    throw new Error('Another update is still saving - timed out after ' + BOX_SCORE_CONFIG.PROCESSING.LOCK_WAIT_MS + ' ms');
+  }
+
+  try {
+    return change();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Delete the rows below a sheet's header row that match, in place
+ * Works bottom up so the rows still to go keep their numbers, and deletes each run of
+ * neighbouring matches in one call. Call it under the document lock (withDocumentLock).
+ * @param {Sheet} sheet - Sheet with one header row
+ * @param {number} numCols - Columns to read from each row
+ * @param {Function} matches - Called with a row's values, returns true to delete the row
+ * @return {number} Rows deleted
+ */
+function deleteMatchingRows(sheet, numCols, matches) {
+  if (sheet.getLastRow() < 2) return 0;
+
+  var values = sheet.getRange(2, 1, sheet.getLastRow() - 1, numCols).getValues();
+  var deleted = 0;
+  var runEnd = null;   // Index of the last row in the current run of matches
+  for (var i = values.length - 1; i >= -1; i--) {
+    var match = i >= 0 && matches(values[i]);
+    if (match && runEnd === null) runEnd = i;
+    if (!match && runEnd !== null) {
+      sheet.deleteRows(i + 3, runEnd - i);
+      deleted += runEnd - i;
+      runEnd = null;
+    }
+  }
+  return deleted;
+}
+
+// ===== INNING COLUMNS =====
+
+/**
+ * Number of inning columns in the regulation grid (C-H = 6)
+ * @return {number} Innings
+ */
+function getGridInnings() {
+  var range = BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE;
+  return range.endCol - range.startCol + 1;
+}
+
+/**
+ * Regulation game length in innings
+ * PITCHER_DECISIONS.REGULATION_INNINGS when set, otherwise the grid's inning columns
+ * @return {number} Innings
+ */
+function getRegulationInnings() {
+  var configured = BOX_SCORE_CONFIG.PITCHER_DECISIONS.REGULATION_INNINGS;
+  return configured || getGridInnings();
+}
+
+/**
+ * Count the extra innings added to a game sheet
+ * An extra inning is active when its label is filled in on the away header row;
+ * labels are added left to right by addExtraInning.
+ * @param {Sheet} sheet - The game sheet
+ * @return {number} Active extra innings (0 if none)
+ */
+function countExtraInnings(sheet) {
+  var extra = BOX_SCORE_CONFIG.EXTRA_INNINGS;
+  var labels = sheet.getRange(extra.AWAY_HEADER_ROW, extra.FIRST_COL, 1, extra.MAX_INNINGS).getValues()[0];
+
+  var count = 0;
+  while (count < labels.length && String(labels[count]).trim() !== "") {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Total innings on a game sheet (regulation grid plus active extra innings)
+ * @param {Sheet} sheet - The game sheet
+ * @return {number} Innings
+ */
+function getInningCount(sheet) {
+  return getGridInnings() + countExtraInnings(sheet);
+}
+
+/**
+ * Sheet column for an inning (same for both teams)
+ * Innings 1-6 are columns C-H; extra innings continue from EXTRA_INNINGS.FIRST_COL.
+ * @param {number} inning - Inning number (1-based)
+ * @return {number} Column number
+ */
+function getInningColumn(inning) {
+  var gridInnings = getGridInnings();
+  if (inning <= gridInnings) {
+    return BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE.startCol + inning - 1;
+  }
+  return BOX_SCORE_CONFIG.EXTRA_INNINGS.FIRST_COL + (inning - gridInnings - 1);
+}
+
+/**
+ * Inning number for a sheet column
+ * @param {number} col - Column number
+ * @param {Sheet} sheet - The game sheet; when given, extra innings must be active
+ * @return {number} Inning number (1-based) or null if the column isn't an inning
+ */
+function getInningFromColumn(col, sheet) {
+  var range = BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE;
+  if (col >= range.startCol && col <= range.endCol) {
+    return col - range.startCol + 1;
+  }
+
+  var extra = BOX_SCORE_CONFIG.EXTRA_INNINGS;
+  var available = sheet ? countExtraInnings(sheet) : extra.MAX_INNINGS;
+  if (col >= extra.FIRST_COL && col < extra.FIRST_COL + available) {
+    return getGridInnings() + (col - extra.FIRST_COL) + 1;
+  }
+  return null;
+}
+
+/**
+ * Rectangles that make up a team's at-bat grid, in inning order
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home" (the batting team)
+ * @return {Array<Object>} [{startRow, startCol, numRows, numCols, firstInning}]
+ */
+function getAtBatBlocks(sheet, team) {
+  var range = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE : BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
+  var numRows = range.endRow - range.startRow + 1;
+
+  var blocks = [{
+    startRow: range.startRow,
+    startCol: range.startCol,
+    numRows: numRows,
+    numCols: getGridInnings(),
+    firstInning: 1
+  }];
+
+  var extraInnings = countExtraInnings(sheet);
+  if (extraInnings > 0) {
+    blocks.push({
+      startRow: range.startRow,
+      startCol: BOX_SCORE_CONFIG.EXTRA_INNINGS.FIRST_COL,
+      numRows: numRows,
+      numCols: extraInnings,
+      firstInning: getGridInnings() + 1
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Add the next extra inning to a game sheet
+ * Labels the new column in both header rows and copies the at-bat formatting from
+ * the last regulation column.
+ * @param {Sheet} sheet - The game sheet
+ * @return {number} The new inning number, or null if EXTRA_INNINGS.MAX_INNINGS is reached
+ */
+function addExtraInning(sheet) {
+  var extra = BOX_SCORE_CONFIG.EXTRA_INNINGS;
+  var extraInnings = countExtraInnings(sheet);
+  if (extraInnings >= extra.MAX_INNINGS) return null;
+
+  var inning = getGridInnings() + extraInnings + 1;
+  var col = getInningColumn(inning);
+  var grids = [BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE, BOX_SCORE_CONFIG.HOME_ATBAT_RANGE];
+
+  for (var i = 0; i < grids.length; i++) {
+    var numRows = grids[i].endRow - grids[i].startRow + 1;
+    sheet.getRange(grids[i].startRow, grids[i].endCol, numRows, 1)
+      .copyTo(sheet.getRange(grids[i].startRow, col, numRows, 1), SpreadsheetApp.CopyPasteType.PASTE_FORMAT, false);
+  }
+  sheet.getRange(extra.AWAY_HEADER_ROW, col).setValue(inning);
+  sheet.getRange(extra.HOME_HEADER_ROW, col).setValue(inning);
+  logAutomatedChange(sheet, 'Extra Inning', sheet.getRange(extra.AWAY_HEADER_ROW, col).getA1Notation(), "", inning, "");
+
+  if (BOX_SCORE_CONFIG.DEBUG.ENABLE_LOGGING) {
+    Logger.log("INFO [ExtraInnings]: Added inning " + inning + " (Entity: " + sheet.getName() + ")");
+  }
+
+  return inning;
+}
+
+// ===== NOTATION VALIDATION =====
+
+// Notes written by the validator start with this marker so user notes are never touched
+var INVALID_NOTATION_NOTE_PREFIX = "⚠️ Invalid notation";
+
+/**
+ * Validate a team's whole at-bat grid, flagging invalid cells and clearing fixed ones
+ * Each cell is checked on its own (notation grammar) and against the runners actually
+ * on base when it happened (replayed with ScoreBaseState.js), so "1-3" with nobody on
+ * first or "DP" with the bases empty are caught too. Invalid cells get
+ * INVALID_NOTATION_COLOR and an explanatory note; cells flagged earlier that are now
+ * fine are restored. Covers the extra-inning columns too. Uses batch operations.
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home" (the batting team)
+ * @return {Array<Object>} Problems found: {row, col, cell, inning, batterIndex, value, errors, suggestions}
+ */
+function validateAtBatGrid(sheet, team) {
+  var roster = (team === 'away') ? BOX_SCORE_CONFIG.AWAY_PITCHER_RANGE : BOX_SCORE_CONFIG.HOME_PITCHER_RANGE;
+  var blocks = getAtBatBlocks(sheet, team);
+  var values = readAtBatGrid(sheet, team === 'away');
+  var numRows = blocks[0].numRows;
+  var invalidColor = BOX_SCORE_CONFIG.INVALID_NOTATION_COLOR;
+
+  // Base-state problems, keyed by "row,col,pass" within the grid
+  var lineup = sheet.getRange(blocks[0].startRow, roster.nameCol, numRows, 1).getValues().map(function(r) { return r[0]; });
+  var replay = replayTeamAtBats(values, lineup, []);
+  var stateErrors = {};
+  for (var p = 0; p < replay.plays.length; p++) {
+    var play = replay.plays[p];
+    if (play.errors.length > 0) {
+      stateErrors[play.batterIndex + "," + play.col + "," + play.pass] = play.errors;
+    }
+  }
+
+  var problems = [];
+
+  for (var b = 0; b < blocks.length; b++) {
+    var block = blocks[b];
+    var range = sheet.getRange(block.startRow, block.startCol, block.numRows, block.numCols);
+    var backgrounds = range.getBackgrounds();
+    var notes = range.getNotes();
+    var changed = false;
+
+    // Inning by inning so problems are listed in the order they happened
+    for (var c = 0; c < block.numCols; c++) {
+      var gridCol = block.firstInning - 1 + c;
+      for (var r = 0; r < numRows; r++) {
+        var value = values[r][gridCol];
+        var isFlagged = String(notes[r][c]).indexOf(INVALID_NOTATION_NOTE_PREFIX) === 0;
+        var check = checkAtBatCell(value, stateErrors, r, gridCol);
+
+        if (check.errors.length > 0) {
+          var problem = {
+            row: block.startRow + r,
+            col: block.startCol + c,
+            cell: sheet.getRange(block.startRow + r, block.startCol + c).getA1Notation(),
+            inning: gridCol + 1,
+            batterIndex: r,
+            value: String(value),
+            errors: check.errors,
+            suggestions: check.suggestions
+          };
+          problems.push(problem);
+
+          var note = buildInvalidNotationNote(problem);
+          if (notes[r][c] !== note || backgrounds[r][c] !== invalidColor) {
+            notes[r][c] = note;
+            backgrounds[r][c] = invalidColor;
+            changed = true;
+          }
+        } else if (isFlagged) {
+          notes[r][c] = "";
+          backgrounds[r][c] = null;
+          changed = true;
+        }
+      }
+    }
+
+    if (changed) {
+      range.setBackgrounds(backgrounds);
+      range.setNotes(notes);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Collect the problems in one at-bat cell, plate appearance by plate appearance
+ * With several plate appearances ("1B / K") each message says which one it is about,
+ * and suggestions are whole-cell replacements for the first invalid one.
+ * @param {*} value - Raw cell value
+ * @param {Object} stateErrors - Base-state problems keyed by "row,col,pass"
+ * @param {number} r - Row within the grid
+ * @param {number} c - Column within the grid
+ * @return {Object} {errors, suggestions}
+ */
+function checkAtBatCell(value, stateErrors, r, c) {
+  var segments = splitPlateAppearances(value);
+  var errors = [];
+  var suggestions = [];
+
+  for (var s = 0; s < segments.length; s++) {
+    var label = segments.length > 1 ? "PA " + (s + 1) + ": " : "";
+    if (segments[s] === "") {
+      errors.push(label + "Empty plate appearance - remove the extra '" + NOTATION_PA_SEPARATOR + "'");
+      continue;
+    }
+
+    var stats = parseNotationCached(segments[s]);
+    var segmentErrors = stats.valid ? (stateErrors[r + "," + c + "," + s] || []) : stats.errors;
+    for (var e = 0; e < segmentErrors.length; e++) {
+      errors.push(label + segmentErrors[e]);
+    }
+
+    if (!stats.valid && suggestions.length === 0) {
+      var segmentSuggestions = suggestNotation(segments[s]);
+      for (var i = 0; i < segmentSuggestions.length; i++) {
+        var replaced = segments.slice();
+        replaced[s] = segmentSuggestions[i];
+        suggestions.push(replaced.join(" " + NOTATION_PA_SEPARATOR + " "));
+      }
+    }
+  }
+
+  return {errors: errors, suggestions: suggestions};
+}
+
+/**
+ * Build the cell note for an invalid at-bat cell
+ * @param {Object} problem - Problem from validateAtBatGrid
+ * @return {string} Note text
+ */
+function buildInvalidNotationNote(problem) {
+  var note = INVALID_NOTATION_NOTE_PREFIX + ": " + problem.value + "\n";
+  for (var i = 0; i < problem.errors.length; i++) {
+    note += "• " + problem.errors[i] + "\n";
+  }
+  if (problem.suggestions.length > 0) {
+    note += "Did you mean: " + problem.suggestions.join(", ") + "?";
+  } else {
+    note += "See the notation guide for valid entries.";
+  }
+  return note;
+}
+
 // ===== HELPER FUNCTIONS =====
 
 /**
@@ -166,23 +555,61 @@ function createEmptyBatch(numRows, numCols) {
   return batch;
 }
 
+/**
+ * Write a block of rows, touching only the rows whose values changed
+ * Reads the block once, compares cell by cell, then writes each run of consecutive
+ * changed rows in one batch. Cells are never cleared first, so nothing flashes to zero.
+ * @param {Sheet} sheet - The game sheet
+ * @param {number} startRow - First row of the block
+ * @param {number} startCol - First column of the block
+ * @param {Array<Array>} target - Wanted values per row (all the same width); null rows (headers, totals) are left alone
+ * @return {number} Number of ranges written
+ */
+function writeChangedRows(sheet, startRow, startCol, target) {
+  var width = 0;
+  for (var i = 0; i < target.length; i++) {
+    if (target[i]) width = Math.max(width, target[i].length);
+  }
+  if (width === 0) return 0;
+
+  var current = sheet.getRange(startRow, startCol, target.length, width).getValues();
+  var writes = 0;
+  var run = [];
+
+  for (var r = 0; r <= target.length; r++) {
+    var changed = r < target.length && !!target[r] && target[r].some(function(value, c) {
+      return String(value) !== String(current[r][c]);
+    });
+    if (changed) {
+      run.push(target[r]);
+      continue;
+    }
+    if (run.length > 0) {
+      sheet.getRange(startRow + r - run.length, startCol, run.length, width).setValues(run);
+      writes++;
+      run = [];
+    }
+  }
+
+  return writes;
+}
+
 /**
  * Check if cell is in at-bat range
+ * Extra-inning columns count once they have been added to the sheet.
  * @param {number} row - Row number
  * @param {number} col - Column number
+ * @param {Sheet} sheet - The game sheet (needed to recognise extra-inning columns)
  * @return {boolean} True if in at-bat range
  */
-function isAtBatCell(row, col) {
+function isAtBatCell(row, col, sheet) {
   var awayRange = BOX_SCORE_CONFIG.AWAY_ATBAT_RANGE;
   var homeRange = BOX_SCORE_CONFIG.HOME_ATBAT_RANGE;
   
-  var isAwayAtBat = (row >= awayRange.startRow && row <= awayRange.endRow &&
-                     col >= awayRange.startCol && col <= awayRange.endCol);
-  
-  var isHomeAtBat = (row >= homeRange.startRow && row <= homeRange.endRow &&
-                     col >= homeRange.startCol && col <= homeRange.endCol);
+  var isAtBatRow = (row >= awayRange.startRow && row <= awayRange.endRow) ||
+                   (row >= homeRange.startRow && row <= homeRange.endRow);
   
-  return isAwayAtBat || isHomeAtBat;
+  return isAtBatRow && getInningFromColumn(col, sheet) !== null;
 }
 
 /**
@@ -311,7 +738,8 @@ function getPositionHistory(positionString) {
 
 /**
  * Find player row by name in fielding roster
- * Searches both away (7-15) and home (18-26) rosters
+ * Searches both away (7-15) and home (18-26) rosters. Names match ignoring case and
+ * extra spaces; failing that, a league roster alias (e.g. "Boo" for "King Boo") matches.
  * @param {Sheet} sheet - The game sheet
  * @param {string} playerName - Player name to find
  * @return {number} Row number or -1 if not found
@@ -330,8 +758,9 @@ function findPlayerRowByName(sheet, playerName) {
     1
   ).getValues();
   
+  var wanted = normalizePlayerName(playerName);
   for (var i = 0; i < awayNames.length; i++) {
-    if (awayNames[i][0] === playerName) {
+    if (normalizePlayerName(awayNames[i][0]) === wanted) {
       return awayRange.startRow + i;
     }
   }
@@ -346,10 +775,22 @@ function findPlayerRowByName(sheet, playerName) {
   ).getValues();
   
   for (var i = 0; i < homeNames.length; i++) {
-    if (homeNames[i][0] === playerName) {
+    if (normalizePlayerName(homeNames[i][0]) === wanted) {
       return homeRange.startRow + i;
     }
   }
+
+  // Different spelling of the same league player
+  var league = readLeagueRoster(sheet.getParent());
+  var player = findLeaguePlayer(league, playerName);
+  if (player) {
+    for (var i = 0; i < awayNames.length; i++) {
+      if (awayNames[i][0] && findLeaguePlayer(league, awayNames[i][0]) === player) return awayRange.startRow + i;
+    }
+    for (var i = 0; i < homeNames.length; i++) {
+      if (homeNames[i][0] && findLeaguePlayer(league, homeNames[i][0]) === player) return homeRange.startRow + i;
+    }
+  }
   
   return -1; // Not found
 }
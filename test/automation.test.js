@@ -0,0 +1,216 @@
+// onEdit automation and menu commands driven against the fixture games.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var fullGame = require('./fixtures/fullGame.json');
+var pitcherChange = require('./fixtures/pitcherChange.json');
+
+/**
+ * Fixture with only its first few edits applied
+ * @param {Object} fixture - Fixture game
+ * @param {number} count - Edits to keep
+ * @return {Object} Copy of the fixture
+ */
+function firstEdits(fixture, count) {
+  return Object.assign({}, fixture, {edits: fixture.edits.slice(0, count)});
+}
+
+test('pitcher dropdown change swaps positions and appends PC# to the last at-bat', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+
+  game.edit('D4', 'Diddy');
+
+  assert.strictEqual(game.sheet.getRange('A19').getValue(), 'SS / RP1');
+  assert.strictEqual(game.sheet.getRange('A26').getValue(), 'SP / SS');
+  assert.strictEqual(game.sheet.getRange('C9').getValue(), 'K PC2', 'two runners on base are inherited');
+});
+
+test('switching the dropdown straight back undoes the change exactly', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+
+  game.edit('D4', 'Diddy');
+  game.edit('D4', 'Kamek');
+
+  assert.strictEqual(game.sheet.getRange('A19').getValue(), 'SS');
+  assert.strictEqual(game.sheet.getRange('A26').getValue(), 'SP');
+  assert.strictEqual(game.sheet.getRange('C9').getValue(), 'K');
+});
+
+test('Undo Pitcher Change menu command reverts the latest change', function() {
+  var project = harness.loadProject({responses: ['YES']});
+  var game = harness.createGame(project, firstEdits(pitcherChange, 4));
+
+  project.context.undoLastPitcherChange();
+
+  assert.strictEqual(game.sheet.getRange('D4').getValue(), 'Kamek');
+  assert.strictEqual(game.sheet.getRange('C9').getValue(), 'K');
+  assert.strictEqual(project.ui.alerts[project.ui.alerts.length - 1].message, 'Diddy → Kamek undone.');
+});
+
+test('undo and a new game delete only their own journal rows', function() {
+  var project = harness.loadProject({responses: ['YES']});
+  var game = harness.createGame(project, firstEdits(pitcherChange, 17));
+  var journal = project.spreadsheet.getSheetByName(project.context.BOX_SCORE_CONFIG.CHANGE_JOURNAL.SHEET_NAME);
+  journal.appendRow(['Other Game', 'D4', 'Kamek', 'Diddy', '', '{}', '']);
+
+  project.context.undoLastPitcherChange();
+  var rows = journal.getRange(2, 1, journal.getLastRow() - 1, 4).getValues().map(function(row) { return row.join(' '); });
+  assert.strictEqual(JSON.stringify(rows), JSON.stringify([game.sheet.getName() + ' D4 Kamek Diddy', 'Other Game D4 Kamek Diddy']));
+
+  project.context.clearPitcherChanges(project.spreadsheet, game.sheet.getName());
+  assert.strictEqual(journal.getLastRow(), 2);
+  assert.strictEqual(journal.getRange(2, 1).getValue(), 'Other Game');
+});
+
+test('two pitcher changes before the next batter keep the at-bat and bring in each pitcher', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+
+  game.edit('D4', 'Diddy');
+  game.edit('D4', 'Dixie');
+  game.edit('C10', 'OUT');
+
+  assert.strictEqual(game.sheet.getRange('C9').getValue(), 'K PC2 PC2');
+  assert.strictEqual(game.sheet.getRange('A20').getValue(), '1B / RP2');
+
+  var pitching = {};
+  project.context.readGame(game.sheet).home.players.forEach(function(player) {
+    if (player.pitching) pitching[player.name] = [player.pitching.BF, player.pitching.outs, player.pitching.K];
+  });
+  assert.strictEqual(JSON.stringify(pitching.Kamek), JSON.stringify([3, 1, 1]), 'the strikeout still counts');
+  assert.strictEqual(pitching.Diddy, undefined, 'Diddy faced nobody');
+  assert.strictEqual(JSON.stringify(pitching.Dixie), JSON.stringify([1, 1, 0]));
+});
+
+test('a bench player brought in to pitch is credited with every batter they face', function() {
+  var project = harness.loadProject({responses: ['YES']});
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+
+  game.edit('D4', 'Lanky');
+  game.edit('C10', '2RBI 2B');
+  game.edit('C11', 'OUT');
+  game.edit('C12', 'K');
+
+  assert.strictEqual(game.sheet.getRange('C9').getValue(), 'K PC2');
+  var sub = game.sheet.getRange('A60:M60').getValues()[0];
+  assert.strictEqual(JSON.stringify([sub[0], sub[1], sub[12]]), JSON.stringify([9, 'Lanky', 1]), "takes Kamek's lineup slot");
+
+  var box = project.context.readGame(game.sheet);
+  assert.strictEqual(JSON.stringify(box.home.pitchers), JSON.stringify(['Kamek', 'Lanky']));
+  var lanky = box.home.bench.filter(function(player) { return player.name === 'Lanky'; })[0].pitching;
+  assert.strictEqual(JSON.stringify([lanky.BF, lanky.outs, lanky.H, lanky.K, lanky.R]), JSON.stringify([3, 2, 1, 1, 0]));
+  var kamek = box.home.players.filter(function(player) { return player.name === 'Kamek'; })[0].pitching;
+  assert.strictEqual(JSON.stringify([kamek.BF, kamek.outs, kamek.R]), JSON.stringify([3, 1, 2]), 'inherited runners stay with Kamek');
+
+  project.context.undoLastPitcherChange();
+  assert.strictEqual(game.sheet.getRange('B60').getValue(), '');
+  assert.strictEqual(game.sheet.getRange('D4').getValue(), 'Kamek');
+  assert.strictEqual(project.context.readPositionChanges(game.sheet).home.length, 0);
+});
+
+test('a position change stays with its at-bat when an earlier cell is filled in later', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 0));
+
+  game.edit('C7', '1B');
+  game.edit('C9', 'OUT E6');
+  game.edit('A19', 'SS / LF');
+  game.edit('A23', 'LF / SS');
+  game.edit('C10', 'OUT E6');
+  game.edit('C8', 'BB');
+
+  var errors = {};
+  project.context.readGame(game.sheet).home.players.forEach(function(player) {
+    if (player.fielding && player.fielding.E) errors[player.name] = player.fielding.E;
+  });
+  assert.strictEqual(JSON.stringify(errors), JSON.stringify({Diddy: 1, Birdo: 1}), 'each error goes to the shortstop at the time');
+});
+
+test('Process Game Stats menu command reproduces the live box score', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, pitcherChange);
+  var live = harness.readBoxScore(project, game.sheet);
+
+  project.context.processGameStatsBulk();
+
+  assert.deepStrictEqual(harness.readBoxScore(project, game.sheet), live);
+  assert.strictEqual(project.ui.alerts[project.ui.alerts.length - 1].title, 'Processing Complete');
+});
+
+test('inherited runners are charged to the pitcher who put them on', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 7));
+
+  var kamek = [game.sheet.getRange('M26').getValue(), game.sheet.getRange('S26').getValue()];   // R, ER
+  var diddy = [game.sheet.getRange('M19').getValue(), game.sheet.getRange('S19').getValue()];
+  assert.deepStrictEqual(kamek, [2, 2]);
+  assert.deepStrictEqual(diddy, [0, 0]);
+});
+
+test('an invalid at-bat is highlighted with a note and adds no stats', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 0));
+
+  game.edit('C7', 'XYZ');
+
+  assert.notStrictEqual(game.sheet.getRange('C7').getNote(), '');
+  assert.deepStrictEqual(game.sheet.getRange('C30:L30').getValues()[0], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  game.edit('C7', '1B');
+  assert.strictEqual(game.sheet.getRange('C7').getNote(), '');
+  assert.strictEqual(game.sheet.getRange('D30').getValue(), 1);
+});
+
+test('the line score shows X once the home team leads after the top of the last inning', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(fullGame, fullGame.edits.length - 1));
+
+  assert.strictEqual(JSON.stringify(game.sheet.getRange('J4:S4').getValues()[0]), JSON.stringify(['Kong', 1, 0, 0, 2, 0, '', 3, 5, 0]),
+                     'two outs in the top of the 6th');
+
+  game.edit('H10', 'OUT');
+
+  assert.strictEqual(JSON.stringify(game.sheet.getRange('J4:S4').getValues()[0]), JSON.stringify(['Kong', 1, 0, 0, 2, 0, 'X', 3, 5, 0]));
+  assert.strictEqual(project.context.readGame(game.sheet).lineScore.complete, true);
+});
+
+test('edits that arrive during a recompute coalesce into one rerun', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+  var recompute = project.context.recomputeGameStats;
+  var runs = 0;
+  var overlapping = [];
+
+  project.context.recomputeGameStats = function(sheet) {
+    runs++;
+    if (runs === 1) {
+      // Two more scorers edit while the first run is still writing
+      overlapping.push(project.context.requestGameProcessing(sheet).ran, project.context.requestGameProcessing(sheet).ran);
+    }
+    return recompute(sheet);
+  };
+
+  var outcome = project.context.requestGameProcessing(game.sheet);
+
+  assert.strictEqual(JSON.stringify(overlapping), JSON.stringify([false, false]), 'left to the run in progress');
+  assert.strictEqual(runs, 2, 'one rerun covers both edits');
+  assert.strictEqual(outcome.ran, true);
+  assert.ok(/^✅ Stats updated/.test(game.sheet.getRange('H4').getValue()));
+});
+
+test('a failed recompute shows in the status cell until the next one succeeds', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, firstEdits(pitcherChange, 3));
+  var recompute = project.context.recomputeGameStats;
+
+  project.context.recomputeGameStats = function() { throw new Error('sheet is busy'); };
+  assert.strictEqual(project.context.requestGameProcessing(game.sheet).error.message, 'sheet is busy');
+  assert.strictEqual(game.sheet.getRange('H4').getValue(), '⚠️ Stats update failed: sheet is busy');
+
+  project.context.recomputeGameStats = recompute;
+  assert.strictEqual(project.context.requestGameProcessing(game.sheet).ran, true);
+  assert.ok(/^✅ Stats updated/.test(game.sheet.getRange('H4').getValue()));
+});
@@ -0,0 +1,49 @@
+// Golden box scores: each fixture game is typed in cell by cell through onEdit (pitcher
+// dropdown changes included), and the finished sheet must match test/golden/<fixture>.json.
+// After an intended change in the stats, regenerate with:
+//   UPDATE_GOLDEN=1 node --test test/*.test.js
+// and review the golden diff like any other change. A new fixture needs the same run
+// to create its golden file; without it the test fails.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var harness = require('./harness/project');
+
+var FIXTURE_DIR = path.join(__dirname, 'fixtures');
+var GOLDEN_DIR = path.join(__dirname, 'golden');
+
+fs.readdirSync(FIXTURE_DIR).filter(function(file) {
+  return /\.json$/.test(file);
+}).sort().forEach(function(file) {
+  var fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+
+  test(file.replace(/\.json$/, '') + ': ' + fixture.description, function() {
+    var project = harness.loadProject();
+    var game = harness.createGame(project, fixture);
+    var box = harness.readBoxScore(project, game.sheet);
+
+    var errors = project.logs.filter(function(line) { return /^ERROR/.test(line); });
+    assert.deepStrictEqual(errors, [], 'the game played through without errors');
+
+    var goldenFile = path.join(GOLDEN_DIR, file);
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenFile, formatGolden(box));
+    }
+    assert.ok(fs.existsSync(goldenFile), 'golden missing, run with UPDATE_GOLDEN=1 (' + path.relative(__dirname, goldenFile) + ')');
+    assert.deepStrictEqual(box, JSON.parse(fs.readFileSync(goldenFile, 'utf8')));
+  });
+});
+
+/**
+ * JSON with one sheet row per line, so golden diffs point at the row that changed
+ * @param {Object} box - Result of readBoxScore
+ * @return {string} File contents
+ */
+function formatGolden(box) {
+  var text = JSON.stringify(box, null, 2);
+  return text.replace(/\[\n\s+([^\[\]{}]*?)\n\s+\]/g, function(match, inner) {
+    return '[' + inner.split(/,\n\s+/).join(', ') + ']';
+  }) + '\n';
+}
@@ -0,0 +1,77 @@
+// Pitcher decisions (W, L, SV, BS) for games built from plain arrays.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var fullGame = require('./fixtures/fullGame.json');
+
+var QUIET = ['K', 'K', 'K'];
+
+/**
+ * One team's buildGame input from the plate appearances of each half-inning
+ * The batting order carries over from one inning to the next.
+ * @param {Array<Array>} roster - [[position, name], ...]
+ * @param {Array<Array<string>>} halves - Cells per inning, in batting order
+ * @return {Object} {roster, subs, atBats, positionChanges}
+ */
+function teamInput(roster, halves) {
+  var atBats = roster.map(function() { return halves.map(function() { return ''; }); });
+  var slot = 0;
+  halves.forEach(function(cells, inning) {
+    cells.forEach(function(cell) {
+      atBats[slot][inning] = cell;
+      slot = (slot + 1) % roster.length;
+    });
+  });
+  return {roster: roster, subs: [], atBats: atBats, positionChanges: []};
+}
+
+/**
+ * Decisions for a game where Diddy relieves Kamek for the home team in the 6th
+ * @param {Object} project - Result of loadProject
+ * @param {Array<string>} homeFirst - Bottom of the 1st
+ * @param {Array<string>} awaySixth - Top of the 6th, against Diddy
+ * @param {Array<string>} homeSixth - Bottom of the 6th (empty when not needed)
+ * @return {Object} Decisions from buildGame
+ */
+function decisionsFor(project, homeFirst, awaySixth, homeSixth) {
+  var roster = function(team) {
+    return fullGame[team].lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  };
+  var away = roster('away');
+  var home = roster('home');
+  home[1] = ['SS / RP1', 'Diddy'];
+
+  return project.context.buildGame({
+    away: teamInput(away, [QUIET, QUIET, QUIET, QUIET, ['K', 'K', 'K PC0'], awaySixth]),
+    home: teamInput(home, [homeFirst, QUIET, QUIET, QUIET, QUIET, homeSixth])
+  }).decisions;
+}
+
+test('a reliever who finishes a small lead for a full inning gets the save', function() {
+  var project = harness.loadProject();
+
+  var decisions = decisionsFor(project, ['HR', 'HR', 'K', 'K', 'K'], QUIET, []);
+
+  assert.strictEqual(JSON.stringify([decisions.winner, decisions.loser, decisions.save]), JSON.stringify(['Kamek', 'Bowser', 'Diddy']));
+  assert.strictEqual(decisions.blownSaves.length, 0);
+});
+
+test('a lead bigger than a save situation needs more than one inning for the save', function() {
+  var project = harness.loadProject();
+
+  var decisions = decisionsFor(project, ['HR', 'HR', 'HR', 'HR', 'K', 'K', 'K'], QUIET, []);
+
+  assert.strictEqual(decisions.winner, 'Kamek');
+  assert.strictEqual(decisions.save, null);
+});
+
+test('a reliever who gives up the lead gets the blown save, and the win on a walk-off', function() {
+  var project = harness.loadProject();
+
+  var decisions = decisionsFor(project, ['HR', 'HR', 'K', 'K', 'K'], ['1B', 'HR 2RBI', 'K', 'K', 'K'], ['HR']);
+
+  assert.strictEqual(JSON.stringify(decisions.score), JSON.stringify({away: 2, home: 3}));
+  assert.strictEqual(JSON.stringify(decisions.blownSaves), JSON.stringify(['Diddy']));
+  assert.strictEqual(JSON.stringify([decisions.winner, decisions.loser, decisions.save]), JSON.stringify(['Diddy', 'Bowser', null]));
+});
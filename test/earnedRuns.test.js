@@ -0,0 +1,47 @@
+// Earned runs when an error is attached to a hit or an out rather than being the outcome.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var fullGame = require('./fixtures/fullGame.json');
+
+/**
+ * Home pitcher's R and ER after the away team bats one inning
+ * @param {Object} project - Result of loadProject
+ * @param {Array<string>} cells - Top of the 1st, by lineup slot
+ * @return {string} JSON of [R, ER]
+ */
+function pitcherRunsAfter(project, cells) {
+  var away = fullGame.away.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  var home = fullGame.home.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  var game = project.context.buildGame({
+    away: {roster: away, subs: [], atBats: away.map(function(player, slot) { return [cells[slot] || '']; }), positionChanges: []},
+    home: {roster: home, subs: [], atBats: home.map(function() { return ['']; }), positionChanges: []}
+  });
+
+  var pitcher = game.home.players.filter(function(player) { return player.pitching; })[0].pitching;
+  return JSON.stringify([pitcher.R, pitcher.ER]);
+}
+
+test('a run that scores on an error attached to a hit is unearned', function() {
+  var project = harness.loadProject();
+
+  assert.strictEqual(pitcherRunsAfter(project, ['1B', '1B E6 1-H', 'K', 'K', 'K']), '[1,0]', 'no RBI - scored on the error');
+  assert.strictEqual(pitcherRunsAfter(project, ['1B', '2B RBI E6', 'K', 'K', 'K']), '[1,1]', 'driven in by the double');
+  assert.strictEqual(pitcherRunsAfter(project, ['1B E9 B-2', '1B RBI', 'K', 'K', 'K']), '[1,0]', 'took second on the error');
+});
+
+test('an error attached to an out counts as an out in the reconstruction', function() {
+  var project = harness.loadProject();
+
+  assert.strictEqual(pitcherRunsAfter(project, ['1B', 'OUT E4', 'K', 'HR 2RBI', 'K']), '[2,0]', 'inning should have been over');
+  assert.strictEqual(pitcherRunsAfter(project, ['1B', 'OUT', 'K', 'HR 2RBI', 'K']), '[2,2]', 'same inning without the error');
+});
+
+test('a batter who reaches on a charged error scores an unearned run', function() {
+  var project = harness.loadProject();
+
+  assert.strictEqual(pitcherRunsAfter(project, ['E6', 'HR 2RBI', 'K', 'K', 'K']), '[2,1]', 'the homer itself is still earned');
+  assert.strictEqual(pitcherRunsAfter(project, ['E6', '1B', '1B RBI', 'K', 'K', 'K']), '[1,0]', 'driven in by a hit');
+  assert.strictEqual(pitcherRunsAfter(project, ['K', 'K', 'E6', 'HR 2RBI', 'K']), '[2,0]', 'the error should have ended the inning');
+});
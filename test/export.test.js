@@ -0,0 +1,66 @@
+// Game export to JSON and CSV files in the fake Drive.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var pitcherChange = require('./fixtures/pitcherChange.json');
+
+test('export saves the JSON box score and one CSV per table to the export folder', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, pitcherChange);
+
+  project.context.exportCurrentGame();
+
+  var folder = project.drive.folders[0];
+  assert.strictEqual(folder.name, project.context.BOX_SCORE_CONFIG.EXPORT.FOLDER_NAME);
+  assert.strictEqual(folder.files.length, 1 + project.context.BOX_SCORE_CONFIG.EXPORT.CSV_TABLES.length);
+
+  var data = JSON.parse(folder.files[0].content);
+  var box = project.context.readGame(game.sheet);
+  assert.strictEqual(folder.files[0].name, 'Test League #1.json');
+  assert.strictEqual(data.version, 1);
+  assert.strictEqual(JSON.stringify([data.lineScore.away.R, data.lineScore.home.R]),
+                     JSON.stringify([box.lineScore.away.R, box.lineScore.home.R]));
+
+  var diddy = data.rosters.home.filter(function(player) { return player.name === 'Diddy'; })[0];
+  assert.strictEqual(diddy.positions.join(' / '), 'SS / RP1');
+  assert.ok(diddy.pitching.outs > 0);
+
+  var change = data.plays.filter(function(play) { return play.pitcherChanges.length > 0; })[0];
+  assert.strictEqual(JSON.stringify(change.pitcherChanges), JSON.stringify([{from: 'Kamek', to: 'Diddy', inheritedRunners: 2}]));
+  assert.strictEqual(data.plays[0].sequence, 1);
+
+  var plateAppearances = folder.files.filter(function(file) { return file.name === 'Test League #1 - plate_appearances.csv'; })[0];
+  assert.strictEqual(plateAppearances.content.split('\r\n').length, data.plays.length + 2, 'header, one row per play, trailing newline');
+});
+
+test('exporting again replaces the files instead of adding copies', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, pitcherChange);
+
+  project.context.exportGame(game.sheet);
+  game.edit('E12', 'K');
+  var result = project.context.exportGame(game.sheet);
+
+  assert.strictEqual(project.drive.folders.length, 1);
+  assert.strictEqual(project.drive.folders[0].files.length, result.files.length);
+  assert.strictEqual(JSON.parse(result.files[0].content).plays.slice(-1)[0].notation, 'K');
+});
+
+test('export only reads the game sheet', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, Object.assign({}, pitcherChange, {edits: []}));
+
+  var result = project.context.exportGame(game.sheet);
+
+  assert.strictEqual(game.sheet.getRange('A26').getValue(), 'P');
+  var kamek = JSON.parse(result.files[0].content).rosters.home.filter(function(player) { return player.name === 'Kamek'; })[0];
+  assert.strictEqual(kamek.position, 'SP');
+});
+
+test('CSV fields with commas, quotes or line breaks are quoted', function() {
+  var project = harness.loadProject();
+
+  assert.strictEqual(project.context.formatCsv([['a', 'b,c', 'say "hi"', null, 3], ['x\ny']]),
+                     'a,"b,c","say ""hi""",,3\r\n"x\ny"\r\n');
+});
@@ -0,0 +1,101 @@
+// The game model on its own: plain arrays in, box score out, no sheet involved.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var fullGame = require('./fixtures/fullGame.json');
+
+/**
+ * One team's buildGame input with an at-bat grid of the given innings
+ * @param {Array<Array>} lineup - [[position, name], ...]
+ * @param {Array<Array>} innings - At-bat cells per inning, by lineup slot
+ * @return {Object} {roster, subs, atBats, positionChanges}
+ */
+function teamInput(lineup, innings) {
+  var atBats = lineup.map(function(player, slot) {
+    return innings.map(function(cells) { return cells[slot] || ''; });
+  });
+  return {roster: lineup, subs: [], atBats: atBats, positionChanges: []};
+}
+
+test('buildGame scores a game from plain arrays', function() {
+  var project = harness.loadProject();
+  var away = fullGame.away.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  var home = fullGame.home.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+
+  var game = project.context.buildGame({
+    metadata: {awayTeam: 'Mushroom', homeTeam: 'Kong'},
+    away: teamInput(away, [['1B', 'HR 2RBI', 'K', 'OUT', 'K']]),
+    home: teamInput(home, [['K', 'K', 'K']])
+  });
+
+  assert.strictEqual(game.lineScore.away.runs[0], 2);
+  assert.strictEqual(game.away.label, 'Mushroom');
+
+  var batter = game.away.players[1];
+  assert.deepStrictEqual([batter.name, batter.hitting.H, batter.hitting.HR, batter.hitting.RBI, batter.hitting.R], [away[1][1], 1, 1, 2, 1]);
+
+  var pitcher = game.home.players.filter(function(player) { return player.pitching; })[0];
+  assert.deepStrictEqual([pitcher.pitching.outs, pitcher.pitching.R, pitcher.pitching.ER], [3, 2, 2]);
+  assert.strictEqual(game.home.players.filter(function(player) { return !player.pitching; })[0].pitching, null);
+});
+
+test('the box score read from a sheet matches the one built from its values', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, fullGame);
+
+  var input = project.context.readGameInput(game.sheet);
+  var fromSheet = project.context.readGame(game.sheet);
+  var fromValues = project.context.buildGame(JSON.parse(JSON.stringify(input)));
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(fromValues.lineScore)), JSON.parse(JSON.stringify(fromSheet.lineScore)));
+  ['away', 'home'].forEach(function(side) {
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(fromValues[side].players)), JSON.parse(JSON.stringify(fromSheet[side].players)));
+  });
+});
+
+test('a caught stealing for the third out is no at-bat and the batter leads off the next inning', function() {
+  var project = harness.loadProject();
+  var away = fullGame.away.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  var home = fullGame.home.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+
+  var game = project.context.buildGame({
+    away: teamInput(away, [['1B', 'K', 'K', 'CS NP2'], ['', '', '', 'HR', 'K', 'K', 'WP', 'K']]),
+    home: teamInput(home, [['K', 'K', 'K'], ['BB', 'SB', 'K', 'K', 'K']])
+  });
+
+  assert.strictEqual(JSON.stringify(game.lineScore.away.runs), '[0,1]');
+  var daisy = game.away.players[3].hitting;
+  assert.deepStrictEqual([daisy.AB, daisy.HR], [1, 1], 'the CS cell is not an at-bat');
+  assert.strictEqual(game.away.players[6].hitting, null, 'a lone WP is not a plate appearance');
+
+  var catcher = game.home.players[0];
+  assert.deepStrictEqual([catcher.fielding.NP, catcher.fielding.SB], [1, 1], 'nice play on the CS, steal after the walk');
+  var pitcher = game.home.players.filter(function(player) { return player.pitching; })[0].pitching;
+  assert.deepStrictEqual([pitcher.BF, pitcher.outs], [7, 6], 'the pitcher gets the out but faced nobody');
+});
+
+test('the base-out state knows who is on each base and who was erased on a DP or CS', function() {
+  var project = harness.loadProject();
+  var away = fullGame.away.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+  var home = fullGame.home.lineup.map(function(player) { return [player[0] === 'P' ? 'SP' : player[0], player[1]]; });
+
+  var game = project.context.buildGame({
+    away: teamInput(away, [['1B', 'BB', 'DP', '1B', 'CS']]),
+    home: teamInput(home, [['K', 'K', 'K']])
+  });
+
+  var states = game.away.replay.plays.map(function(play) {
+    var bases = play.basesAfter.map(function(runner) { return runner ? runner.name : '-'; }).join(',');
+    var erased = play.runnersOut.map(function(out) { return out.runner; }).join(',');
+    return [play.value, bases, play.outsAfter, erased].join(' ');
+  });
+  assert.strictEqual(JSON.stringify(states), JSON.stringify([
+    '1B ' + away[0][1] + ',-,- 0 ',
+    'BB ' + away[1][1] + ',' + away[0][1] + ',- 0 ',
+    'DP -,' + away[0][1] + ',- 2 ' + away[1][1],
+    '1B ' + away[3][1] + ',-,' + away[0][1] + ' 2 ',
+    'CS -,-,- 3 ' + away[3][1]
+  ]));
+  assert.strictEqual(game.away.replay.plays[3].basesAfter[2].pitcher, game.home.pitchers[0], 'each runner keeps the pitcher who put them on');
+});
@@ -0,0 +1,487 @@
+// ===== FAKE APPS SCRIPT SERVICES =====
+// Purpose: In-memory stand-ins for the Apps Script services the project uses (SpreadsheetApp,
+//          PropertiesService, CacheService, LockService, DriveApp, Session, Utilities, Logger), so the
+//          project files can run in Node.
+// Entry Point(s): createServices
+//
+// Only the calls the project makes are implemented. Cells hold plain values; formatting
+// calls are accepted and ignored. Anything else is simply missing, so a new service call
+// in the project fails the tests loudly instead of silently doing nothing.
+
+var crypto = require('crypto');
+
+/**
+ * Column letter(s) for a 1-based column number
+ * @param {number} col - Column number
+ * @return {string} e.g. "A", "Z", "AA"
+ */
+function columnToLetter(col) {
+  var letters = '';
+  while (col > 0) {
+    var remainder = (col - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    col = Math.floor((col - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parse an A1 reference ("C7" or "C7:H15")
+ * @param {string} a1 - A1 notation
+ * @return {Object} {row, col, numRows, numCols}
+ */
+function parseA1(a1) {
+  var match = String(a1).toUpperCase().match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+  if (!match) throw new Error('Unsupported A1 notation: ' + a1);
+
+  function letterToColumn(letters) {
+    var col = 0;
+    for (var i = 0; i < letters.length; i++) col = col * 26 + (letters.charCodeAt(i) - 64);
+    return col;
+  }
+
+  var ref = {row: Number(match[2]), col: letterToColumn(match[1]), numRows: 1, numCols: 1};
+  if (match[3]) {
+    ref.numRows = Number(match[4]) - ref.row + 1;
+    ref.numCols = letterToColumn(match[3]) - ref.col + 1;
+  }
+  return ref;
+}
+
+// ===== SHEET =====
+
+function FakeSheet(spreadsheet, name, id) {
+  this.spreadsheet = spreadsheet;
+  this.name = name;
+  this.id = id;
+  this.hidden = false;
+  this.cells = {};
+}
+
+FakeSheet.prototype.cell = function(row, col) {
+  var key = row + ',' + col;
+  if (!this.cells[key]) this.cells[key] = {value: '', formula: '', note: '', background: null, validation: null};
+  return this.cells[key];
+};
+
+FakeSheet.prototype.getName = function() { return this.name; };
+FakeSheet.prototype.setName = function(name) { this.name = name; return this; };
+FakeSheet.prototype.getSheetId = function() { return this.id; };
+FakeSheet.prototype.getParent = function() { return this.spreadsheet; };
+FakeSheet.prototype.hideSheet = function() { this.hidden = true; return this; };
+FakeSheet.prototype.showSheet = function() { this.hidden = false; return this; };
+FakeSheet.prototype.isSheetHidden = function() { return this.hidden; };
+
+FakeSheet.prototype.getRange = function(rowOrA1, col, numRows, numCols) {
+  if (typeof rowOrA1 === 'string') {
+    var ref = parseA1(rowOrA1);
+    return new FakeRange(this, ref.row, ref.col, ref.numRows, ref.numCols);
+  }
+  return new FakeRange(this, rowOrA1, col, numRows || 1, numCols || 1);
+};
+
+FakeSheet.prototype.getLastRow = function() {
+  var last = 0;
+  for (var key in this.cells) {
+    if (this.cells[key].value !== '') last = Math.max(last, Number(key.split(',')[0]));
+  }
+  return last;
+};
+
+FakeSheet.prototype.getLastColumn = function() {
+  var last = 0;
+  for (var key in this.cells) {
+    if (this.cells[key].value !== '') last = Math.max(last, Number(key.split(',')[1]));
+  }
+  return last;
+};
+
+FakeSheet.prototype.appendRow = function(values) {
+  this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+  return this;
+};
+
+FakeSheet.prototype.deleteRows = function(rowPosition, howMany) {
+  var cells = {};
+  for (var key in this.cells) {
+    var parts = key.split(',');
+    var row = Number(parts[0]);
+    if (row >= rowPosition && row < rowPosition + howMany) continue;
+    cells[(row >= rowPosition ? row - howMany : row) + ',' + parts[1]] = this.cells[key];
+  }
+  this.cells = cells;
+  return this;
+};
+
+FakeSheet.prototype.deleteRow = function(rowPosition) {
+  return this.deleteRows(rowPosition, 1);
+};
+
+FakeSheet.prototype.clearContents = function() {
+  for (var key in this.cells) {
+    this.cells[key].value = '';
+    this.cells[key].formula = '';
+  }
+  return this;
+};
+
+FakeSheet.prototype.copyTo = function(spreadsheet) {
+  var copy = spreadsheet.insertSheet('Copy of ' + this.name);
+  copy.cells = JSON.parse(JSON.stringify(this.cells));
+  copy.hidden = this.hidden;
+  return copy;
+};
+
+FakeSheet.prototype.getActiveCell = function() {
+  return this.activeCell || this.getRange(1, 1);
+};
+
+FakeSheet.prototype.setFrozenRows = function() { return this; };
+FakeSheet.prototype.autoResizeColumns = function() { return this; };
+
+// ===== RANGE =====
+
+function FakeRange(sheet, row, col, numRows, numCols) {
+  this.sheet = sheet;
+  this.row = row;
+  this.col = col;
+  this.numRows = numRows;
+  this.numCols = numCols;
+}
+
+FakeRange.prototype.getSheet = function() { return this.sheet; };
+FakeRange.prototype.getRow = function() { return this.row; };
+FakeRange.prototype.getColumn = function() { return this.col; };
+FakeRange.prototype.getNumRows = function() { return this.numRows; };
+FakeRange.prototype.getNumColumns = function() { return this.numCols; };
+FakeRange.prototype.getLastRow = function() { return this.row + this.numRows - 1; };
+FakeRange.prototype.getLastColumn = function() { return this.col + this.numCols - 1; };
+
+FakeRange.prototype.getA1Notation = function() {
+  var a1 = columnToLetter(this.col) + this.row;
+  if (this.numRows > 1 || this.numCols > 1) {
+    a1 += ':' + columnToLetter(this.getLastColumn()) + this.getLastRow();
+  }
+  return a1;
+};
+
+FakeRange.prototype.read = function(field) {
+  var rows = [];
+  for (var r = 0; r < this.numRows; r++) {
+    var row = [];
+    for (var c = 0; c < this.numCols; c++) row.push(this.sheet.cell(this.row + r, this.col + c)[field]);
+    rows.push(row);
+  }
+  return rows;
+};
+
+FakeRange.prototype.write = function(field, values) {
+  if (values.length !== this.numRows || values.some(function(row) { return row.length !== this.numCols; }, this)) {
+    throw new Error('The data has ' + values.length + ' rows but ' + this.getA1Notation() + ' has ' + this.numRows +
+                    ' rows and ' + this.numCols + ' columns');
+  }
+  this.sheet.spreadsheet.writeCount++;
+  for (var r = 0; r < this.numRows; r++) {
+    for (var c = 0; c < this.numCols; c++) {
+      var cell = this.sheet.cell(this.row + r, this.col + c);
+      var value = values[r][c];
+      if (field === 'value') {
+        cell.value = (value === null || value === undefined) ? '' : value;
+        cell.formula = '';
+      } else {
+        cell[field] = value;
+      }
+    }
+  }
+  return this;
+};
+
+FakeRange.prototype.fill = function(value) {
+  var values = [];
+  for (var r = 0; r < this.numRows; r++) {
+    var row = [];
+    for (var c = 0; c < this.numCols; c++) row.push(value);
+    values.push(row);
+  }
+  return values;
+};
+
+FakeRange.prototype.getValues = function() { return this.read('value'); };
+FakeRange.prototype.getValue = function() { return this.sheet.cell(this.row, this.col).value; };
+FakeRange.prototype.getDisplayValues = function() { return this.read('value').map(function(row) { return row.map(String); }); };
+FakeRange.prototype.getDisplayValue = function() { return String(this.getValue()); };
+FakeRange.prototype.setValues = function(values) { return this.write('value', values); };
+FakeRange.prototype.setValue = function(value) { return this.write('value', this.fill(value)); };
+FakeRange.prototype.clearContent = function() { return this.write('value', this.fill('')); };
+FakeRange.prototype.getFormulas = function() { return this.read('formula'); };
+FakeRange.prototype.setFormula = function(formula) { this.sheet.cell(this.row, this.col).formula = formula; return this; };
+FakeRange.prototype.getNotes = function() { return this.read('note').map(function(row) { return row.map(function(n) { return n || ''; }); }); };
+FakeRange.prototype.getNote = function() { return this.sheet.cell(this.row, this.col).note || ''; };
+FakeRange.prototype.setNotes = function(notes) { return this.write('note', notes); };
+FakeRange.prototype.setNote = function(note) { return this.write('note', this.fill(note || '')); };
+FakeRange.prototype.clearNote = function() { return this.setNote(''); };
+FakeRange.prototype.getBackgrounds = function() { return this.read('background').map(function(row) { return row.map(function(b) { return b || '#ffffff'; }); }); };
+FakeRange.prototype.setBackgrounds = function(colors) { return this.write('background', colors); };
+FakeRange.prototype.setBackground = function(color) { return this.write('background', this.fill(color)); };
+FakeRange.prototype.getDataValidation = function() { return this.sheet.cell(this.row, this.col).validation; };
+FakeRange.prototype.setDataValidation = function(rule) { return this.write('validation', this.fill(rule)); };
+
+FakeRange.prototype.copyTo = function(destination, pasteType) {
+  if (pasteType !== 'PASTE_FORMAT') destination.setValues(this.getValues());
+  return this;
+};
+
+['setFontWeight', 'setFontStyle', 'setHorizontalAlignment', 'setNumberFormat', 'setWrap', 'activate'].forEach(function(method) {
+  FakeRange.prototype[method] = function() { return this; };
+});
+
+// ===== SPREADSHEET =====
+
+function FakeSpreadsheet() {
+  this.sheets = [];
+  this.activeSheet = null;
+  this.nextSheetId = 1;
+  this.toasts = [];
+  this.writeCount = 0;
+}
+
+FakeSpreadsheet.prototype.insertSheet = function(name) {
+  var sheet = new FakeSheet(this, name || 'Sheet' + this.nextSheetId, this.nextSheetId++);
+  this.sheets.push(sheet);
+  return sheet;
+};
+
+FakeSpreadsheet.prototype.getSheetByName = function(name) {
+  for (var i = 0; i < this.sheets.length; i++) {
+    if (this.sheets[i].getName() === name) return this.sheets[i];
+  }
+  return null;
+};
+
+FakeSpreadsheet.prototype.getSheets = function() { return this.sheets.slice(); };
+FakeSpreadsheet.prototype.getActiveSheet = function() { return this.activeSheet || this.sheets[0] || null; };
+FakeSpreadsheet.prototype.setActiveSheet = function(sheet) { this.activeSheet = sheet; return sheet; };
+FakeSpreadsheet.prototype.getId = function() { return 'fake-spreadsheet'; };
+FakeSpreadsheet.prototype.getName = function() { return 'Test League'; };
+
+FakeSpreadsheet.prototype.toast = function(message, title) {
+  this.toasts.push({title: title || '', message: message});
+};
+
+// ===== UI =====
+
+/**
+ * Spreadsheet UI that records alerts and answers prompts from a queue
+ * @param {Array} responses - Answers for prompts (text, or null to cancel) and YES_NO alerts ("YES"/"NO"), in order
+ * @return {Object} Ui stand-in; alerts holds every {title, message}
+ */
+function createUi(responses) {
+  var ui = {
+    alerts: [],
+    responses: responses || [],
+    ButtonSet: {OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL'},
+    Button: {OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE'},
+
+    alert: function(title, message, buttons) {
+      ui.alerts.push({title: title, message: message});
+      if (buttons === 'YES_NO' || buttons === 'YES_NO_CANCEL') {
+        return ui.responses.length > 0 ? ui.responses.shift() : 'YES';
+      }
+      return 'OK';
+    },
+
+    prompt: function(title, message) {
+      ui.alerts.push({title: title, message: message});
+      var answer = ui.responses.length > 0 ? ui.responses.shift() : '';
+      return {
+        getSelectedButton: function() { return answer === null ? 'CANCEL' : 'OK'; },
+        getResponseText: function() { return answer === null ? '' : String(answer); }
+      };
+    },
+
+    createMenu: function(name) {
+      var menu = {
+        name: name,
+        items: [],
+        addItem: function(label, functionName) { menu.items.push({label: label, functionName: functionName}); return menu; },
+        addSeparator: function() { return menu; },
+        addSubMenu: function() { return menu; },
+        addToUi: function() { ui.menu = menu; }
+      };
+      return menu;
+    }
+  };
+  return ui;
+}
+
+// ===== KEY-VALUE STORES =====
+
+/**
+ * Properties and cache stand-in over a plain object (expirations are ignored)
+ * @param {Object} data - Backing object
+ * @return {Object} Properties/Cache methods
+ */
+function createStore(data) {
+  return {
+    getProperty: function(key) { return data.hasOwnProperty(key) ? data[key] : null; },
+    setProperty: function(key, value) { data[key] = String(value); return this; },
+    deleteProperty: function(key) { delete data[key]; return this; },
+    get: function(key) { return data.hasOwnProperty(key) ? data[key] : null; },
+    put: function(key, value) { data[key] = String(value); },
+    remove: function(key) { delete data[key]; },
+    getAll: function(keys) {
+      var found = {};
+      keys.forEach(function(key) {
+        if (data.hasOwnProperty(key)) found[key] = data[key];
+      });
+      return found;
+    },
+    putAll: function(values) {
+      for (var key in values) data[key] = String(values[key]);
+    }
+  };
+}
+
+// ===== DRIVE =====
+
+/**
+ * Iterator over a list, like Drive's FolderIterator / FileIterator
+ * @param {Array} items - Items to iterate
+ * @return {Object} {hasNext, next}
+ */
+function createIterator(items) {
+  var index = 0;
+  return {
+    hasNext: function() { return index < items.length; },
+    next: function() { return items[index++]; }
+  };
+}
+
+/**
+ * In-memory Drive: folders hold files by name; content is plain text
+ * @return {Object} DriveApp stand-in; folders holds every folder created
+ */
+function createDrive() {
+  var drive = {folders: []};
+
+  function createFolder(name) {
+    var folder = {
+      name: name,
+      files: [],
+      getName: function() { return folder.name; },
+      getFilesByName: function(fileName) {
+        return createIterator(folder.files.filter(function(file) { return file.name === fileName; }));
+      },
+      createFile: function(fileName, content, mimeType) {
+        var file = {
+          name: fileName,
+          content: String(content),
+          mimeType: mimeType,
+          getName: function() { return file.name; },
+          getBlob: function() { return {getDataAsString: function() { return file.content; }}; },
+          setContent: function(text) { file.content = String(text); return file; }
+        };
+        folder.files.push(file);
+        return file;
+      }
+    };
+    drive.folders.push(folder);
+    return folder;
+  }
+
+  drive.getFoldersByName = function(name) {
+    return createIterator(drive.folders.filter(function(folder) { return folder.name === name; }));
+  };
+  drive.createFolder = createFolder;
+  return drive;
+}
+
+/**
+ * Build a fresh set of services around one empty spreadsheet
+ * @param {Object} options - {responses: answers for prompts/YES_NO alerts, user: email of the active user}
+ * @return {Object} {globals, spreadsheet, ui, drive, logs} - globals are installed into the project context
+ */
+function createServices(options) {
+  options = options || {};
+  var spreadsheet = new FakeSpreadsheet();
+  var ui = createUi(options.responses);
+  var drive = createDrive();
+  var logs = [];
+  var properties = {};
+  var cache = {};
+  var user = options.user || 'scorer@example.com';
+
+  var lock = {
+    tryLock: function() { return true; },
+    waitLock: function() {},
+    releaseLock: function() {},
+    hasLock: function() { return true; }
+  };
+
+  var globals = {
+    SpreadsheetApp: {
+      CopyPasteType: {PASTE_NORMAL: 'PASTE_NORMAL', PASTE_FORMAT: 'PASTE_FORMAT', PASTE_VALUES: 'PASTE_VALUES'},
+      getActiveSpreadsheet: function() { return spreadsheet; },
+      getActiveSheet: function() { return spreadsheet.getActiveSheet(); },
+      getUi: function() { return ui; },
+      flush: function() {},
+      newDataValidation: function() {
+        var rule = {type: null, values: null, allowInvalid: true, helpText: ''};
+        var builder = {
+          requireValueInList: function(values) { rule.type = 'LIST'; rule.values = values.slice(); return builder; },
+          requireDate: function() { rule.type = 'DATE'; return builder; },
+          setAllowInvalid: function(allow) { rule.allowInvalid = allow; return builder; },
+          setHelpText: function(text) { rule.helpText = text; return builder; },
+          build: function() { return rule; }
+        };
+        return builder;
+      }
+    },
+    PropertiesService: {
+      getDocumentProperties: function() { return createStore(properties); }
+    },
+    CacheService: {
+      getDocumentCache: function() { return createStore(cache); }
+    },
+    LockService: {
+      getDocumentLock: function() { return lock; }
+    },
+    DriveApp: drive,
+    ScriptApp: {
+      getProjectTriggers: function() { return []; }
+    },
+    Session: {
+      getActiveUser: function() { return {getEmail: function() { return user; }}; },
+      getScriptTimeZone: function() { return 'UTC'; }
+    },
+    Utilities: {
+      DigestAlgorithm: {MD5: 'md5'},
+      computeDigest: function(algorithm, text) {
+        var bytes = crypto.createHash(algorithm).update(String(text), 'utf8').digest();
+        return Array.prototype.map.call(bytes, function(b) { return b > 127 ? b - 256 : b; });   // Signed, like Apps Script
+      },
+      base64Encode: function(bytes) {
+        return Buffer.from(bytes.map(function(b) { return b & 255; })).toString('base64');
+      },
+      formatDate: function(date, timeZone, format) {
+        // yyyy, MM, dd, HH, mm and ss only; always UTC
+        var iso = date.toISOString();
+        var parts = {yyyy: iso.substring(0, 4), MM: iso.substring(5, 7), dd: iso.substring(8, 10),
+                     HH: iso.substring(11, 13), mm: iso.substring(14, 16), ss: iso.substring(17, 19)};
+        return format.replace(/yyyy|MM|dd|HH|mm|ss/g, function(token) { return parts[token]; });
+      },
+      getUuid: function() { return crypto.randomUUID(); }
+    },
+    Logger: {
+      log: function(message) { logs.push(String(message)); }
+    }
+  };
+
+  return {globals: globals, spreadsheet: spreadsheet, ui: ui, drive: drive, logs: logs};
+}
+
+module.exports = {
+  createServices: createServices,
+  columnToLetter: columnToLetter,
+  parseA1: parseA1
+};
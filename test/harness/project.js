@@ -0,0 +1,160 @@
+// ===== PROJECT LOADER =====
+// Purpose: Loads every project file into one context (like Apps Script's shared global scope)
+//          on top of the fake services, and drives game sheets the way a scorer would.
+// Entry Point(s): loadProject, createGame, readBoxScore
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var createServices = require('./fakeServices').createServices;
+
+var PROJECT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Load the project into a fresh context with its own empty spreadsheet
+ * @param {Object} options - Passed to createServices ({responses, user})
+ * @return {Object} {context, spreadsheet, ui, drive, logs} - context holds every project global (BOX_SCORE_CONFIG, onEdit, ...)
+ */
+function loadProject(options) {
+  var services = createServices(options);
+  var context = vm.createContext(Object.assign({}, services.globals));
+
+  fs.readdirSync(PROJECT_DIR).filter(function(file) {
+    return /\.js$/.test(file);
+  }).sort().forEach(function(file) {
+    vm.runInContext(fs.readFileSync(path.join(PROJECT_DIR, file), 'utf8'), context, {filename: file});
+  });
+
+  return {context: context, spreadsheet: services.spreadsheet, ui: services.ui, drive: services.drive, logs: services.logs};
+}
+
+/**
+ * Set up a game sheet from a fixture and play it through onEdit, one cell at a time
+ * Fixture: {away: {team, lineup: [[position, name], ...]}, home: {...}, edits: [[cell, value], ...]}
+ * The league roster sheet is filled from both lineups so every name is known.
+ * @param {Object} project - Result of loadProject
+ * @param {Object} fixture - Fixture game
+ * @return {Object} {sheet, edit} - edit(cell, value) types one more value into the sheet
+ */
+function createGame(project, fixture) {
+  var config = project.context.BOX_SCORE_CONFIG;
+  var spreadsheet = project.spreadsheet;
+
+  var roster = spreadsheet.insertSheet(config.LEAGUE_ROSTER.SHEET_NAME);
+  var rosterRows = [['Team', 'Order', 'Player', 'Position', 'ID', 'Aliases']];
+  ['away', 'home'].forEach(function(side) {
+    fixture[side].lineup.forEach(function(player, i) {
+      rosterRows.push([fixture[side].team, i + 1, player[1], player[0], '', '']);
+    });
+  });
+  roster.getRange(1, 1, rosterRows.length, 6).setValues(rosterRows);
+
+  var sheet = spreadsheet.insertSheet(fixture.sheetName || config.GAME_SHEET_PREFIX + '1');
+  spreadsheet.setActiveSheet(sheet);
+
+  ['away', 'home'].forEach(function(side) {
+    var range = side === 'away' ? config.AWAY_PITCHER_RANGE : config.HOME_PITCHER_RANGE;
+    var hittingRow = side === 'away' ? config.HITTING_RANGE.awayStartRow : config.HITTING_RANGE.homeStartRow;
+    var lineup = fixture[side].lineup;
+    var pitcher = '';
+
+    sheet.getRange(range.startRow, range.positionCol, lineup.length, 2).setValues(lineup.map(function(player) {
+      return [player[0], player[1]];
+    }));
+    sheet.getRange(hittingRow, config.HITTING_RANGE.nameCol, lineup.length, 1).setValues(lineup.map(function(player) {
+      return [player[1]];
+    }));
+    lineup.forEach(function(player) {
+      if (player[0] === 'P' && !pitcher) pitcher = player[1];
+    });
+
+    sheet.getRange(side === 'away' ? config.AWAY_PITCHER_CELL : config.HOME_PITCHER_CELL).setValue(pitcher);
+    sheet.getRange(side === 'away' ? config.GAME_METADATA.AWAY_TEAM_CELL : config.GAME_METADATA.HOME_TEAM_CELL).setValue(fixture[side].team);
+  });
+
+  sheet.getRange(config.GAME_METADATA.DATE_CELL).setValue(new Date(Date.UTC(2025, 3, 5)));
+  sheet.getRange(config.GAME_METADATA.STATUS_CELL).setValue('In Progress');
+
+  function edit(cell, value) {
+    var range = sheet.getRange(cell);
+    var oldValue = range.getValue();
+    range.setValue(value);
+    project.context.onEdit({
+      range: range,
+      value: value === '' ? undefined : value,
+      oldValue: oldValue === '' ? undefined : oldValue,
+      source: spreadsheet,
+      user: {getEmail: function() { return 'scorer@example.com'; }}
+    });
+  }
+
+  (fixture.edits || []).forEach(function(entry) {
+    edit(entry[0], entry[1]);
+  });
+
+  return {sheet: sheet, edit: edit};
+}
+
+/**
+ * Everything a box score shows, as plain values (what the golden files hold)
+ * @param {Object} project - Result of loadProject
+ * @param {Sheet} sheet - The game sheet
+ * @return {Object} {lineScore, away, home}; each team has {roster, hitting, bench, atBats}
+ *   roster rows are [position history, name, IP ... BS]; hitting and bench rows are [name, AB ... R]
+ */
+function readBoxScore(project, sheet) {
+  var config = project.context.BOX_SCORE_CONFIG;
+  var lineScore = config.LINE_SCORE;
+  var box = {
+    lineScore: trimRows(sheet.getRange(lineScore.HEADER_ROW, lineScore.LABEL_COL, 3, 20).getValues()),
+    away: readTeamBox(project, sheet, 'away'),
+    home: readTeamBox(project, sheet, 'home')
+  };
+  return JSON.parse(JSON.stringify(box));
+}
+
+/**
+ * One team's part of the box score
+ * @param {Object} project - Result of loadProject
+ * @param {Sheet} sheet - The game sheet
+ * @param {string} team - "away" or "home"
+ * @return {Object} {roster, hitting, bench, atBats}
+ */
+function readTeamBox(project, sheet, team) {
+  var config = project.context.BOX_SCORE_CONFIG;
+  var range = team === 'away' ? config.AWAY_PITCHER_RANGE : config.HOME_PITCHER_RANGE;
+  var hittingRow = team === 'away' ? config.HITTING_RANGE.awayStartRow : config.HITTING_RANGE.homeStartRow;
+  var benchRow = team === 'away' ? config.SUBSTITUTIONS.AWAY_START_ROW : config.SUBSTITUTIONS.HOME_START_ROW;
+  var statsWidth = config.DECISION_COLUMNS.BS - range.positionCol + 1;   // A-X
+  var hittingWidth = config.HITTING_RANGE.numStatCols + 1;                // B-L
+
+  var roster = sheet.getRange(range.startRow, range.positionCol, range.numPlayers, statsWidth).getValues();
+  var hitting = sheet.getRange(hittingRow, config.HITTING_RANGE.nameCol, config.HITTING_RANGE.numPlayers, hittingWidth).getValues();
+  var bench = sheet.getRange(benchRow, config.SUBSTITUTIONS.NAME_COL, config.SUBSTITUTIONS.NUM_ROWS, hittingWidth).getValues();
+
+  return {
+    roster: roster.map(function(row) { return row.slice(0, 2).concat(row.slice(config.PITCHER_STATS_COLUMNS.IP - 1)); }),
+    hitting: hitting,
+    bench: bench.filter(function(row) { return row[0] !== ''; }),
+    atBats: trimRows(project.context.readAtBatGrid(sheet, team === 'away'))
+  };
+}
+
+/**
+ * Drop trailing blank cells from each row (keeps golden files short)
+ * @param {Array<Array>} rows - Values
+ * @return {Array<Array>} Trimmed copies
+ */
+function trimRows(rows) {
+  return rows.map(function(row) {
+    var end = row.length;
+    while (end > 0 && row[end - 1] === '') end--;
+    return row.slice(0, end);
+  });
+}
+
+module.exports = {
+  loadProject: loadProject,
+  createGame: createGame,
+  readBoxScore: readBoxScore
+};
@@ -0,0 +1,29 @@
+// New Game menu command against a roster sheet with bench players.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var pitcherChange = require('./fixtures/pitcherChange.json');
+
+test('pitcher dropdowns list the whole roster, bench players included', function() {
+  var project = harness.loadProject({responses: ['Mushroom', 'Kong']});
+  var config = project.context.BOX_SCORE_CONFIG;
+
+  var rows = [['Team', 'Order', 'Player', 'Position', 'ID', 'Aliases']];
+  ['away', 'home'].forEach(function(side) {
+    pitcherChange[side].lineup.forEach(function(player, i) {
+      rows.push([pitcherChange[side].team, i + 1, player[1], player[0], '', '']);
+    });
+  });
+  rows.push(['Kong', 10, 'Lanky', 'P', '', '']);
+  project.spreadsheet.insertSheet(config.LEAGUE_ROSTER.SHEET_NAME).getRange(1, 1, rows.length, 6).setValues(rows);
+  project.spreadsheet.insertSheet(config.NEW_GAME.TEMPLATE_SHEET_NAME);
+
+  project.context.createNewGame();
+
+  var sheet = project.spreadsheet.getSheetByName(config.GAME_SHEET_PREFIX + '1');
+  var home = sheet.getRange(config.HOME_PITCHER_CELL);
+  assert.strictEqual(home.getValue(), 'Kamek');
+  assert.strictEqual(home.getDataValidation().values.slice(-2).join(', '), 'Kamek, Lanky');
+  assert.strictEqual(sheet.getRange(config.AWAY_PITCHER_CELL).getDataValidation().values.length, 9);
+});
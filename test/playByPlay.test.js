@@ -0,0 +1,39 @@
+// Play-by-play log built from the fixture games.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var pitcherChange = require('./fixtures/pitcherChange.json');
+
+test('play-by-play describes each play with the outs and score after it', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, pitcherChange);
+
+  var plays = project.context.buildPlayByPlay(project.context.readGame(game.sheet));
+  var texts = plays.map(function(play) { return play.label + ': ' + play.text; });
+
+  assert.strictEqual(texts[0], 'Top 1st: Mario singles.');
+  assert.ok(texts.indexOf('Top 1st: Luigi walks.') === 1);
+  assert.ok(texts.some(function(text) { return text.indexOf('Pitching change: Diddy replaces Kamek, 2 inherited runners.') !== -1; }), texts.join('\n'));
+  assert.ok(texts.indexOf('Top 1st: Daisy doubles, 2 RBI. Mario and Luigi score.') !== -1, texts.join('\n'));
+
+  var last = plays[plays.length - 1];
+  assert.strictEqual(last.outs, 3);
+  var lineScore = project.context.readGame(game.sheet).lineScore;
+  assert.strictEqual(JSON.stringify(last.score), JSON.stringify({away: lineScore.away.R, home: lineScore.home.R}));
+});
+
+test('the play-by-play sheet holds every play under a header row', function() {
+  var project = harness.loadProject();
+  var game = harness.createGame(project, pitcherChange);
+  var context = project.context;
+
+  var box = context.readGame(game.sheet);
+  var plays = context.buildPlayByPlay(box);
+  var sheet = context.writePlayByPlaySheet(game.sheet.getParent(), box, plays);
+
+  assert.strictEqual(sheet.getName(), 'PBP ' + game.sheet.getName());
+  assert.strictEqual(sheet.getRange('A1').getValue(), 'Inning');
+  assert.strictEqual(sheet.getRange(plays.length + 1, 2).getValue(), plays[plays.length - 1].text);
+  assert.strictEqual(sheet.getRange(plays.length + 2, 2).getValue(), '');
+});
@@ -0,0 +1,23 @@
+// Season stats built from the game sheets.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness/project');
+var pitcherChange = require('./fixtures/pitcherChange.json');
+
+test('building season stats reads a Final game without rewriting its starting pitcher', function() {
+  var project = harness.loadProject();
+  var config = project.context.BOX_SCORE_CONFIG;
+  var game = harness.createGame(project, Object.assign({}, pitcherChange, {edits: []}));
+  game.sheet.getRange('C7:C9').setValues([['1B'], ['BB'], ['K']]);
+  game.sheet.getRange(config.GAME_METADATA.STATUS_CELL).setValue(config.GAME_METADATA.FINAL_STATUS);
+
+  var collected = project.context.collectSeasonGames(project.spreadsheet);
+
+  assert.strictEqual(game.sheet.getRange('A26').getValue(), 'P', 'the Final sheet is left as it was');
+  assert.strictEqual(project.spreadsheet.getSheetByName(config.AUDIT_LOG.SHEET_NAME), null, 'nothing to audit');
+
+  var kamek = collected.games[0].players.Kamek;
+  assert.strictEqual(kamek.started, true);
+  assert.strictEqual(JSON.stringify([kamek.pitching.BF, kamek.pitching.K]), JSON.stringify([3, 1]));
+});